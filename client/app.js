@@ -1,9 +1,14 @@
-const MAX_BYTES = 25 * 1024 * 1024;
+const MAX_BYTES = 25 * 1024 * 1024; // larger files use the resumable upload
+const RESUMABLE_MAX_BYTES = 2 * 1024 * 1024 * 1024;
 
 const form = document.getElementById("uploadForm");
 const videoInput = document.getElementById("videoInput");
 const urlInput = document.getElementById("urlInput");
 const promptInput = document.getElementById("promptInput");
+const questionCountInput = document.getElementById("questionCountInput");
+const languageInput = document.getElementById("languageInput");
+const encodeProfileInput = document.getElementById("encodeProfileInput");
+const reviewInput = document.getElementById("reviewInput");
 const submitBtn = document.getElementById("submitBtn");
 const resetBtn = document.getElementById("resetBtn");
 
@@ -25,6 +30,74 @@ const downloadLink = document.getElementById("downloadLink");
 const newOneBtn = document.getElementById("newOne");
 const rail = document.getElementById("rail");
 
+const reviewSection = document.getElementById("review");
+const reviewForm = document.getElementById("reviewForm");
+const reviewList = document.getElementById("reviewList");
+const reviewMeta = document.getElementById("reviewMeta");
+const approveBtn = document.getElementById("approveBtn");
+const reviewCancelBtn = document.getElementById("reviewCancelBtn");
+
+const insertEditor = document.getElementById("insertEditor");
+const editorVideo = document.getElementById("editorVideo");
+const editorTrack = document.getElementById("editorTrack");
+const editorSelected = document.getElementById("editorSelected");
+const editorPreview = document.getElementById("editorPreview");
+const editorSnap = document.getElementById("editorSnap");
+const editorReset = document.getElementById("editorReset");
+const editorApply = document.getElementById("editorApply");
+
+const tabDashboard = document.getElementById("tabDashboard");
+const dashboardSection = document.getElementById("dashboard");
+const dashMeta = document.getElementById("dashMeta");
+const dashRange = document.getElementById("dashRange");
+const dashRefresh = document.getElementById("dashRefresh");
+const dashTotals = document.getElementById("dashTotals");
+const dashVideos = document.getElementById("dashVideos");
+const dashDetail = document.getElementById("dashDetail");
+const dashDetailTitle = document.getElementById("dashDetailTitle");
+const dashDetailMeta = document.getElementById("dashDetailMeta");
+const dashQuestions = document.getElementById("dashQuestions");
+const dashLearners = document.getElementById("dashLearners");
+
+const librarySection = document.getElementById("library");
+const libMeta = document.getElementById("libMeta");
+const libFilters = document.getElementById("libFilters");
+const libSearch = document.getElementById("libSearch");
+const libShow = document.getElementById("libShow");
+const libTag = document.getElementById("libTag");
+const libStatus = document.getElementById("libStatus");
+const libFrom = document.getElementById("libFrom");
+const libTo = document.getElementById("libTo");
+const libSort = document.getElementById("libSort");
+const libGrid = document.getElementById("libGrid");
+const libPrev = document.getElementById("libPrev");
+const libNext = document.getElementById("libNext");
+const libPageEl = document.getElementById("libPage");
+const libDetail = document.getElementById("libDetail");
+const libDetailTitle = document.getElementById("libDetailTitle");
+const libDetailMeta = document.getElementById("libDetailMeta");
+const libDetailTags = document.getElementById("libDetailTags");
+const libDetailVideoWrap = document.getElementById("libDetailVideoWrap");
+const libDetailVideo = document.getElementById("libDetailVideo");
+const libDetailActions = document.getElementById("libDetailActions");
+const libDetailQuestions = document.getElementById("libDetailQuestions");
+const libDetailTranscript = document.getElementById("libDetailTranscript");
+
+const authSection = document.getElementById("auth");
+const authForm = document.getElementById("authForm");
+const authStatus = document.getElementById("authStatus");
+const accountBtn = document.getElementById("accountBtn");
+const accountSection = document.getElementById("account");
+const accountMeta = document.getElementById("accountMeta");
+const apiKeyName = document.getElementById("apiKeyName");
+const apiKeyCreate = document.getElementById("apiKeyCreate");
+const apiKeyNew = document.getElementById("apiKeyNew");
+const apiKeyList = document.getElementById("apiKeyList");
+const signOutBtn = document.getElementById("signOutBtn");
+
+const profileBtn = document.getElementById("profileBtn");
+const profileName = document.getElementById("profileName");
+
 // ---------- Debug / Pipeline panel (remove anytime) ----------
 const debugToggle = document.getElementById("debugToggle");
 const debugPanel = document.getElementById("debugPanel");
@@ -121,13 +194,9 @@ scrollToCreateBtn?.addEventListener("click", scrollToCreate);
 tabCreate?.addEventListener("click", scrollToCreate);
 
 tabExplore?.addEventListener("click", async () => {
-  // Soft "Explore": if we have results, scroll to them; otherwise show recent list.
-  if (!resultSection.hidden) {
-    resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
-  } else {
-    await loadRail();
-    document.getElementById("create")?.scrollIntoView({ behavior: "smooth", block: "start" });
-  }
+  librarySection.hidden = false;
+  librarySection.scrollIntoView({ behavior: "smooth", block: "start" });
+  await loadLibrary();
 });
 
 resetBtn?.addEventListener("click", () => {
@@ -146,49 +215,64 @@ newOneBtn?.addEventListener("click", () => {
   scrollToCreate();
 });
 
+const STATUS_LABELS = { ready: "Ready", processing: "Processing", review: "Waiting for review", failed: "Failed", draft: "Not run yet" };
+
+// Show, subjects and status of a library item (GET /api/library)
+function itemTags(item) {
+  return [
+    ...(item.show ? [{ label: item.show, cls: "yellow" }] : []),
+    ...item.tags.map((t) => ({ label: t, cls: "" })),
+    { label: STATUS_LABELS[item.status] || item.status, cls: item.status === "ready" ? "green" : item.status === "failed" ? "red" : "" }
+  ];
+}
+
+const renderTags = (tags) => tags.map((t) => `<span class="tag ${t.cls}">${escapeHtml(t.label)}</span>`).join("");
+
+// One submission with everything the result view needs (null if it is gone)
+async function fetchSubmission(submissionId) {
+  const res = await fetch(`/api/library/${encodeURIComponent(submissionId)}`);
+  const data = await res.json();
+  return res.ok && data.ok ? data.submission : null;
+}
+
+// Puts a generated submission in the result view (player, quiz, insertion-point editor)
+async function openSubmission(submissionId) {
+  const sub = await fetchSubmission(submissionId);
+  if (!sub?.eav?.outputUrl) return;
+  showResult(sub);
+  resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
 async function loadRail(highlightId = null) {
   rail.innerHTML = "";
   try {
-    const res = await fetch("/api/submissions");
+    const res = await fetch("/api/library?pageSize=6");
     const data = await res.json();
-    const subs = data?.submissions || [];
-    if (!subs.length) {
+    const items = data?.items || [];
+    if (!items.length) {
       rail.innerHTML = `<div class="helper">No recent items yet.</div>`;
       return;
     }
 
-    subs.slice(0, 6).forEach((s) => {
-      const tags = [
-        { label: "Mathematics", cls: "red" },
-        { label: (s?.gemini?.parsed?.show || "Show"), cls: "yellow" },
-        { label: "Trending", cls: "green" },
-        { label: "Elementary", cls: "" }
-      ];
-
+    items.forEach((s) => {
       const item = document.createElement("button");
       item.type = "button";
       item.className = "rail-item";
       item.style.border = s.id === highlightId ? "2px solid rgba(47,125,246,.45)" : "";
 
-      const hasOutput = Boolean(s?.eav?.outputUrl);
-      const title = hasOutput ? "Generated video" : "Uploaded video";
+      const hasOutput = Boolean(s.outputUrl);
 
       item.innerHTML = `
         <div class="thumb">${hasOutput ? "▶" : "⬆"}</div>
         <div>
-          <div class="rail-title">${title}</div>
+          <div class="rail-title">${escapeHtml(s.prompt || (hasOutput ? "Generated video" : "Uploaded video"))}</div>
           <div class="helper">${new Date(s.createdAt).toLocaleString()}</div>
-          <div class="tags">
-            ${tags.map((t) => `<span class="tag ${t.cls}">${escapeHtml(t.label)}</span>`).join("")}
-          </div>
+          <div class="tags">${renderTags(itemTags(s))}</div>
         </div>
       `;
 
       item.addEventListener("click", () => {
-        if (hasOutput) {
-          showResult(s);
-          resultSection.scrollIntoView({ behavior: "smooth", block: "start" });
-        }
+        if (hasOutput) openSubmission(s.id);
       });
 
       rail.appendChild(item);
@@ -213,12 +297,16 @@ function showResult(submission) {
 
   resultSection.hidden = false;
 
+  const insertAt = (submission?.eav?.insertions || []).map((i) => i.timestampMs);
+  if (!insertAt.length && submission?.eav?.timestampMs != null) insertAt.push(submission.eav.timestampMs);
+
   resultMeta.textContent = [
     submission?.gemini?.parsed?.show ? `Show: ${submission.gemini.parsed.show}` : null,
-    submission?.eav?.timestampMs != null ? `Insert at: ${fmtStamp(submission.eav.timestampMs)}` : null
+    insertAt.length ? `Insert at: ${insertAt.map(fmtStamp).join(", ")}` : null
   ].filter(Boolean).join(" • ");
 
-  resultVideo.src = outputUrl;
+  setVideoSource(resultVideo, { url: outputUrl, hlsUrl: submission?.eav?.streams?.hlsUrl });
+  setCaptionTrack(resultVideo, submission?.eav?.captions, submission?.language);
   downloadLink.href = outputUrl;
   downloadLink.setAttribute("download", submission?.eav?.outputFileName || "eav.mp4");
 
@@ -226,7 +314,8 @@ function showResult(submission) {
   const actionsWrap = resultSection.querySelector(".result-actions");
   const existingQuizBtn = actionsWrap?.querySelector(".btn-play-quiz");
   if (existingQuizBtn) existingQuizBtn.remove();
-  if (actionsWrap && submission?.gemini?.parsed?.clip1Question && submission?.gemini?.parsed?.clip2Answer) {
+  const parsed = submission?.gemini?.parsed;
+  if (actionsWrap && (parsed?.breaks?.length || (parsed?.clip1Question && parsed?.clip2Answer))) {
     const quizBtn = document.createElement("button");
     quizBtn.type = "button";
     quizBtn.className = "btn ghost btn-play-quiz";
@@ -235,9 +324,329 @@ function showResult(submission) {
     actionsWrap.appendChild(quizBtn);
   }
 
+  openInsertEditor(submission);
   loadRail(submission?.id);
 }
 
+// The adaptive HLS package when there is one and the browser plays HLS itself (Safari, Echo Show), else the MP4
+function setVideoSource(video, { url, hlsUrl }) {
+  const hls = hlsUrl && video.canPlayType("application/vnd.apple.mpegurl");
+  video.src = (hls ? hlsUrl : url) || "";
+}
+
+// Sidecar WebVTT from the splice; shown by default unless already burned into the picture
+function setCaptionTrack(video, captions, language) {
+  video.querySelectorAll("track").forEach((t) => t.remove());
+  if (!captions?.vttUrl) return;
+  const track = document.createElement("track");
+  track.kind = "captions";
+  track.label = "Captions";
+  track.srclang = language || "en";
+  track.src = captions.vttUrl;
+  track.default = !captions.burnedIn;
+  video.appendChild(track);
+}
+
+// ---------- Review (pipeline paused after analysis) ----------
+let reviewState = null; // { submissionId, jobId, breaks }
+
+async function openReview(submissionId, jobId) {
+  if (reviewState?.jobId === jobId) return;
+  reviewState = { submissionId, jobId, breaks: [] };
+
+  try {
+    const res = await fetch(`/api/pipeline/${encodeURIComponent(submissionId)}/review`);
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data?.error || "Could not load the quiz for review.");
+    reviewState.breaks = data.breaks;
+    renderReview(data);
+  } catch (err) {
+    setStatus(err?.message || "Could not load the quiz for review.", "error");
+    return;
+  }
+
+  reviewSection.hidden = false;
+  approveBtn.disabled = false;
+  reviewSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  setStatus("Review the questions and answers, then approve to generate the clips.", "info");
+  debugLog("Paused for review.");
+}
+
+function renderReview(data) {
+  reviewMeta.textContent = [
+    data.show && data.show !== "Unknown" ? `Show: ${data.show}` : null,
+    `${data.breaks.length} checkpoint${data.breaks.length === 1 ? "" : "s"}`
+  ].filter(Boolean).join(" • ");
+
+  reviewList.innerHTML = data.breaks.map((b) => `
+    <div class="review-item" data-index="${b.index}">
+      <div class="review-head">
+        <span class="review-title">Checkpoint ${b.index + 1} at ${fmtStamp(b.breakStartMs)}</span>
+        ${b.difficulty ? `<span class="tag">${escapeHtml(b.difficulty)}</span>` : ""}
+      </div>
+      ${b.rationale ? `<div class="helper">${escapeHtml(b.rationale)}</div>` : ""}
+      <div class="field">
+        <label class="label">Question</label>
+        <input class="input" data-field="question" value="${escapeHtml(b.question)}" required />
+      </div>
+      <div class="field">
+        <label class="label">Answer</label>
+        <textarea class="textarea" data-field="answer" rows="2" required>${escapeHtml(b.answer)}</textarea>
+      </div>
+      <div class="field">
+        <label class="label">Short answer</label>
+        <input class="input" data-field="shortAnswer" value="${escapeHtml(b.shortAnswer)}" placeholder="What a learner would say, e.g. seven" />
+      </div>
+      <div class="field">
+        <label class="label">Also accept</label>
+        <input class="input" data-field="acceptedAnswers" value="${escapeHtml(b.acceptedAnswers.join(", "))}" placeholder="Comma separated, e.g. 7, seven ducks" />
+      </div>
+      <details class="review-prompts">
+        <summary>Veo prompts</summary>
+        <div class="field">
+          <label class="label">Question clip</label>
+          <textarea class="textarea review-prompt" data-field="questionPrompt">${escapeHtml(b.questionPrompt)}</textarea>
+        </div>
+        <div class="field">
+          <label class="label">Answer clip</label>
+          <textarea class="textarea review-prompt" data-field="answerPrompt">${escapeHtml(b.answerPrompt)}</textarea>
+          <div class="helper">Leave a prompt untouched and it is rebuilt from the edited line.</div>
+        </div>
+      </details>
+    </div>
+  `).join("");
+
+  // Only prompts the user actually typed in are sent as overrides
+  reviewList.querySelectorAll(".review-prompt").forEach((el) => {
+    el.addEventListener("input", () => (el.dataset.dirty = "1"), { once: true });
+  });
+}
+
+function closeReview() {
+  reviewSection.hidden = true;
+  reviewList.innerHTML = "";
+}
+
+reviewForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (!reviewState) return;
+
+  const breaks = [...reviewList.querySelectorAll(".review-item")].map((item) => {
+    const fieldEl = (field) => item.querySelector(`[data-field="${field}"]`);
+    const edit = {
+      question: fieldEl("question").value.replace(/\s+/g, " ").trim(),
+      answer: fieldEl("answer").value.replace(/\s+/g, " ").trim(),
+      shortAnswer: fieldEl("shortAnswer").value.trim(),
+      acceptedAnswers: fieldEl("acceptedAnswers").value.split(",").map((v) => v.trim()).filter(Boolean)
+    };
+    for (const field of ["questionPrompt", "answerPrompt"]) {
+      if (fieldEl(field).dataset.dirty) edit[field] = fieldEl(field).value;
+    }
+    return edit;
+  });
+
+  approveBtn.disabled = true;
+  try {
+    const res = await fetch(`/api/pipeline/${encodeURIComponent(reviewState.submissionId)}/approve`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ breaks })
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data?.error || "Approve failed.");
+
+    closeReview();
+    setStatus("Approved — generating clips…", "info");
+    debugLog("Review approved.");
+    document.getElementById("create")?.scrollIntoView({ behavior: "smooth", block: "start" });
+  } catch (err) {
+    approveBtn.disabled = false;
+    setStatus(err?.message || "Approve failed.", "error");
+  }
+});
+
+reviewCancelBtn?.addEventListener("click", async () => {
+  if (!reviewState) return;
+  reviewCancelBtn.disabled = true;
+  try {
+    await fetch(`/api/jobs/${encodeURIComponent(reviewState.jobId)}/cancel`, { method: "POST" });
+  } finally {
+    reviewCancelBtn.disabled = false;
+    closeReview();
+  }
+});
+
+// ---------- Insertion-point editor ----------
+const EDITOR_PREVIEW_MS = 3000; // seconds of original shown either side of a marker
+const EDITOR_MIN_SPACING_MS = 1000;
+
+let editorState = null; // { submission, durationMs, points, saved, selected, segments, candidates }
+
+function openInsertEditor(submission) {
+  const breaks = submission?.gemini?.parsed?.breaks || [];
+  const hasClips = Boolean(submission?.veo?.clips?.length || submission?.veo?.clip1Url);
+  if (!insertEditor || !breaks.length || !hasClips) {
+    if (insertEditor) insertEditor.hidden = true;
+    editorState = null;
+    return;
+  }
+
+  const spliced = submission?.eav?.insertions?.length === breaks.length ? submission.eav.insertions.map((i) => i.timestampMs) : null;
+  const points = spliced || breaks.map((b) => b.breakStartMs);
+
+  editorState = {
+    submission,
+    durationMs: submission?.file?.durationMs || 0,
+    points: [...points],
+    saved: [...points],
+    selected: 0,
+    segments: submission?.transcript?.segments || [],
+    candidates: submission?.pauses?.candidates || []
+  };
+
+  insertEditor.hidden = false;
+  editorVideo.src = `/api/submissions/${encodeURIComponent(submission.id)}/video`;
+  renderEditor();
+}
+
+const editorPct = (ms) => `${(100 * Math.max(0, Math.min(ms, editorState.durationMs))) / (editorState.durationMs || 1)}%`;
+
+function renderEditor() {
+  if (!editorState) return;
+  const { points, selected, segments, candidates } = editorState;
+
+  editorTrack.innerHTML = "";
+  if (editorState.durationMs) {
+    for (const seg of segments) {
+      const el = document.createElement("div");
+      el.className = "seg";
+      el.style.left = editorPct(seg.startMs);
+      el.style.width = `calc(${editorPct(seg.endMs)} - ${editorPct(seg.startMs)})`;
+      el.title = seg.text || "";
+      editorTrack.appendChild(el);
+    }
+
+    for (const c of candidates) {
+      const el = document.createElement("div");
+      el.className = "cand";
+      el.style.left = editorPct(c.timestampMs);
+      el.title = `${fmtStamp(c.timestampMs)} — ${(c.reasons || []).join(", ") || "pause"}`;
+      el.addEventListener("click", () => moveEditorPoint(editorState.selected, c.timestampMs));
+      editorTrack.appendChild(el);
+    }
+
+    points.forEach((ms, k) => {
+      const el = document.createElement("div");
+      el.className = `handle${k === selected ? " is-selected" : ""}`;
+      el.style.left = editorPct(ms);
+      el.textContent = points.length > 1 ? `Q${k + 1}` : "Quiz";
+      el.title = fmtStamp(ms);
+      el.addEventListener("pointerdown", (e) => startEditorDrag(e, k));
+      editorTrack.appendChild(el);
+    });
+  }
+
+  const current = points[selected];
+  editorSelected.textContent = points.length > 1
+    ? `Q${selected + 1} at ${fmtStamp(current)}`
+    : `Insert at ${fmtStamp(current)}`;
+  editorSnap.disabled = !candidates.length;
+  editorApply.disabled = points.every((ms, k) => ms === editorState.saved[k]);
+}
+
+// Keeps markers in checkpoint order: each stays between its neighbours
+function moveEditorPoint(k, ms) {
+  if (!editorState) return;
+  const { points, durationMs } = editorState;
+  const lo = k > 0 ? points[k - 1] + EDITOR_MIN_SPACING_MS : 0;
+  const hi = k < points.length - 1 ? points[k + 1] - EDITOR_MIN_SPACING_MS : durationMs;
+  points[k] = Math.round(Math.max(lo, Math.min(hi, ms)));
+  editorState.selected = k;
+  if (editorVideo.readyState >= 1) editorVideo.currentTime = points[k] / 1000;
+  renderEditor();
+}
+
+function startEditorDrag(e, k) {
+  e.preventDefault();
+  editorState.selected = k;
+  renderEditor();
+
+  const rect = editorTrack.getBoundingClientRect();
+  const toMs = (clientX) => ((clientX - rect.left) / rect.width) * editorState.durationMs;
+
+  const onMove = (ev) => moveEditorPoint(k, toMs(ev.clientX));
+  const onUp = () => {
+    window.removeEventListener("pointermove", onMove);
+    window.removeEventListener("pointerup", onUp);
+  };
+  window.addEventListener("pointermove", onMove);
+  window.addEventListener("pointerup", onUp);
+}
+
+editorVideo?.addEventListener("loadedmetadata", () => {
+  if (!editorState) return;
+  if (!editorState.durationMs && Number.isFinite(editorVideo.duration)) {
+    editorState.durationMs = Math.round(editorVideo.duration * 1000);
+  }
+  editorVideo.currentTime = editorState.points[editorState.selected] / 1000;
+  renderEditor();
+});
+
+editorPreview?.addEventListener("click", () => {
+  if (!editorState) return;
+  const ms = editorState.points[editorState.selected];
+  const stopAt = (ms + EDITOR_PREVIEW_MS) / 1000;
+  editorVideo.currentTime = Math.max(0, ms - EDITOR_PREVIEW_MS) / 1000;
+
+  const onTime = () => {
+    if (editorVideo.currentTime < stopAt) return;
+    editorVideo.pause();
+    editorVideo.removeEventListener("timeupdate", onTime);
+  };
+  editorVideo.addEventListener("timeupdate", onTime);
+  editorVideo.play().catch(() => {});
+});
+
+editorSnap?.addEventListener("click", () => {
+  if (!editorState?.candidates.length) return;
+  const { selected, points, candidates } = editorState;
+  const nearest = [...candidates].sort(
+    (a, b) => Math.abs(a.timestampMs - points[selected]) - Math.abs(b.timestampMs - points[selected])
+  )[0];
+  moveEditorPoint(selected, nearest.timestampMs);
+});
+
+editorReset?.addEventListener("click", () => {
+  if (!editorState) return;
+  editorState.points = [...editorState.saved];
+  renderEditor();
+});
+
+editorApply?.addEventListener("click", async () => {
+  if (!editorState) return;
+  const { submission, points } = editorState;
+  editorApply.disabled = true;
+  setStatus("Re-splicing with the new insertion points…", "info");
+  debugLog(`Re-splicing at ${points.map(fmtStamp).join(", ")}`);
+
+  try {
+    const fd = new FormData();
+    fd.append("submissionId", submission.id);
+    fd.append("timestamps", JSON.stringify(points));
+    fd.append("save", "true");
+    const res = await fetch("/api/splice", { method: "POST", body: fd });
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data?.error || "Splice failed.");
+
+    setStatus("Updated.", "success");
+    showResult({ ...submission, eav: data.eav });
+  } catch (err) {
+    setStatus(err?.message || "Splice failed.", "error");
+    debugLog(`ERROR: ${err?.message || "Splice failed."}`);
+    renderEditor();
+  }
+});
+
 async function pollJob(jobId, { onUpdate }) {
   let attempts = 0;
 
@@ -251,8 +660,9 @@ async function pollJob(jobId, { onUpdate }) {
     const job = data.job;
     onUpdate?.(job);
 
-    if (job.status === "done") return job;
-    if (job.status === "error") throw new Error(job?.error?.message || job.message || "Pipeline failed.");
+    const outcome = jobOutcome(job);
+    if (outcome?.error) throw outcome.error;
+    if (outcome) return outcome.job;
 
     await new Promise((r) => setTimeout(r, 1000));
   }
@@ -260,6 +670,265 @@ async function pollJob(jobId, { onUpdate }) {
   throw new Error("Timed out waiting for generation.");
 }
 
+function jobOutcome(job) {
+  if (job.status === "done") return { job };
+  if (job.status === "error") return { error: new Error(job?.error?.message || job.message || "Pipeline failed.") };
+  if (job.status === "cancelled") return { error: new Error("Generation was cancelled.") };
+  return null;
+}
+
+// Push updates over SSE; falls back to polling when streaming is unavailable.
+function watchJob(jobId, { onUpdate }) {
+  if (!window.EventSource) return pollJob(jobId, { onUpdate });
+
+  return new Promise((resolve, reject) => {
+    const es = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events`);
+    let gotEvent = false;
+
+    es.addEventListener("job", (e) => {
+      gotEvent = true;
+      const job = JSON.parse(e.data);
+      onUpdate?.(job);
+
+      const outcome = jobOutcome(job);
+      if (!outcome) return;
+      es.close();
+      if (outcome.error) reject(outcome.error);
+      else resolve(outcome.job);
+    });
+
+    // After the first event EventSource reconnects on its own; before it, streaming is not working here.
+    es.onerror = () => {
+      if (gotEvent) return;
+      es.close();
+      debugLog("Live updates unavailable — falling back to polling.");
+      pollJob(jobId, { onUpdate }).then(resolve, reject);
+    };
+  });
+}
+
+async function uploadVideo(file, { prompt, questionCount, language, encodeProfile }) {
+  setProgress(2, "Uploading", `Uploading ${file.name} (${formatBytes(file.size)})…`);
+  debugSetStep("upload", `Uploading ${file.name}…`, "active");
+  debugLog(`Uploading: ${file.name} (${formatBytes(file.size)})`);
+
+  const fd = new FormData();
+  fd.append("video", file);
+  fd.append("prompt", prompt);
+  fd.append("questionCount", questionCount);
+  fd.append("language", language);
+  fd.append("encodeProfile", encodeProfile);
+
+  const uploadRes = await fetch("/api/upload", { method: "POST", body: fd });
+  const uploadData = await uploadRes.json();
+  if (!uploadRes.ok || !uploadData.ok) throw new Error(uploadData?.error || "Upload failed.");
+  return uploadData.submission;
+}
+
+// ---------- Resumable upload (files over 25 MB) ----------
+const uploadResumeKey = (file) => `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+async function chunkChecksum(blob) {
+  if (!window.crypto?.subtle) return null; // insecure context: server skips the per-chunk check
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return `sha256 ${btoa(String.fromCharCode(...new Uint8Array(digest)))}`;
+}
+
+// Incremental SHA-256 (WebCrypto only hashes whole buffers, and the file can be 2 GB)
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function createSha256() {
+  const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const pending = new Uint8Array(64);
+  let pendingLength = 0;
+  let totalBytes = 0;
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  const compress = (bytes, at) => {
+    for (let i = 0; i < 16; i++) {
+      const j = at + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, k] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      k = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, k].forEach((v, i) => { h[i] += v; });
+  };
+
+  const update = (bytes) => {
+    totalBytes += bytes.length;
+    let i = 0;
+    if (pendingLength) {
+      i = Math.min(64 - pendingLength, bytes.length);
+      pending.set(bytes.subarray(0, i), pendingLength);
+      pendingLength += i;
+      if (pendingLength < 64) return;
+      compress(pending, 0);
+      pendingLength = 0;
+    }
+    for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+    pending.set(bytes.subarray(i));
+    pendingLength = bytes.length - i;
+  };
+
+  const digestHex = () => {
+    const bits = totalBytes * 8;
+    const padLength = pendingLength < 56 ? 56 - pendingLength : 120 - pendingLength;
+    const tail = new Uint8Array(padLength + 8);
+    tail[0] = 0x80;
+    const view = new DataView(tail.buffer);
+    view.setUint32(padLength, Math.floor(bits / 2 ** 32));
+    view.setUint32(padLength + 4, bits >>> 0);
+    update(tail);
+    return [...h].map((v) => v.toString(16).padStart(8, "0")).join("");
+  };
+
+  return { update, digestHex };
+}
+
+// Whole-file digest the server checks once the last chunk is in
+async function fileSha256(file, onProgress) {
+  const hash = createSha256();
+  const step = 8 * 1024 * 1024;
+  for (let at = 0; at < file.size; at += step) {
+    hash.update(new Uint8Array(await file.slice(at, at + step).arrayBuffer()));
+    onProgress?.(Math.min(file.size, at + step));
+  }
+  return hash.digestHex();
+}
+
+async function uploadJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  return { res, data };
+}
+
+// Reuses the session saved for this exact file, if the server still has it
+async function openUploadSession(file, { prompt, questionCount, language, encodeProfile }) {
+  const savedId = localStorage.getItem(uploadResumeKey(file));
+  if (savedId) {
+    const { res, data } = await uploadJson(`/api/uploads/${encodeURIComponent(savedId)}`);
+    if (res.ok && data.ok) {
+      debugLog(`Resuming upload at ${formatBytes(data.upload.offset)}.`);
+      return data.upload;
+    }
+    localStorage.removeItem(uploadResumeKey(file));
+  }
+
+  const sha256 = await fileSha256(file, (done) =>
+    setProgress(2, "Checking file", `Checking ${file.name}… ${formatBytes(done)} of ${formatBytes(file.size)}`)
+  );
+  const { res, data } = await uploadJson("/api/uploads", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ fileName: file.name, sizeBytes: file.size, mimetype: file.type, sha256, prompt, questionCount, language, encodeProfile })
+  });
+  if (!res.ok || !data.ok) throw new Error(data?.error || "Upload failed.");
+  localStorage.setItem(uploadResumeKey(file), data.upload.id);
+  return data.upload;
+}
+
+async function uploadVideoResumable(file, meta) {
+  debugSetStep("upload", `Uploading ${file.name}…`, "active");
+  debugLog(`Uploading (resumable): ${file.name} (${formatBytes(file.size)})`);
+
+  const session = await openUploadSession(file, meta);
+  const url = `/api/uploads/${encodeURIComponent(session.id)}`;
+  let offset = session.offset;
+  let failures = 0;
+
+  while (true) {
+    setProgress(2 + (offset / file.size) * 5, "Uploading", `Uploading ${file.name}… ${formatBytes(offset)} of ${formatBytes(file.size)}`);
+
+    const chunk = file.slice(offset, offset + session.chunkBytes);
+    let res;
+    let data = {};
+    try {
+      const headers = { "Content-Type": "application/octet-stream", "Upload-Offset": String(offset) };
+      const checksum = await chunkChecksum(chunk);
+      if (checksum) headers["Upload-Checksum"] = checksum;
+      ({ res, data } = await uploadJson(url, { method: "PUT", headers, body: chunk }));
+    } catch {
+      res = null; // dropped connection
+    }
+
+    if (res?.ok && data.ok) {
+      failures = 0;
+      if (data.complete) {
+        localStorage.removeItem(uploadResumeKey(file));
+        return data.submission;
+      }
+      offset = data.upload.offset;
+      continue;
+    }
+
+    // Bad request or the session is gone: retrying will not help
+    if (res && [400, 404, 413].includes(res.status)) {
+      if (res.status === 404) localStorage.removeItem(uploadResumeKey(file));
+      throw new Error(data?.error || "Upload failed.");
+    }
+
+    failures += 1;
+    if (failures > 5) throw new Error(data?.error || "Upload keeps failing; try again to resume.");
+    debugLog(`Upload chunk failed (${data?.error || "connection lost"}); retrying…`);
+    await new Promise((r) => setTimeout(r, Math.min(30000, 1000 * 2 ** failures)));
+
+    // Re-sync with what the server actually has before resending
+    const status = await uploadJson(url).catch(() => null);
+    if (status?.res.ok && status.data.ok) offset = status.data.upload.offset;
+  }
+}
+
+// Server-side download; progress arrives through the ingest job
+async function ingestVideoUrl(url, { prompt, questionCount, language, encodeProfile }) {
+  setProgress(2, "Downloading", "Fetching video from link…");
+  debugSetStep("upload", "Downloading from link…", "active");
+  debugLog(`Ingesting: ${url}`);
+
+  const res = await fetch("/api/ingest", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url, prompt, questionCount, language, encodeProfile })
+  });
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data?.error || "Could not fetch that link.");
+
+  // Download progress fills the first few percent of the overall bar
+  await watchJob(data.jobId, {
+    onUpdate: (j) => {
+      setProgress(2 + (j.progress ?? 0) * 0.05, "Downloading", j.message || "Downloading…");
+      debugSetStep("upload", j.message || "Downloading…", "active");
+    }
+  });
+  debugLog("Download complete.");
+  return data.submission;
+}
+
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
   setStatus("");
@@ -270,13 +939,10 @@ form.addEventListener("submit", async (e) => {
 
   if (!prompt) return setStatus("Please enter what they should learn.", "error");
 
-  // Upload-only for now (URL ingestion is optional future work)
-  if (!file) {
-    if (url) return setStatus("URL ingestion is not enabled yet — please upload an mp4/webm/mov file.", "error");
-    return setStatus("Please upload a video file.", "error");
-  }
+  // An uploaded file wins over a pasted link
+  if (!file && !url) return setStatus("Please upload a video file or paste a video link.", "error");
 
-  if (file.size >= MAX_BYTES) return setStatus("File must be under 25 MB.", "error");
+  if (file && file.size >= RESUMABLE_MAX_BYTES) return setStatus("File must be under 2 GB.", "error");
 
   submitBtn.disabled = true;
   debugReset();
@@ -285,43 +951,46 @@ form.addEventListener("submit", async (e) => {
   debugLog("User initiated generation.");
   resetBtn.disabled = true;
   showProgress(true);
-  setProgress(2, "Uploading", `Uploading ${file.name} (${formatBytes(file.size)})…`);
-  debugSetStep("upload", `Uploading ${file.name}…`, "active");
-  debugLog(`Uploading: ${file.name} (${formatBytes(file.size)})`);
 
   try {
-    // 1) Upload
-    const fd = new FormData();
-    fd.append("video", file);
-    fd.append("prompt", prompt);
-
-    const uploadRes = await fetch("/api/upload", { method: "POST", body: fd });
-    const uploadData = await uploadRes.json();
-    if (!uploadRes.ok || !uploadData.ok) throw new Error(uploadData?.error || "Upload failed.");
+    // 1) Upload the file, or have the server download the link
+    const meta = {
+      prompt,
+      questionCount: questionCountInput?.value || "auto",
+      language: languageInput?.value || "en",
+      encodeProfile: encodeProfileInput?.value || "web"
+    };
+    const submission = !file
+      ? await ingestVideoUrl(url, meta)
+      : file.size >= MAX_BYTES
+        ? await uploadVideoResumable(file, meta)
+        : await uploadVideo(file, meta);
 
-    const submission = uploadData.submission;
     setProgress(8, "Queued", "Starting generation pipeline…");
     debugSetStep("upload", "Uploaded", "done");
     debugSetStep("transcription", "Queued", "active");
     debugLog("Upload complete. Starting pipeline.");
 
-    // 2) Start one-click pipeline
-    const startRes = await fetch(`/api/pipeline/${encodeURIComponent(submission.id)}`, { method: "POST" });
+    // 2) Start one-click pipeline (review mode pauses it after analysis)
+    const pipelineUrl = `/api/pipeline/${encodeURIComponent(submission.id)}${reviewInput?.checked ? "?review=1" : ""}`;
+    const startRes = await fetch(pipelineUrl, { method: "POST" });
     const startData = await startRes.json();
     if (!startRes.ok || !startData.ok) throw new Error(startData?.error || "Failed to start pipeline.");
 
     const jobId = startData.jobId;
 
-    // 3) Poll until done
-    const job = await pollJob(jobId, {
+    // 3) Follow progress until done
+    const job = await watchJob(jobId, {
       onUpdate: (j) => {
         const labelMap = {
           queued: "Queued",
+          normalize: "Normalizing video",
           transcription: "Transcription",
           analysis: "Gemini analysis",
           screenshot: "Screenshot",
           generation: "Video generation",
           splicing: "Splicing",
+          review: "Waiting for review",
           done: "Done",
           error: "Error"
         };
@@ -336,6 +1005,7 @@ form.addEventListener("submit", async (e) => {
         if (step === "done") { debugSetStep("splicing", "Done", "done"); debugSetStep("done", "Complete", "done"); }
         if (step === "error") { debugSetStep("done", "Failed", "error"); }
         if (j.message) debugLog(j.message);
+        if (j.status === "awaiting_review") openReview(submission.id, jobId);
       }
     });
 
@@ -347,9 +1017,7 @@ form.addEventListener("submit", async (e) => {
 
     // 4) Show result
     // Fetch latest submission (includes eav)
-    const subRes = await fetch("/api/submissions");
-    const subData = await subRes.json();
-    const latest = (subData?.submissions || []).find((s) => s.id === submission.id) || submission;
+    const latest = (await fetchSubmission(submission.id)) || submission;
 
     if (latest?.eav?.outputUrl) {
       showResult(latest);
@@ -374,12 +1042,407 @@ form.addEventListener("submit", async (e) => {
   }
 });
 
-// Initial rail load
-loadRail();
-
 // Initialize debug panel
 try { debugReset(); } catch {}
 
+// ---------- Library: search, filters, pages and detail pages ----------
+let libPage = 1;
+let libSearchTimer = null;
+
+function libraryQuery() {
+  const params = new URLSearchParams({ page: String(libPage) });
+  for (const [key, input] of [["q", libSearch], ["show", libShow], ["tag", libTag], ["status", libStatus], ["from", libFrom], ["to", libTo], ["sort", libSort]]) {
+    if (input?.value) params.set(key, input.value);
+  }
+  return params.toString();
+}
+
+// Keeps the current choice when the option list is rebuilt
+function fillFacet(select, facets, allLabel) {
+  const current = select.value;
+  select.innerHTML = `<option value="">${allLabel}</option>` +
+    facets.map((f) => `<option value="${escapeHtml(f.value)}">${escapeHtml(f.value)} (${f.count})</option>`).join("");
+  select.value = facets.some((f) => f.value === current) ? current : "";
+}
+
+async function loadLibrary() {
+  libMeta.textContent = "Loading…";
+  try {
+    const res = await fetch(`/api/library?${libraryQuery()}`);
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data?.error || "Could not load the library.");
+
+    fillFacet(libShow, data.facets.shows, "All shows");
+    fillFacet(libTag, data.facets.tags, "All subjects");
+    libMeta.textContent = `${data.total} video(s)`;
+    libPageEl.textContent = `Page ${data.page} of ${data.totalPages}`;
+    libPrev.disabled = data.page <= 1;
+    libNext.disabled = data.page >= data.totalPages;
+
+    if (!data.items.length) {
+      libGrid.innerHTML = `<div class="helper">Nothing matches these filters.</div>`;
+      return;
+    }
+    libGrid.innerHTML = data.items.map((item) => `
+      <button class="lib-card" type="button" data-id="${escapeHtml(item.id)}">
+        <div class="thumb">${item.thumbnailUrl ? `<img src="${escapeHtml(item.thumbnailUrl)}" alt="" loading="lazy" />` : item.outputUrl ? "▶" : "⬆"}</div>
+        <div class="rail-title">${escapeHtml(item.prompt || "Untitled")}</div>
+        <div class="helper">${new Date(item.createdAt).toLocaleString()}${item.questionCount ? ` • ${item.questionCount} question(s)` : ""}</div>
+        ${item.snippet ? `<div class="helper lib-snippet">${escapeHtml(item.snippet)}</div>` : ""}
+        <div class="tags">${renderTags(itemTags(item))}</div>
+      </button>`).join("");
+    libGrid.querySelectorAll(".lib-card").forEach((card) => {
+      card.addEventListener("click", () => loadLibraryDetail(card.dataset.id));
+    });
+  } catch (err) {
+    libMeta.textContent = err.message || "Could not load the library.";
+  }
+}
+
+async function loadLibraryDetail(submissionId) {
+  try {
+    const res = await fetch(`/api/library/${encodeURIComponent(submissionId)}`);
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data?.error || "Could not load this video.");
+    const item = data.item;
+
+    libDetail.hidden = false;
+    libDetailTitle.textContent = item.prompt || "Untitled";
+    libDetailMeta.textContent = [
+      new Date(item.createdAt).toLocaleString(),
+      item.durationMs ? `${fmtStamp(item.durationMs)} long` : null,
+      item.job?.status === "error" && item.job.error?.message ? `Last run failed: ${item.job.error.message}` : null
+    ].filter(Boolean).join(" • ");
+    libDetailTags.innerHTML = renderTags(itemTags(item));
+
+    libDetailVideoWrap.hidden = !item.video;
+    setVideoSource(libDetailVideo, { url: item.video?.url, hlsUrl: item.video?.streams?.hlsUrl });
+    setCaptionTrack(libDetailVideo, item.video?.captions, item.language);
+
+    libDetailActions.innerHTML = "";
+    const action = (label, onClick) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn ghost";
+      btn.textContent = label;
+      btn.addEventListener("click", onClick);
+      libDetailActions.appendChild(btn);
+    };
+    if (item.video) {
+      action("Play quiz", () => startQuizPlayback(item.id));
+      action("Open in editor", () => openSubmission(item.id));
+    }
+    if (item.sourceUrl) action("Original video", () => window.open(item.sourceUrl, "_blank"));
+
+    libDetailQuestions.innerHTML = item.questions.length
+      ? item.questions.map((q) => `
+        <div class="lib-question">
+          <div class="rail-title">${q.index + 1}. ${escapeHtml(q.question)} <span class="helper">at ${fmtStamp(q.breakStartMs)}</span></div>
+          <div class="helper">${escapeHtml(q.answer)}${q.shortAnswer ? ` (say: “${escapeHtml(q.shortAnswer)}”)` : ""}</div>
+          <div class="lib-clips">
+            ${q.questionClipUrl ? `<video src="${escapeHtml(q.questionClipUrl)}" controls preload="none" playsinline></video>` : ""}
+            ${q.answerClipUrl ? `<video src="${escapeHtml(q.answerClipUrl)}" controls preload="none" playsinline></video>` : ""}
+          </div>
+        </div>`).join("")
+      : `<div class="helper">No quiz yet.</div>`;
+
+    libDetailTranscript.innerHTML = item.transcript?.segments?.length
+      ? item.transcript.segments.map((seg) => `<p><span class="helper">${fmtStamp(seg.startMs)}</span> ${escapeHtml(seg.text)}</p>`).join("")
+      : `<div class="helper">No transcript yet.</div>`;
+
+    libDetail.scrollIntoView({ behavior: "smooth", block: "start" });
+  } catch (err) {
+    libDetail.hidden = false;
+    libDetailTitle.textContent = "";
+    libDetailMeta.textContent = err.message || "Could not load this video.";
+  }
+}
+
+// Typing waits a moment before searching; any other filter reloads at once
+libSearch?.addEventListener("input", () => {
+  clearTimeout(libSearchTimer);
+  libSearchTimer = setTimeout(() => {
+    libPage = 1;
+    loadLibrary();
+  }, 300);
+});
+libFilters?.addEventListener("change", (e) => {
+  if (e.target === libSearch) return;
+  libPage = 1;
+  loadLibrary();
+});
+libFilters?.addEventListener("submit", (e) => e.preventDefault());
+libPrev?.addEventListener("click", () => {
+  libPage = Math.max(1, libPage - 1);
+  loadLibrary();
+});
+libNext?.addEventListener("click", () => {
+  libPage += 1;
+  loadLibrary();
+});
+
+// ---------- Dashboard: quiz results per video and per question ----------
+let dashSelectedId = null;
+
+const fmtPct = (v) => (typeof v === "number" ? `${Math.round(v * 100)}%` : "—");
+const fmtSecs = (ms) => (typeof ms === "number" ? `${(ms / 1000).toFixed(1)}s` : "—");
+const accuracyBar = (v) =>
+  `<span class="dash-bar"><i style="width:${Math.round((v || 0) * 100)}%"></i></span>${fmtPct(v)}`;
+
+function dashQuery() {
+  return dashRange?.value ? `?days=${encodeURIComponent(dashRange.value)}` : "";
+}
+
+async function dashFetch(url) {
+  const res = await fetch(url);
+  const data = await res.json();
+  if (!res.ok || !data.ok) throw new Error(data?.error || "Could not load results.");
+  return data;
+}
+
+async function loadDashboard() {
+  dashMeta.textContent = "Loading…";
+  try {
+    const { totals, submissions } = await dashFetch(`/api/analytics/overview${dashQuery()}`);
+    dashMeta.textContent = `${totals.submissions} video(s) answered • ${totals.learners} learner(s)`;
+    dashTotals.innerHTML = [
+      [totals.attempts, "answers"],
+      [fmtPct(totals.accuracy), "correct"],
+      [fmtSecs(totals.averageLatencyMs), "avg. time to answer"],
+      [fmtSecs(totals.medianLatencyMs), "median time"]
+    ].map(([v, label]) => `<div class="dash-stat"><b>${escapeHtml(v)}</b><span>${label}</span></div>`).join("");
+
+    if (!submissions.length) {
+      dashVideos.innerHTML = `<tr><td class="helper">No quizzes yet.</td></tr>`;
+      dashDetail.hidden = true;
+      return;
+    }
+    dashVideos.innerHTML = `
+      <tr><th>Video</th><th>Questions</th><th>Answers</th><th>Accuracy</th><th>Avg. time</th><th>Completed</th><th>Last answer</th></tr>
+      ${submissions.map((s) => `
+        <tr class="is-link${s.submissionId === dashSelectedId ? " is-selected" : ""}" data-id="${escapeHtml(s.submissionId)}">
+          <td>${escapeHtml(s.prompt || s.submissionId)}</td>
+          <td>${s.questionCount}</td>
+          <td>${s.attempts}</td>
+          <td>${s.attempts ? accuracyBar(s.accuracy) : "—"}</td>
+          <td>${fmtSecs(s.averageLatencyMs)}</td>
+          <td>${s.runs ? `${fmtPct(s.completionRate)} <span class="helper">(${s.completed}/${s.runs})</span>` : "—"}</td>
+          <td>${s.lastAttemptAt ? new Date(s.lastAttemptAt).toLocaleString() : "—"}</td>
+        </tr>`).join("")}
+    `;
+    dashVideos.querySelectorAll("tr[data-id]").forEach((row) => {
+      row.addEventListener("click", () => loadDashboardDetail(row.dataset.id));
+    });
+    if (dashSelectedId) await loadDashboardDetail(dashSelectedId);
+  } catch (err) {
+    dashMeta.textContent = err.message || "Could not load results.";
+  }
+}
+
+async function loadDashboardDetail(submissionId) {
+  dashSelectedId = submissionId;
+  dashVideos.querySelectorAll("tr[data-id]").forEach((row) => row.classList.toggle("is-selected", row.dataset.id === submissionId));
+  try {
+    const d = await dashFetch(`/api/analytics/submissions/${encodeURIComponent(submissionId)}${dashQuery()}`);
+    dashDetail.hidden = false;
+    dashDetailTitle.textContent = d.prompt || d.submissionId;
+    dashDetailMeta.textContent =
+      `${d.attempts} answer(s) • ${fmtPct(d.accuracy)} correct • ${d.completed}/${d.runs} run(s) completed`;
+
+    dashQuestions.innerHTML = `
+      <tr><th>#</th><th>Question</th><th>Answers</th><th>Accuracy</th><th>Avg. time</th><th>Common wrong answers</th></tr>
+      ${d.questions.map((q) => `
+        <tr>
+          <td>${q.questionIndex + 1}</td>
+          <td>${escapeHtml(q.questionText || "—")}${q.shortAnswer ? `<div class="helper">Answer: ${escapeHtml(q.shortAnswer)}</div>` : ""}</td>
+          <td>${q.attempts}</td>
+          <td>${q.attempts ? accuracyBar(q.accuracy) : "—"}</td>
+          <td>${fmtSecs(q.averageLatencyMs)}</td>
+          <td>${q.wrongAnswers.length
+            ? q.wrongAnswers.map((w) => `${escapeHtml(w.answer || "(no answer)")} <span class="helper">×${w.count}</span>`).join("<br>")
+            : "—"}</td>
+        </tr>`).join("")}
+    `;
+
+    dashLearners.innerHTML = d.learners.length
+      ? `
+        <tr><th>Learner</th><th>Answers</th><th>Accuracy</th><th>Questions answered</th><th>Avg. time</th></tr>
+        ${d.learners.map((l) => `
+          <tr>
+            <td>${escapeHtml(l.name || l.learnerId)}</td>
+            <td>${l.attempts}</td>
+            <td>${accuracyBar(l.accuracy)}</td>
+            <td>${l.questionsAnswered}/${d.questionCount}</td>
+            <td>${fmtSecs(l.averageLatencyMs)}</td>
+          </tr>`).join("")}
+        ${d.anonymousAttempts ? `<tr><td colspan="5" class="helper">${d.anonymousAttempts} answer(s) without a learner</td></tr>` : ""}
+      `
+      : `<tr><td class="helper">No learner has answered this quiz yet.</td></tr>`;
+  } catch (err) {
+    dashDetailMeta.textContent = err.message || "Could not load results.";
+  }
+}
+
+tabDashboard?.addEventListener("click", async () => {
+  dashboardSection.hidden = false;
+  dashboardSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  await loadDashboard();
+});
+dashRange?.addEventListener("change", loadDashboard);
+dashRefresh?.addEventListener("click", loadDashboard);
+
+// ---------- Learner: whose quiz attempts get recorded ----------
+const LEARNER_KEY = "eav.learnerId";
+let currentLearner = null;
+
+function showLearner(learner) {
+  currentLearner = learner;
+  if (profileName) profileName.textContent = learner ? learner.name : "Profile";
+}
+
+async function loadLearner() {
+  const id = localStorage.getItem(LEARNER_KEY);
+  if (!id) return;
+  try {
+    const res = await fetch(`/api/learners/${encodeURIComponent(id)}`);
+    const data = await res.json();
+    if (res.ok && data.ok) showLearner(data.learner);
+    else if (res.status === 404) localStorage.removeItem(LEARNER_KEY);
+  } catch {}
+}
+
+// Picks an existing learner by name or creates one; null if the prompt is dismissed
+async function chooseLearner() {
+  const name = (window.prompt("Who's answering? Enter the learner's name.", currentLearner?.name || "") || "").trim();
+  if (!name) return null;
+  const list = await (await fetch("/api/learners")).json();
+  let learner = (list.learners || []).find((l) => l.name.toLowerCase() === name.toLowerCase());
+  if (!learner) {
+    const { res, data } = await uploadJson("/api/learners", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name })
+    });
+    if (!res.ok || !data.ok) throw new Error(data?.error || "Could not create learner.");
+    learner = data.learner;
+  }
+  localStorage.setItem(LEARNER_KEY, learner.id);
+  showLearner(learner);
+  return learner;
+}
+
+profileBtn?.addEventListener("click", () => {
+  chooseLearner().catch((err) => setStatus(err.message || "Could not set learner.", "error"));
+});
+
+// ---------- Account: sign-in, sign-out and API keys ----------
+const createSection = document.getElementById("create");
+
+function showSignedIn(user) {
+  authSection.hidden = true;
+  createSection.hidden = false;
+  accountBtn.hidden = false;
+  accountBtn.textContent = user.name || user.email;
+  accountMeta.textContent = `Signed in as ${user.email}`;
+  loadRail();
+  loadLearner();
+}
+
+function showSignedOut() {
+  authSection.hidden = false;
+  createSection.hidden = true;
+  accountBtn.hidden = true;
+  accountSection.hidden = true;
+  showLearner(null);
+}
+
+async function loadAccount() {
+  try {
+    const res = await fetch("/api/auth/me");
+    const data = await res.json();
+    if (res.ok && data.ok) showSignedIn(data.user);
+    else showSignedOut();
+  } catch {
+    showSignedOut();
+  }
+}
+
+authForm?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const mode = e.submitter?.value === "register" ? "register" : "login";
+  authStatus.textContent = mode === "register" ? "Creating account…" : "Signing in…";
+  const { res, data } = await uploadJson(`/api/auth/${mode}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      email: document.getElementById("authEmail").value,
+      password: document.getElementById("authPassword").value,
+      name: document.getElementById("authName").value
+    })
+  });
+  if (!res.ok || !data.ok) {
+    authStatus.textContent = data?.error || "Sign-in failed.";
+    return;
+  }
+  authStatus.textContent = "";
+  authForm.reset();
+  showSignedIn(data.user);
+});
+
+async function loadApiKeys() {
+  const { data } = await uploadJson("/api/auth/keys");
+  const keys = data?.keys || [];
+  apiKeyList.innerHTML = keys.length ? "" : `<div class="helper">No API keys yet.</div>`;
+  for (const key of keys) {
+    const row = document.createElement("div");
+    row.className = "key-row";
+    const used = key.lastUsedAt ? `last used ${new Date(key.lastUsedAt).toLocaleString()}` : "never used";
+    row.innerHTML = `<span><b>${escapeHtml(key.name)}</b> <code>${escapeHtml(key.preview)}</code> <span class="helper">${used}</span></span>`;
+    const revoke = document.createElement("button");
+    revoke.type = "button";
+    revoke.className = "btn ghost";
+    revoke.textContent = "Revoke";
+    revoke.addEventListener("click", async () => {
+      if (!confirm(`Revoke "${key.name}"? Clients using it stop working.`)) return;
+      await uploadJson(`/api/auth/keys/${encodeURIComponent(key.id)}`, { method: "DELETE" });
+      loadApiKeys();
+    });
+    row.appendChild(revoke);
+    apiKeyList.appendChild(row);
+  }
+}
+
+accountBtn?.addEventListener("click", () => {
+  accountSection.hidden = !accountSection.hidden;
+  apiKeyNew.hidden = true;
+  if (!accountSection.hidden) {
+    loadApiKeys();
+    accountSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+});
+
+apiKeyCreate?.addEventListener("click", async () => {
+  const { res, data } = await uploadJson("/api/auth/keys", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name: apiKeyName.value })
+  });
+  if (!res.ok || !data.ok) return alert(data?.error || "Could not create key.");
+  apiKeyName.value = "";
+  apiKeyNew.hidden = false;
+  apiKeyNew.textContent = data.key;
+  loadApiKeys();
+});
+
+signOutBtn?.addEventListener("click", async () => {
+  await fetch("/api/auth/logout", { method: "POST" });
+  // Learners belong to the account
+  localStorage.removeItem(LEARNER_KEY);
+  location.reload();
+});
+
+loadAccount();
+
 // ---------- Quiz playback: app detects wait screen and auto-starts voice (no Alexa) ----------
 async function getEchoSession(submissionId) {
   const res = await fetch(`/api/echo/session/${encodeURIComponent(submissionId)}`);
@@ -389,16 +1452,22 @@ async function getEchoSession(submissionId) {
 }
 
 async function ensureSpliceUrl(submissionId, session) {
-  const ts = session?.timeline?.spliceTimestampMs;
-  if (typeof ts !== "number") throw new Error("No splice timestamp in session.");
+  const timestamps = sessionQuestions(session).map((q) => q.timeline?.spliceTimestampMs);
+  if (!timestamps.length || timestamps.some((ts) => typeof ts !== "number")) throw new Error("No splice timestamp in session.");
   const fd = new FormData();
   fd.append("submissionId", submissionId);
-  fd.append("timestamp", String(ts));
+  fd.append("timestamps", JSON.stringify(timestamps));
   const res = await fetch("/api/splice", { method: "POST", body: fd });
   const data = await res.json();
   if (!res.ok || !data.ok) throw new Error(data?.error || "Splice failed.");
   const url = data.outputUrl || (data.outputFileName ? `/eavs/${data.outputFileName}` : null);
-  return url || null;
+  return url ? { url, captions: data.captions || null, timeline: data.timeline || null } : null;
+}
+
+// Older sessions carry a single question at the top level
+function sessionQuestions(session) {
+  if (session?.questions?.length) return session.questions;
+  return session?.timeline ? [{ index: 0, timeline: session.timeline }] : [];
 }
 
 function getSpeechRecognition() {
@@ -407,21 +1476,30 @@ function getSpeechRecognition() {
 
 async function startQuizPlayback(submissionId) {
   try {
+    // Attempts are still logged (anonymously) when no learner is picked
+    const learner = currentLearner || await chooseLearner();
     const session = await getEchoSession(submissionId);
-    const questionEndMs = session?.timeline?.questionEndMs;
-    const answerStartMs = session?.timeline?.answerStartMs;
-    if (typeof questionEndMs !== "number") throw new Error("Session missing timeline.questionEndMs.");
+    const questions = sessionQuestions(session);
+    if (!questions.length || questions.some((q) => typeof q.timeline?.questionEndMs !== "number")) {
+      throw new Error("Session missing timeline.questionEndMs.");
+    }
 
-    const videoUrl = await ensureSpliceUrl(submissionId, session);
-    if (!videoUrl) throw new Error("Could not get spliced video URL.");
+    // The saved EAV already matches the session's timeline; otherwise splice and use that splice's measured timeline
+    const spliced = session.video || await ensureSpliceUrl(submissionId, session);
+    if (!spliced) throw new Error("Could not get spliced video URL.");
+    if (spliced.timeline?.length === questions.length) {
+      questions.forEach((q, k) => { q.timeline = spliced.timeline[k]; });
+    }
 
     const overlay = document.createElement("div");
     overlay.className = "quizOverlay";
     const video = document.createElement("video");
     video.className = "quizVideo";
     video.controls = true;
-    video.src = videoUrl;
+    // session.video.url may be the HLS playlist; mp4Url is the fallback for browsers without HLS
+    setVideoSource(video, { url: spliced.mp4Url || spliced.url, hlsUrl: spliced.hlsUrl });
     video.preload = "auto";
+    setCaptionTrack(video, spliced.captions, session.language);
 
     const waitScreen = document.createElement("div");
     waitScreen.className = "quizWaitScreen";
@@ -440,13 +1518,23 @@ async function startQuizPlayback(submissionId) {
 
     let recognition = null;
     let answered = false;
+    // Checkpoint the viewer is heading towards; advances after each answer
+    let current = 0;
+    // Groups this playthrough's attempts; pausedAt starts the answer-latency clock
+    const quizSessionId = crypto.randomUUID ? crypto.randomUUID() : String(Date.now());
+    let pausedAt = 0;
 
     function showWaitScreenAndListen() {
       if (answered) return;
       answered = true;
+      const question = questions[current];
       video.pause();
+      pausedAt = performance.now();
       waitScreen.style.display = "block";
       waitScreen.classList.remove("result", "error");
+      waitScreen.querySelector("h3").textContent = questions.length > 1
+        ? `What's your answer? (${current + 1}/${questions.length})`
+        : "What's your answer?";
       const statusEl = waitScreen.querySelector(".quizStatus");
 
       const Recognition = getSpeechRecognition();
@@ -458,7 +1546,7 @@ async function startQuizPlayback(submissionId) {
       recognition = new Recognition();
       recognition.continuous = false;
       recognition.interimResults = false;
-      recognition.lang = "en-US";
+      recognition.lang = session.locale || "en-US";
 
       recognition.onstart = () => {
         waitScreen.classList.add("listening");
@@ -485,7 +1573,15 @@ async function startQuizPlayback(submissionId) {
           const res = await fetch("/api/echo/verify", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ submissionId, userAnswer: transcript.trim() })
+            body: JSON.stringify({
+              submissionId,
+              questionIndex: question.index,
+              userAnswer: transcript.trim(),
+              learnerId: learner?.id,
+              sessionId: quizSessionId,
+              channel: "browser",
+              latencyMs: Math.round(performance.now() - pausedAt)
+            })
           });
           const data = await res.json();
           const message = data?.message || (data?.correct ? "That's right!" : "Not quite.");
@@ -494,11 +1590,21 @@ async function startQuizPlayback(submissionId) {
           statusEl.textContent = "";
           const utterance = new SpeechSynthesisUtterance(message);
           utterance.rate = 0.95;
+          utterance.lang = session.locale || "en-US";
           speechSynthesis.speak(utterance);
+          const answerStartMs = question.timeline.answerStartMs;
           if (typeof answerStartMs === "number" && video.duration) {
             video.currentTime = answerStartMs / 1000;
             video.play().catch(() => {});
           }
+          // Arm the next checkpoint; its wait screen replaces this result
+          current += 1;
+          if (current < questions.length) {
+            setTimeout(() => {
+              waitScreen.style.display = "none";
+              answered = false;
+            }, 1500);
+          }
         } catch (err) {
           waitScreen.classList.add("result", "error");
           statusEl.textContent = err.message || "Verify failed.";
@@ -509,8 +1615,8 @@ async function startQuizPlayback(submissionId) {
     }
 
     video.addEventListener("timeupdate", () => {
-      if (answered) return;
-      if (video.currentTime * 1000 >= questionEndMs) showWaitScreenAndListen();
+      if (answered || current >= questions.length) return;
+      if (video.currentTime * 1000 >= questions[current].timeline.questionEndMs) showWaitScreenAndListen();
     }, { passive: true });
 
     closeBtn.addEventListener("click", () => {
@@ -1,50 +1,186 @@
-import dotenv from "dotenv";
+import "./lib/env.js";
 import express from "express";
 import cors from "cors";
 import multer from "multer";
 import fs from "fs";
 import path from "path";
 import { nanoid } from "nanoid";
-import { fileURLToPath } from "url";
-import { spawn } from "child_process";
-import { GoogleGenAI } from "@google/genai";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Load env from project root
-dotenv.config({ path: path.join(__dirname, "..", ".env") });
+import { run, FFMPEG_BIN, jobContext } from "./lib/exec.js";
+import { probeDurationSec, probeMedia, assertDecodable } from "./lib/media.js";
+import { NORMALIZE_MODE, normalizationReasons, normalizeVideo } from "./lib/normalize.js";
+import { planSplice, SPLICE_MODE, SPLICE_MODES } from "./lib/splice.js";
+import { ENCODE_PROFILES, DEFAULT_ENCODE_PROFILE, parseEncodeProfile, encodeProfile } from "./lib/encoding.js";
+import { buildCaptionCues } from "./lib/captions.js";
+import { RenderError, renderSplice, ensureRendered, publicRender, findRender, collectStaleRenders } from "./lib/renders.js";
+import { PACKAGE_STREAMS, STREAM_LADDER, STREAM_SEGMENT_MS, packageStreams } from "./lib/packaging.js";
+import { LANGUAGES, parseLanguage, languageInfo } from "./lib/language.js";
+import { verifyAnswer } from "./lib/verify.js";
+import {
+  LearnerError,
+  createLearner,
+  findLearner,
+  learnerForAlexaUser,
+  parseAttemptMeta,
+  recordAttempt,
+  learnerProgress
+} from "./lib/learners.js";
+import { analyticsOverview, submissionAnalytics } from "./lib/analytics.js";
+import { LibraryError, parseLibraryQuery, libraryPage, libraryDetail } from "./lib/library.js";
+import {
+  AuthError,
+  authenticate,
+  registerUser,
+  loginUser,
+  createSession,
+  endSession,
+  createApiKey,
+  publicUser,
+  requestToken,
+  sessionCookie
+} from "./lib/auth.js";
+import { detectSilencesAndScenes, rankInsertionPoints } from "./lib/pauses.js";
+import { ingestVideo, parseIngestUrl } from "./lib/ingest.js";
+import {
+  UPLOAD_MAX_BYTES,
+  UploadError,
+  createUpload,
+  findUpload,
+  describeUpload,
+  appendChunk,
+  completeUpload,
+  markUploadComplete,
+  withUploadLock,
+  abortUpload,
+  cleanupStaleUploads,
+  readChunk
+} from "./lib/uploads.js";
+import {
+  questionClipNumber,
+  answerClipNumber,
+  parseQuestionCount,
+  resolveQuestionCount,
+  QUIZ_RESPONSE_SCHEMA,
+  buildGeminiPrompt,
+  buildRepairPrompt,
+  validateQuizJson,
+  withQuizDefaults,
+  placeBreaks,
+  quizClips,
+  applyReviewEdits,
+  buildQuizTimeline,
+  quizTimelineFromManifest
+} from "./lib/quiz.js";
+import {
+  SERVER_DIR,
+  UPLOAD_DIR,
+  VEO_DIR,
+  SCREENSHOTS_DIR,
+  EAVS_DIR,
+  STREAMS_DIR
+} from "./lib/paths.js";
+import { hashFile, hashJson } from "./lib/hash.js";
+import { getProvider, describeProviders } from "./providers/index.js";
+import {
+  listSubmissions,
+  listSubmissionIds,
+  getSubmission,
+  insertSubmission,
+  updateSubmission,
+  listLearners,
+  listApiKeys,
+  deleteApiKey,
+  deleteExpiredAuthSessions,
+  getEavFile,
+  listRenders,
+  getJob,
+  listJobsByStatus
+} from "./lib/store.js";
+import {
+  createJob,
+  pushStep,
+  awaitReview,
+  resumeJob,
+  registerJobHandler,
+  cancelJob,
+  startJobWorkers
+} from "./lib/jobs.js";
+import { streamJobEvents, attachJobSocket } from "./lib/stream.js";
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: "2mb" }));
 
-// ---------- Paths ----------
-const UPLOAD_DIR = path.join(__dirname, "uploads");
-const DATA_DIR = path.join(__dirname, "data");
-const SUBMISSIONS_PATH = path.join(DATA_DIR, "submissions.json");
+// ---------- Auth ----------
+// Every /api route after the auth routes, and the generated assets, need a
+// signed-in user or an API key (lib/auth.js); req.user is the caller.
+function requireUser(req, res, next) {
+  const auth = authenticate(req);
+  if (!auth) return res.status(401).json({ ok: false, error: "Sign in required." });
+  req.user = auth.user;
+  req.auth = auth;
+  next();
+}
 
-const JOBS_DIR = path.join(DATA_DIR, "jobs");
+// Other users' records answer like missing ones (404), so ids can't be probed
+function ownedSubmission(req, id) {
+  const sub = getSubmission(String(id));
+  return sub && sub.ownerId === req.user.id ? sub : null;
+}
 
-const TMP_DIR = path.join(__dirname, "tmp");
-const VEO_DIR = path.join(__dirname, "veo_outputs");
-const SCREENSHOTS_DIR = path.join(__dirname, "screenshots");
+function ownedJob(req, id) {
+  const job = getJob(String(id));
+  return job && getSubmission(job.submissionId)?.ownerId === req.user.id ? job : null;
+}
 
-// Splice output dir
-const EAVS_DIR = path.join(__dirname, "EAVs");
+// /veo and /screenshots files are named <submissionId>_clipN.mp4 / <submissionId>_mid.png
+function assetOwner(name) {
+  const m = /^(.+)_(clip\d+\.mp4|mid\.png)$/.exec(name);
+  return m ? getSubmission(m[1])?.ownerId : null;
+}
 
-// Ensure dirs exist
-[UPLOAD_DIR, DATA_DIR, JOBS_DIR, TMP_DIR, VEO_DIR, SCREENSHOTS_DIR, EAVS_DIR].forEach((d) =>
-  fs.mkdirSync(d, { recursive: true })
-);
+// /eavs files are registered when spliced (see spliceWithCaptions)
+function eavOwner(name) {
+  const file = getEavFile(name);
+  return file && (file.ownerId || getSubmission(file.submissionId)?.ownerId);
+}
 
-// Ensure submissions storage exists
-if (!fs.existsSync(SUBMISSIONS_PATH)) fs.writeFileSync(SUBMISSIONS_PATH, "[]", "utf-8");
+// /streams/<output name>/...: a package belongs to whoever owns the EAV it was made from
+const streamOwner = (name) => eavOwner(`${name}.mp4`);
 
-// Serve generated assets
-app.use("/veo", express.static(VEO_DIR));
-app.use("/screenshots", express.static(SCREENSHOTS_DIR));
-app.use("/eavs", express.static(EAVS_DIR));
+// nameOf picks the part of the path ownership is decided by (default: the file name)
+const ownedFilesOnly = (ownerOf, nameOf = path.basename) => (req, res, next) => {
+  let name;
+  try {
+    name = nameOf(decodeURIComponent(req.path));
+  } catch {
+    return res.status(400).end();
+  }
+  if (ownerOf(name) !== req.user.id) return res.status(404).end();
+  next();
+};
+
+// Submissions as the API returns them: no server file paths
+function publicSubmission(sub) {
+  if (!sub) return sub;
+  const { path: _file, ...file } = sub.file || {};
+  const { path: _mezzanine, ...mezzanine } = sub.mezzanine || {};
+  return { ...sub, file: sub.file ? file : sub.file, mezzanine: sub.mezzanine ? mezzanine : sub.mezzanine };
+}
+
+// Serve generated assets (owner only)
+app.use("/veo", requireUser, ownedFilesOnly(assetOwner), express.static(VEO_DIR));
+app.use("/screenshots", requireUser, ownedFilesOnly(assetOwner), express.static(SCREENSHOTS_DIR));
+app.use("/eavs", requireUser, ownedFilesOnly(eavOwner), express.static(EAVS_DIR));
+app.use(
+  "/streams",
+  requireUser,
+  ownedFilesOnly(streamOwner, (p) => p.split("/")[1]),
+  express.static(STREAMS_DIR, {
+    setHeaders: (res, file) => {
+      if (file.endsWith(".m4s")) res.setHeader("Content-Type", "video/iso.segment");
+    }
+  })
+);
 
 // ---------- Multer config ----------
 const MAX_BYTES = 25 * 1024 * 1024; // 25MB
@@ -60,9 +196,10 @@ const storage = multer.diskStorage({
   }
 });
 
+const ALLOWED_VIDEO_TYPES = new Set(["video/mp4", "video/webm", "video/quicktime"]); // mp4, webm, mov
+
 function fileFilter(_req, file, cb) {
-  const allowed = new Set(["video/mp4", "video/webm", "video/quicktime"]); // mp4, webm, mov
-  if (!allowed.has(file.mimetype)) {
+  if (!ALLOWED_VIDEO_TYPES.has(file.mimetype)) {
     return cb(new Error("Only mp4, webm, or mov videos are allowed."), false);
   }
   cb(null, true);
@@ -74,143 +211,23 @@ const upload = multer({
   fileFilter
 });
 
-// ---------- Helpers ----------
-const runningJobs = new Map(); // jobId -> Promise
-
-function readSubmissions() {
-  return JSON.parse(fs.readFileSync(SUBMISSIONS_PATH, "utf-8"));
-}
-function writeSubmissions(items) {
-  fs.writeFileSync(SUBMISSIONS_PATH, JSON.stringify(items, null, 2), "utf-8");
-}
-
-// ---------- Job state helpers ----------
-function jobPath(jobId) {
-  return path.join(JOBS_DIR, `${jobId}.json`);
-}
-
-function writeJob(job) {
-  job.updatedAt = new Date().toISOString();
-  fs.writeFileSync(jobPath(job.id), JSON.stringify(job, null, 2), "utf-8");
-}
-
-function readJob(jobId) {
-  const p = jobPath(jobId);
-  if (!fs.existsSync(p)) return null;
-  return JSON.parse(fs.readFileSync(p, "utf-8"));
-}
-
-function createJob({ submissionId }) {
-  const id = nanoid(16);
-  const job = {
-    id,
-    submissionId,
-    status: "queued", // queued | running | done | error
-    step: "queued",
-    progress: 0,
-    message: "Queued",
-    startedAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    result: null,
-    error: null,
-    steps: []
-  };
-  writeJob(job);
-  return job;
-}
-
-function pushStep(job, { step, progress, message }) {
-  const entry = { step, progress, message, at: new Date().toISOString() };
-  job.status = "running";
-  job.step = step;
-  job.progress = progress;
-  job.message = message;
-  job.steps.push(entry);
-  writeJob(job);
-}
-
-function finishJob(job, result) {
-  job.status = "done";
-  job.step = "done";
-  job.progress = 100;
-  job.message = "Done";
-  job.result = result;
-  job.error = null;
-  writeJob(job);
-}
-
-function failJob(job, err) {
-  job.status = "error";
-  job.step = "error";
-  job.progress = Math.min(job.progress || 0, 99);
-  job.message = err?.message || "Pipeline failed";
-  job.error = { message: job.message, stack: err?.stack || null };
-  writeJob(job);
-}
-
-function run(cmd, args, opts = {}) {
-  return new Promise((resolve, reject) => {
-    const p = spawn(cmd, args, opts);
-    let out = "";
-    let err = "";
-
-    if (p.stdout) p.stdout.on("data", (d) => (out += d.toString()));
-    if (p.stderr) p.stderr.on("data", (d) => (err += d.toString()));
-
-    p.on("error", reject);
-    p.on("close", (code) => {
-      if (code === 0) return resolve({ out, err });
-      reject(new Error(`${cmd} exited ${code}\n${err}`));
-    });
-  });
+// ---------- Media validation ----------
+/**
+ * ffprobe + a short decode of an uploaded file; returns the `file.media`
+ * summary or throws a user-facing error (corrupt, no video stream, ...).
+ */
+async function inspectUpload(filePath) {
+  const media = await probeMedia(filePath);
+  await assertDecodable(filePath);
+  return media;
 }
 
-// Env-configurable bins
-const FFMPEG_BIN = process.env.FFMPEG_BIN || "ffmpeg";
-const FFPROBE_BIN =
-  process.env.FFPROBE_BIN ||
-  (typeof FFMPEG_BIN === "string"
-    ? FFMPEG_BIN.replace(/ffmpeg(\.exe)?$/i, "ffprobe$1")
-    : "ffprobe");
-const WHISPER_BIN = process.env.WHISPER_BIN || "whisper-cli";
-
-// ---------- ffprobe: audio presence ----------
-async function hasAudioStream(filePath) {
-  try {
-    const { out } = await run(FFPROBE_BIN, [
-      "-v",
-      "error",
-      "-select_streams",
-      "a",
-      "-show_entries",
-      "stream=index",
-      "-of",
-      "csv=p=0",
-      filePath
-    ]);
-    return String(out || "").trim().length > 0;
-  } catch {
-    return false;
-  }
-}
+// The normalized mezzanine when the pipeline made one, else the original upload
+const sourceVideoPath = (sub) => (sub.mezzanine?.path && fs.existsSync(sub.mezzanine.path) ? sub.mezzanine.path : sub.file.path);
 
 // ---------- Screenshot helper ----------
 async function ensureMidScreenshot(videoPath, submissionId) {
-  const { out } = await run(FFPROBE_BIN, [
-    "-v",
-    "error",
-    "-show_entries",
-    "format=duration",
-    "-of",
-    "default=noprint_wrappers=1:nokey=1",
-    videoPath
-  ]);
-
-  const durationSec = Number(String(out).trim());
-  if (!Number.isFinite(durationSec) || durationSec <= 0) {
-    throw new Error("Could not read video duration (ffprobe).");
-  }
-
+  const durationSec = await probeDurationSec(videoPath);
   const midSec = durationSec / 2;
   const pngName = `${submissionId}_mid.png`;
   const pngPath = path.join(SCREENSHOTS_DIR, pngName);
@@ -234,623 +251,974 @@ async function ensureMidScreenshot(videoPath, submissionId) {
   return { pngPath, midSec, screenshotUrl: `/screenshots/${pngName}` };
 }
 
-// ---------- Whisper helpers ----------
-function parseSrt(srt) {
-  const blocks = srt
-    .split(/\n\s*\n/)
-    .map((b) => b.trim())
-    .filter(Boolean);
-
-  const items = [];
-  const timeRe = /(\d\d:\d\d:\d\d[.,]\d\d\d)\s*-->\s*(\d\d:\d\d:\d\d[.,]\d\d\d)/;
-
-  const toMs = (t) => {
-    const [hh, mm, rest] = t.split(":");
-    const restNorm = rest.replace(".", ",");
-    const [ss, ms] = restNorm.split(",");
-    return +hh * 3600000 + +mm * 60000 + +ss * 1000 + +ms;
-  };
+// ---------- Quiz helpers ----------
+// Extra analysis calls allowed when the response fails schema validation
+const ANALYSIS_REPAIR_ATTEMPTS = Math.max(0, Number(process.env.ANALYSIS_REPAIR_ATTEMPTS ?? 1) || 0);
 
-  for (const b of blocks) {
-    const lines = b
-      .split("\n")
-      .map((l) => l.trim())
-      .filter(Boolean);
-    if (lines.length < 3) continue;
+/**
+ * Asks the analysis provider for quiz JSON, re-prompting with the validation
+ * errors (up to ANALYSIS_REPAIR_ATTEMPTS times) when the response is invalid.
+ * Whatever still fails after the last attempt falls back to withQuizDefaults();
+ * the errors are kept on the record as `validationErrors`.
+ */
+async function analyzeSubmission(sub, analyzer) {
+  const userGoal = sub.prompt || "";
+  const segments = sub.transcript?.segments || [];
+  const fullTranscript = sub.transcript?.text || "";
+  if (!segments.length) throw new Error("No timestamped transcript found.");
+
+  const durationMs = sub.file?.durationMs || Math.round((await probeDurationSec(sourceVideoPath(sub))) * 1000);
+  const questionCount = resolveQuestionCount(sub.questionCount, durationMs);
+
+  const candidates = sub.pauses?.candidates || [];
+  const language = languageInfo(sub.language).code;
+  const promptText = buildGeminiPrompt({ userGoal, segments, fullTranscript, questionCount, candidates, language });
+  const attempts = [];
+  let request = promptText;
+  let result;
+  for (let i = 0; i <= ANALYSIS_REPAIR_ATTEMPTS; i++) {
+    const rawText = await analyzer.generate({
+      promptText: request,
+      responseSchema: QUIZ_RESPONSE_SCHEMA,
+      userGoal,
+      segments,
+      questionCount,
+      language
+    });
+    result = validateQuizJson(rawText, { questionCount, durationMs });
+    attempts.push({ rawText, errors: result.errors });
+    if (!result.errors.length) break;
+    request = buildRepairPrompt({ promptText, rawText, errors: result.errors });
+  }
 
-    const m = lines[1].match(timeRe);
-    if (!m) continue;
+  const last = attempts[attempts.length - 1];
+  return {
+    provider: analyzer.name,
+    model: analyzer.model,
+    createdAt: new Date().toISOString(),
+    questionCount,
+    rawText: last.rawText,
+    valid: last.errors.length === 0,
+    validationErrors: last.errors,
+    // Earlier rejected responses; empty when the first answer was valid
+    repairs: attempts.slice(0, -1),
+    // Breaks are checked against measured pauses so a splice never lands mid-sentence
+    parsed: { ...placeBreaks(withQuizDefaults(result.parsed, { userGoal, questionCount, durationMs }), candidates), language }
+  };
+}
 
-    const text = lines.slice(2).join(" ");
-    items.push({ startMs: toMs(m[1]), endMs: toMs(m[2]), text });
-  }
+async function detectPauses(sub) {
+  const durationMs = sub.file?.durationMs || Math.round((await probeDurationSec(sourceVideoPath(sub))) * 1000);
+  const { silences, scenes } = await detectSilencesAndScenes(sourceVideoPath(sub), { durationMs });
+  const candidates = rankInsertionPoints({ silences, scenes, segments: sub.transcript?.segments || [], durationMs });
+  return { createdAt: new Date().toISOString(), silences, scenes, candidates };
+}
 
-  return items;
+function quizClipPath(submissionId, n) {
+  return path.join(VEO_DIR, `${submissionId}_clip${n}.mp4`);
 }
 
-async function transcribeWithWhisperCpp(videoPath) {
-  const modelPath = process.env.WHISPER_MODEL_PATH;
-  if (!modelPath) throw new Error("Missing WHISPER_MODEL_PATH in .env (project root).");
-  if (!fs.existsSync(modelPath)) throw new Error(`Model not found at: ${modelPath}`);
+// clip1Url/clip2Url/prompt1/prompt2 keep describing the first checkpoint
+function veoRecord(submissionId, clips) {
+  const url = (n) => `/veo/${submissionId}_clip${n}.mp4`;
+  const checkpoints = [...new Set(clips.map((c) => c.k))];
+  return {
+    updatedAt: new Date().toISOString(),
+    clip1Url: url(1),
+    clip2Url: url(2),
+    clips: checkpoints.map((k) => ({ questionUrl: url(questionClipNumber(k)), answerUrl: url(answerClipNumber(k)) })),
+    prompts: Object.fromEntries(clips.map((c) => [`prompt${c.n}`, c.prompt]))
+  };
+}
 
-  const base = `a_${Date.now()}_${nanoid(6)}`;
-  const wavPath = path.join(TMP_DIR, `${base}.wav`);
-  const outPrefix = path.join(TMP_DIR, base);
+// From spliceWithCaptions(); `manifest`: the measured segments of the output
+function eavRecord({ insertions, outputFileName, captions = null, manifest = null, encodeProfile: profile }) {
+  return {
+    updatedAt: new Date().toISOString(),
+    timestampMs: insertions[0]?.timestampMs ?? null,
+    insertions: insertions.map((ins, questionIndex) => ({ questionIndex, timestampMs: ins.timestampMs })),
+    outputFileName,
+    outputUrl: `/eavs/${outputFileName}`,
+    captions,
+    manifest,
+    encodeProfile: profile
+  };
+}
 
-  await run(FFMPEG_BIN, [
-    "-hide_banner",
-    "-loglevel",
-    "error",
-    "-i",
-    videoPath,
-    "-vn",
-    "-ac",
-    "1",
-    "-ar",
-    "16000",
-    "-c:a",
-    "pcm_s16le",
-    wavPath
-  ]);
+// ---------- Captions ----------
+// Burn captions into the picture of every EAV (per request: burnCaptions=true on /api/splice)
+const CAPTIONS_BURN_IN = ["1", "true"].includes(String(process.env.CAPTIONS_BURN_IN ?? "").toLowerCase());
+
+/** Caption cues on the spliced timeline: shifted transcript plus the question/answer lines. */
+function captionCuesFor(sub, plan) {
+  const breaks = sub?.gemini?.parsed?.breaks || [];
+  const timed = plan.insertions.map((ins, k) => ({
+    timestampMs: ins.timestampMs,
+    clips: ins.clips.map((clip, i) => {
+      const line = i === 0 ? breaks[k]?.question && `Question: ${breaks[k].question}` : breaks[k]?.answer && `Answer: ${breaks[k].answer}`;
+      return { durationMs: clip.durationMs, text: line || "" };
+    })
+  }));
+  return buildCaptionCues({ segments: sub?.transcript?.segments || [], insertions: timed });
+}
 
-  await run(WHISPER_BIN, ["-m", modelPath, "-f", wavPath, "-otxt", "-osrt", "-of", outPrefix]);
+/**
+ * Splices `insertions` into `originalPath` under EAVS_DIR, with .vtt/.srt
+ * captions next to it (burned in when asked), through the render cache: the
+ * same inputs return the existing output (lib/renders.js). Returns
+ * { insertions, outputFileName, captions, manifest, encodeProfile, renderKey, cached }
+ * for eavRecord(): the insertions as cut (sorted, clamped to the video), the
+ * captions record (null when there is nothing to caption) and the measured
+ * segment manifest of the output. New outputs are named <outputPrefix>_....
+ * mode: "full" or "fast" (stream copy; cuts may move onto keyframes, see lib/splice.js).
+ * profile: an encode profile name (lib/encoding.js); defaults to the submission's.
+ * The files belong to `sub`'s owner, or to `ownerId` when there is no submission.
+ */
+async function spliceWithCaptions({
+  sub,
+  ownerId = null,
+  originalPath,
+  sourceKept = true,
+  insertions,
+  outputPrefix,
+  burnCaptions,
+  mode = SPLICE_MODE,
+  profile = sub?.encodeProfile
+}) {
+  const encode = encodeProfile(profile);
+  const plan = await planSplice({ originalPath, insertions, mode, burnIn: burnCaptions, encode });
+  const { render, cached } = await renderSplice({
+    originalPath,
+    sourceKept,
+    plan,
+    cues: captionCuesFor(sub, plan),
+    burnCaptions,
+    mode,
+    encode,
+    submissionId: sub?.id ?? null,
+    ownerId: sub?.ownerId ?? ownerId,
+    outputPrefix
+  });
+  return {
+    insertions: plan.insertions,
+    outputFileName: render.output.fileName,
+    captions: render.output.captions,
+    manifest: render.output.manifest,
+    encodeProfile: encode.name,
+    renderKey: render.key,
+    cached
+  };
+}
 
-  const txtPath = `${outPrefix}.txt`;
-  const srtPath = `${outPrefix}.srt`;
+/**
+ * On-disk [question, answer] clip pairs for every checkpoint of a submission,
+ * or null if any is missing.
+ */
+function findQuizClipPairs(sub) {
+  const count = sub.gemini?.parsed?.breaks?.length || 1;
+  const pairs = [];
+  for (let k = 0; k < count; k++) {
+    let q = quizClipPath(sub.id, questionClipNumber(k));
+    let a = quizClipPath(sub.id, answerClipNumber(k));
+    if (k === 0 && !(fs.existsSync(q) && fs.existsSync(a)) && sub.veo?.clip1Url && sub.veo?.clip2Url) {
+      // If URLs exist but files were moved, reconstruct disk path from URL
+      q = path.join(VEO_DIR, path.basename(sub.veo.clip1Url));
+      a = path.join(VEO_DIR, path.basename(sub.veo.clip2Url));
+    }
+    if (!fs.existsSync(q) || !fs.existsSync(a)) return null;
+    pairs.push([q, a]);
+  }
+  return pairs;
+}
 
-  const text = fs.existsSync(txtPath) ? fs.readFileSync(txtPath, "utf-8").trim() : "";
-  const srt = fs.existsSync(srtPath) ? fs.readFileSync(srtPath, "utf-8") : "";
-  const segments = srt ? parseSrt(srt) : [];
+// ---------- Routes ----------
+app.get("/api/health", (_req, res) => res.json({ ok: true, providers: describeProviders() }));
 
-  try { fs.unlinkSync(wavPath); } catch {}
-  try { fs.unlinkSync(txtPath); } catch {}
-  try { fs.unlinkSync(srtPath); } catch {}
+function sendAuthError(res, err, fallback) {
+  if (err instanceof AuthError) return res.status(err.status).json({ ok: false, error: err.message });
+  res.status(500).json({ ok: false, error: err?.message || fallback });
+}
 
-  return { text, segments };
+// Signs the user in: cookie for the browser, token in the body for other clients
+function startSession(res, user) {
+  const { token, expiresAt } = createSession(user.id);
+  res.set("Set-Cookie", sessionCookie(token, expiresAt));
+  return { ok: true, user: publicUser(user), token, expiresAt };
 }
 
-// ---------- Gemini (4-line output) ----------
-function buildGeminiPrompt({ userGoal, segments, fullTranscript }) {
-  const compactSegments = segments.slice(0, 220).map((s) => ({
-    startMs: s.startMs,
-    endMs: s.endMs,
-    text: s.text
-  }));
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const user = await registerUser(req.body || {});
+    res.status(201).json(startSession(res, user));
+  } catch (err) {
+    sendAuthError(res, err, "Registration failed.");
+  }
+});
 
-  return `Return ONLY the 4 lines requested below. Do NOT include reasoning, analysis, evidence, markdown, or extra lines.
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    res.json(startSession(res, await loginUser(req.body || {})));
+  } catch (err) {
+    sendAuthError(res, err, "Sign-in failed.");
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  endSession(requestToken(req));
+  res.set("Set-Cookie", sessionCookie("", null));
+  res.json({ ok: true });
+});
 
-OUTPUT FORMAT (EXACTLY 4 LINES):
-SHOW: <show name or Unknown>
-LONGEST_BREAK_MS: <breakStartMs>-<breakEndMs> (<breakDurationMs>)
-CLIP_1_QUESTION: <single-line voiceover script, EXACTLY 8 seconds, ends with a clear question>
-CLIP_2_ANSWER: <single-line voiceover script, EXACTLY 8 seconds, immediately answers clip 1>
+app.use("/api", requireUser);
 
-RULES:
-- Both scripts must be SINGLE LINE (no newline characters). Use "..." for pauses.
-- Educational and based on USER_GOAL.
-- Do NOT imitate/impersonate any specific copyrighted character. Use show-inspired narrator vibe only.
+app.get("/api/auth/me", (req, res) => {
+  res.json({ ok: true, user: publicUser(req.user), via: req.auth.via });
+});
 
-USER_GOAL:
-${userGoal}
+// API keys for machine clients (the Alexa Lambda); managed from a signed-in session only
+app.get("/api/auth/keys", (req, res) => {
+  res.json({ ok: true, keys: listApiKeys(req.user.id) });
+});
 
-TRANSCRIPT_SEGMENTS (ms):
-${JSON.stringify(compactSegments)}
+app.post("/api/auth/keys", (req, res) => {
+  if (req.auth.via !== "session") return res.status(403).json({ ok: false, error: "API keys can only be created when signed in." });
+  const { apiKey, key } = createApiKey(req.user.id, req.body?.name);
+  res.status(201).json({ ok: true, apiKey, key });
+});
 
-FULL_TRANSCRIPT:
-${(fullTranscript || "").slice(0, 4000)}`.trim();
-}
+app.delete("/api/auth/keys/:id", (req, res) => {
+  if (req.auth.via !== "session") return res.status(403).json({ ok: false, error: "API keys can only be revoked when signed in." });
+  if (!deleteApiKey(req.params.id, req.user.id)) return res.status(404).json({ ok: false, error: "API key not found." });
+  res.json({ ok: true });
+});
 
-function parseGeminiFourLines(rawText) {
-  const lines = String(rawText || "")
-    .split("\n")
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  const showLine = lines.find((l) => l.toUpperCase().startsWith("SHOW:")) || "";
-  const breakLine = lines.find((l) => l.toUpperCase().startsWith("LONGEST_BREAK_MS:")) || "";
-  const qLine = lines.find((l) => l.toUpperCase().startsWith("CLIP_1_QUESTION:")) || "";
-  const aLine = lines.find((l) => l.toUpperCase().startsWith("CLIP_2_ANSWER:")) || "";
-
-  const show = showLine.replace(/^SHOW:\s*/i, "").trim() || "Unknown";
-
-  let breakStartMs = null,
-    breakEndMs = null,
-    breakDurationMs = null;
-  const m = breakLine.match(/LONGEST_BREAK_MS:\s*(\d+)\s*-\s*(\d+)\s*\((\d+)\)/i);
-  if (m) {
-    breakStartMs = Number(m[1]);
-    breakEndMs = Number(m[2]);
-    breakDurationMs = Number(m[3]);
+// Debug: list the caller's submission IDs (for verifying Echo/Lambda BASE_URL hits this instance)
+app.get("/api/echo/ids", (req, res) => {
+  try {
+    const submissionIds = listSubmissionIds(req.user.id);
+    res.json({ ok: true, submissionIds });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
+});
 
-  const clip1Question = qLine.replace(/^CLIP_1_QUESTION:\s*/i, "").trim();
-  const clip2Answer = aLine.replace(/^CLIP_2_ANSWER:\s*/i, "").trim();
+// Stage inputs only mention the language when it is not English, so older submissions keep their cache
+const languageInput = (sub) => {
+  const { code } = languageInfo(sub.language);
+  return code === "en" ? {} : { language: code };
+};
 
-  return {
-    show,
-    longestBreak: { breakStartMs, breakEndMs, breakDurationMs },
-    clip1Question,
-    clip2Answer
-  };
-}
+const LANGUAGE_ERROR = `language must be one of: ${Object.keys(LANGUAGES).join(", ")}`;
+const ENCODE_PROFILE_ERROR = `encodeProfile must be one of: ${Object.keys(ENCODE_PROFILES).join(", ")}`;
 
-async function callGeminiGenerateContent({ apiKey, model, promptText }) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-    model
-  )}:generateContent?key=${encodeURIComponent(apiKey)}`;
+function newSubmission({ ownerId, prompt, questionCount, language, encodeProfile: profile, file, source }) {
+  return insertSubmission({
+    id: nanoid(12),
+    ownerId,
+    createdAt: new Date().toISOString(),
+    prompt,
+    // null = auto (scaled to video length)
+    questionCount: parseQuestionCount(questionCount),
+    // Lesson language (lib/language.js); already validated by the route
+    language: parseLanguage(language),
+    // Encode profile of its spliced videos (lib/encoding.js); already validated by the route
+    encodeProfile: parseEncodeProfile(profile),
+    transcript: null,
+    gemini: null,
+    veo: null,
+    file,
+    ...(source ? { source } : {})
+  });
+}
 
-  const body = {
-    contents: [{ role: "user", parts: [{ text: promptText }] }],
-    generationConfig: { temperature: 0.3, maxOutputTokens: 900 }
-  };
+app.post("/api/upload", upload.single("video"), async (req, res) => {
+  try {
+    const prompt = (req.body?.prompt ?? "").trim();
+    if (!prompt) {
+      if (req.file?.path) fs.unlinkSync(req.file.path);
+      return res.status(400).json({ ok: false, error: "Prompt is required." });
+    }
+    if (!req.file) return res.status(400).json({ ok: false, error: "Video file is required." });
+    if (!parseLanguage(req.body?.language)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ ok: false, error: LANGUAGE_ERROR });
+    }
+    if (!parseEncodeProfile(req.body?.encodeProfile)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ ok: false, error: ENCODE_PROFILE_ERROR });
+    }
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
+    let media;
+    try {
+      media = await inspectUpload(req.file.path);
+    } catch (err) {
+      fs.unlinkSync(req.file.path);
+      return res.status(422).json({ ok: false, error: err.message });
+    }
 
-  const data = await resp.json();
-  if (!resp.ok) throw new Error(`Gemini error ${resp.status}: ${JSON.stringify(data)}`);
+    const submission = newSubmission({
+      ownerId: req.user.id,
+      prompt,
+      questionCount: req.body?.questionCount,
+      language: req.body?.language,
+      encodeProfile: req.body?.encodeProfile,
+      file: {
+        originalName: req.file.originalname,
+        storedName: req.file.filename,
+        path: req.file.path,
+        sizeBytes: req.file.size,
+        mimetype: req.file.mimetype,
+        durationMs: media.durationMs,
+        media
+      }
+    });
 
-  return data?.candidates?.[0]?.content?.parts?.map((p) => p.text || "").join("").trim() || "";
-}
+    res.json({ ok: true, submission: publicSubmission(submission) });
+  } catch {
+    res.status(500).json({ ok: false, error: "Server error." });
+  }
+});
 
-// ---------- Veo helpers ----------
-function getGenAIClient() {
-  const key = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-  if (!key) throw new Error("Missing GOOGLE_API_KEY (or GEMINI_API_KEY) in .env");
-  return new GoogleGenAI({ apiKey: key });
+// ---------- Resumable uploads ----------
+// POST creates a session, then PUT chunks at Upload-Offset until the declared
+// size is reached; the last PUT creates the submission as /api/upload does.
+// HEAD/GET report the current offset after a dropped connection.
+function sendUploadError(res, err) {
+  if (err instanceof UploadError) {
+    return res.status(err.status).json({ ok: false, error: err.message, ...err.extra });
+  }
+  res.status(500).json({ ok: false, error: err?.message || "Upload failed." });
 }
 
-async function generateVeoClip({ prompt, outFile, referenceImages, job, clipLabel }) {
-  const ai = getGenAIClient();
+app.post("/api/uploads", (req, res) => {
+  try {
+    const prompt = String(req.body?.prompt ?? "").trim();
+    if (!prompt) return res.status(400).json({ ok: false, error: "Prompt is required." });
+    if (!ALLOWED_VIDEO_TYPES.has(req.body?.mimetype)) {
+      return res.status(400).json({ ok: false, error: "Only mp4, webm, or mov videos are allowed." });
+    }
+    if (!parseLanguage(req.body?.language)) return res.status(400).json({ ok: false, error: LANGUAGE_ERROR });
+    if (!parseEncodeProfile(req.body?.encodeProfile)) return res.status(400).json({ ok: false, error: ENCODE_PROFILE_ERROR });
+
+    const created = createUpload({
+      fileName: req.body?.fileName,
+      sizeBytes: req.body?.sizeBytes,
+      mimetype: req.body.mimetype,
+      sha256: req.body?.sha256,
+      ownerId: req.user.id,
+      meta: {
+        prompt,
+        questionCount: req.body?.questionCount ?? null,
+        language: req.body?.language ?? null,
+        encodeProfile: req.body?.encodeProfile ?? null
+      }
+    });
+    res.status(201).json({ ok: true, upload: describeUpload(created) });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
-  // Veo can take a long time. We poll until it finishes.
-  // Set VEO_MAX_WAIT_MS=0 to wait indefinitely.
-  const MAX_WAIT_MS = Number(process.env.VEO_MAX_WAIT_MS ?? (60 * 60 * 1000)); // default 60 min
-  let waited = 0;
-  let pollMs = 8000;
+// Express answers HEAD with this handler too (headers only)
+// A completed session also returns the submission it became
+app.get("/api/uploads/:id", (req, res) => {
+  try {
+    const info = describeUpload(findUpload(req.params.id, req.user.id));
+    res.set({ "Upload-Offset": String(info.offset), "Upload-Length": String(info.sizeBytes), "Cache-Control": "no-store" });
+    const submission = info.submissionId ? publicSubmission(getSubmission(info.submissionId)) : undefined;
+    res.json({ ok: true, upload: info, ...(submission && { submission }) });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
-  let operation = await ai.models.generateVideos({
-    model: "veo-3.1-generate-preview",
-    prompt,
-    config: {
-      durationSeconds: 8,
-      referenceImages
+app.put("/api/uploads/:id", async (req, res) => {
+  try {
+    const target = findUpload(req.params.id, req.user.id);
+    const offset = req.get("Upload-Offset") ?? req.query.offset;
+    if (offset == null || !/^\d+$/.test(String(offset))) {
+      return res.status(400).json({ ok: false, error: "Upload-Offset header (or ?offset=) is required." });
     }
-  });
 
-  while (!operation.done) {
-    if (job) {
-      pushStep(job, {
-        step: "generation",
-        progress: Math.min(89, (job.progress ?? 70) + 1),
-        message: `Veo still generating${clipLabel ? ` (${clipLabel})` : ""}…`
+    const body = await readChunk(req);
+    await withUploadLock(target, async () => {
+      // Re-read under the lock: a request that held it may have completed the upload
+      Object.assign(target, findUpload(target.id, req.user.id));
+      // The final response was lost: this is the client's retry
+      if (target.submissionId) {
+        res.set("Upload-Offset", String(target.sizeBytes));
+        return res.json({ ok: true, complete: true, submission: publicSubmission(getSubmission(target.submissionId)) });
+      }
+
+      const { offset: next, complete } = await appendChunk(target, {
+        offset: Number(offset),
+        body,
+        checksum: req.get("Upload-Checksum")
       });
-    }
+      res.set("Upload-Offset", String(next));
+      if (!complete) return res.json({ ok: true, complete: false, upload: describeUpload(target) });
+
+      const file = await completeUpload(target);
+      try {
+        file.media = await inspectUpload(file.path);
+      } catch (err) {
+        fs.rmSync(file.path, { force: true });
+        abortUpload(target);
+        return res.status(422).json({ ok: false, error: err.message });
+      }
+      file.durationMs = file.media.durationMs;
+      const submission = newSubmission({ ...target.meta, ownerId: target.ownerId, file });
+      markUploadComplete(target, submission.id);
+      res.json({ ok: true, complete: true, submission: publicSubmission(submission) });
+    });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
-    await new Promise((r) => setTimeout(r, pollMs));
-    waited += pollMs;
+app.delete("/api/uploads/:id", (req, res) => {
+  try {
+    abortUpload(findUpload(req.params.id, req.user.id));
+    res.json({ ok: true });
+  } catch (err) {
+    sendUploadError(res, err);
+  }
+});
 
-    if (MAX_WAIT_MS > 0 && waited > MAX_WAIT_MS) {
-      throw new Error(
-        `Veo is still running after ${Math.round(waited / 60000)} minutes. ` +
-        `Increase VEO_MAX_WAIT_MS or set it to 0 to wait indefinitely.`
-      );
+// ---------- URL ingestion ----------
+// The submission exists right away (file: null); an "ingest" job downloads the
+// video and fills in `file`. Follow it like any job, then start the pipeline.
+app.post("/api/ingest", (req, res) => {
+  try {
+    const prompt = String(req.body?.prompt ?? "").trim();
+    if (!prompt) return res.status(400).json({ ok: false, error: "Prompt is required." });
+    if (!parseLanguage(req.body?.language)) return res.status(400).json({ ok: false, error: LANGUAGE_ERROR });
+    if (!parseEncodeProfile(req.body?.encodeProfile)) return res.status(400).json({ ok: false, error: ENCODE_PROFILE_ERROR });
+
+    let url;
+    try {
+      url = parseIngestUrl(req.body?.url);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
     }
 
-    pollMs = Math.min(Math.round(pollMs * 1.2), 20000);
-    operation = await ai.operations.getVideosOperation({ operation });
+    const submission = newSubmission({
+      ownerId: req.user.id,
+      prompt,
+      questionCount: req.body?.questionCount,
+      language: req.body?.language,
+      encodeProfile: req.body?.encodeProfile,
+      file: null,
+      source: { type: "url", url: url.href, status: "downloading" }
+    });
+
+    const job = createJob({ submissionId: submission.id, kind: "ingest", params: { url: url.href } });
+    res.json({ ok: true, submission: publicSubmission(submission), jobId: job.id });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Ingest failed." });
   }
+});
 
-  const videoFile = operation?.response?.generatedVideos?.[0]?.video;
-  if (!videoFile) throw new Error("Veo returned no video file.");
+async function runIngest(job) {
+  const url = new URL(job.params.url);
+  pushStep(job, { step: "download", progress: 1, message: `Downloading from ${url.hostname}…` });
+
+  // At most one progress write per whole percent (or per MB when the size is unknown)
+  let last = -1;
+  const onProgress = ({ bytes, percent }) => {
+    const mark = percent != null ? Math.floor(percent) : Math.floor((bytes || 0) / (1024 * 1024));
+    if (mark === last) return;
+    last = mark;
+    const message = percent != null ? `Downloading… ${mark}%` : `Downloading… ${mark} MB`;
+    const progress = percent != null ? Math.min(95, Math.max(1, Math.round(percent * 0.95))) : job.progress;
+    pushStep(job, { step: "download", progress, message });
+  };
 
-  await ai.files.download({
-    file: videoFile,
-    downloadPath: outFile
-  });
+  let file;
+  try {
+    file = await ingestVideo(url.href, { onProgress });
+  } catch (err) {
+    updateSubmission(job.submissionId, { "source.status": "error", "source.error": err?.message || String(err) });
+    throw err;
+  }
 
-  return outFile;
+  updateSubmission(job.submissionId, { file, "source.status": "ready" });
+  return { submissionId: job.submissionId };
 }
 
-function buildVeoPrompt({ showName, clipText, mode }) {
-  const safeShow = showName && showName !== "Unknown" ? showName : "an animated show";
-  const label = mode === "question" ? "QUESTION" : "ANSWER";
+registerJobHandler("ingest", runIngest);
 
-  return `Create an 8-second animated educational insert inspired by the vibe of ${safeShow}.
-Use the provided reference image to match the scene's visual style/setting.
-Tone: friendly narrator (not a specific character). Keep visuals simple and readable.
-The narrator delivers this ${label} line clearly:
-"${clipText}"`;
-}
-
-// ---------- FIXED: splice that uses generated VEO clips ----------
-async function probeVideoProps(filePath) {
-  // width, height, fps (as float)
-  const { out } = await run(FFPROBE_BIN, [
-    "-v",
-    "error",
-    "-select_streams",
-    "v:0",
-    "-show_entries",
-    "stream=width,height,r_frame_rate",
-    "-of",
-    "json",
-    filePath
-  ]);
+app.get("/api/submissions", (req, res) => {
+  res.json({ ok: true, submissions: listSubmissions(req.user.id).map(publicSubmission) });
+});
 
-  const json = JSON.parse(String(out || "{}"));
-  const s = json?.streams?.[0] || {};
-  const width = Number(s.width) || 1280;
-  const height = Number(s.height) || 720;
-
-  // r_frame_rate like "30000/1001" or "30/1"
-  let fps = 30;
-  if (typeof s.r_frame_rate === "string" && s.r_frame_rate.includes("/")) {
-    const [a, b] = s.r_frame_rate.split("/").map(Number);
-    if (Number.isFinite(a) && Number.isFinite(b) && b !== 0) {
-      const v = a / b;
-      if (Number.isFinite(v) && v > 0 && v < 240) fps = v;
-    }
+// Source video (the mezzanine if one was made), for the client's insertion-point editor (Range requests supported)
+app.get("/api/submissions/:id/video", (req, res) => {
+  const sub = ownedSubmission(req, req.params.id);
+  if (!sub?.file?.path || !fs.existsSync(sub.file.path)) {
+    return res.status(404).json({ ok: false, error: "Stored video file not found." });
   }
+  res.sendFile(sourceVideoPath(sub));
+});
+
+
+// ---------- One-click pipeline (server-side orchestration) ----------
+// Each stage records { inputHash, hash, file?, meta? } under sub.stages[name].
+// A retry skips a stage when its inputs hash the same and its artifact is
+// intact; ?from=<stage> forces that stage and everything after it to re-run.
+// Clip stages are clip1..clip{2N} for N checkpoints (see lib/quiz.js).
+// "package" only runs with PACKAGE_STREAMS.
+const PIPELINE_STAGES = ["normalize", "transcription", "pauses", "analysis", "screenshot", "clip<N>", "splice", "package"];
+
+function stageOrder(name) {
+  const fixed = ["normalize", "transcription", "pauses", "analysis", "screenshot"].indexOf(name);
+  if (fixed !== -1) return fixed;
+  const m = /^clip([1-9]\d*)$/.exec(String(name));
+  if (m) return 4 + Number(m[1]);
+  const last = ["splice", "package"].indexOf(name);
+  if (last !== -1) return Number.MAX_SAFE_INTEGER - 1 + last;
+  return -1;
+}
 
-  return { width, height, fps };
+async function artifactIntact(record, currentValue) {
+  if (record.file) {
+    const abs = path.join(SERVER_DIR, record.file);
+    return fs.existsSync(abs) && (await hashFile(abs)) === record.hash;
+  }
+  return hashJson(currentValue) === record.hash;
 }
 
 /**
- * ✅ Robust splice:
- * - Splits original at timestamp
- * - Inserts clip1 + clip2
- * - NORMALIZES all segments (scale + sar + fps + pix_fmt)
- * - Ensures audio exists for every segment (adds silence if missing)
+ * Runs (or skips) one pipeline stage.
+ * execute() returns { file?, value?, meta?, fields? }: `file` is the artifact on
+ * disk, `value` a JSON artifact stored under `fields`, `meta` small extras
+ * later stages need (e.g. midSec).
  */
-async function spliceWithGeneratedClips({ originalPath, timestampMs, clip1Path, clip2Path, outputPath }) {
-  const tsSec = Math.max(0, Number(timestampMs) / 1000);
-
-  // Use ORIGINAL video as the "truth" for size/fps
-  const { width, height, fps } = await probeVideoProps(originalPath);
-
-  const a0 = await hasAudioStream(originalPath);
-  const a1 = await hasAudioStream(clip1Path);
-  const a2 = await hasAudioStream(clip2Path);
-
-  // For any clip without audio, we synthesize silent audio so concat can run with audio
-  // We'll always output audio (aac) to keep "normal" MP4 behavior.
-  const needSilence1 = !a1;
-  const needSilence2 = !a2;
-
-  // video normalization applied to every segment
-  // - scale to original size
-  // - force SAR 1:1
-  // - force fps
-  // - force pixel format
-  const V = (labelIn, labelOut) =>
-    `[${labelIn}]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps.toFixed(
-      3
-    )},format=yuv420p,setpts=PTS-STARTPTS[${labelOut}]`;
-
-  // audio normalization
-  const A = (labelIn, labelOut) => `[${labelIn}]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[${labelOut}]`;
-
-  // Build filtergraph
-  // Inputs:
-  // 0 = original, 1 = clip1, 2 = clip2
-  //
-  // Create:
-  // - v0/a0 = original part A (0..ts)
-  // - v3/a3 = original part B (ts..end)
-  // - v1/a1 = clip1 normalized + optional silent audio
-  // - v2/a2 = clip2 normalized + optional silent audio
-  //
-  // Then concat n=4
-  const parts = [];
-
-  // Original Part A
-  parts.push(`[0:v]trim=0:${tsSec},setpts=PTS-STARTPTS[v0raw]`);
-  parts.push(V("v0raw", "v0"));
-  if (a0) {
-    parts.push(`[0:a]atrim=0:${tsSec},asetpts=PTS-STARTPTS[a0raw]`);
-    parts.push(A("a0raw", "a0"));
-  } else {
-    // extremely rare: original has no audio
-    parts.push(`anullsrc=r=48000:cl=stereo,atrim=0:${tsSec},asetpts=PTS-STARTPTS[a0]`);
+async function runStage(ctx, name, { step, progress, label, inputs, current, execute }) {
+  const inputHash = hashJson(inputs);
+  const prev = ctx.sub.stages?.[name];
+  // Forced stages re-run once per job; a job resumed after review keeps what it already redid
+  const forced = ctx.fromOrder != null && stageOrder(name) >= ctx.fromOrder && prev?.jobId !== ctx.job.id;
+
+  if (!forced && prev?.inputHash === inputHash && (await artifactIntact(prev, current?.(ctx.sub)))) {
+    pushStep(ctx.job, { step, progress, message: `${label} — reusing previous result` });
+    return prev;
   }
 
-  // Original Part B
-  parts.push(`[0:v]trim=${tsSec},setpts=PTS-STARTPTS[v3raw]`);
-  parts.push(V("v3raw", "v3"));
-  if (a0) {
-    parts.push(`[0:a]atrim=${tsSec},asetpts=PTS-STARTPTS[a3raw]`);
-    parts.push(A("a3raw", "a3"));
-  } else {
-    parts.push(`anullsrc=r=48000:cl=stereo,asetpts=PTS-STARTPTS[a3]`);
-  }
+  pushStep(ctx.job, { step, progress, message: `${label}…` });
+  const out = await execute();
+  const record = {
+    inputHash,
+    hash: out.file ? await hashFile(out.file) : hashJson(out.value),
+    file: out.file ? path.relative(SERVER_DIR, out.file) : null,
+    meta: out.meta || null,
+    jobId: ctx.job.id,
+    completedAt: new Date().toISOString()
+  };
+  ctx.sub = updateSubmission(ctx.sub.id, { ...(out.fields || {}), [`stages.${name}`]: record });
+  return record;
+}
+
+async function runPipeline(job) {
+  let s = getSubmission(job.submissionId);
+  if (!s) throw new Error("Submission not found during pipeline.");
+
+  const from = job.params?.from;
+  const ctx = { job, sub: s, fromOrder: from ? stageOrder(from) : null };
 
-  // Clip1 video
-  parts.push(V("1:v", "v1"));
-  if (needSilence1) {
-    // make ~8s silent audio for clip1 (your clips are 8s)
-    parts.push(`anullsrc=r=48000:cl=stereo,atrim=0:8,asetpts=PTS-STARTPTS[a1]`);
-  } else {
-    parts.push(A("1:a", "a1"));
+  // Hash/probe the original once; every stage's inputs chain back to it
+  if (!s.file?.sha256) ctx.sub = updateSubmission(s.id, { "file.sha256": await hashFile(s.file.path) });
+  if (!ctx.sub.file?.media) {
+    const media = await probeMedia(s.file.path);
+    ctx.sub = updateSubmission(s.id, { "file.media": media, "file.durationMs": media.durationMs });
   }
 
-  // Clip2 video
-  parts.push(V("2:v", "v2"));
-  if (needSilence2) {
-    parts.push(`anullsrc=r=48000:cl=stereo,atrim=0:8,asetpts=PTS-STARTPTS[a2]`);
-  } else {
-    parts.push(A("2:a", "a2"));
+  // Step 0: Normalized mezzanine for odd inputs (NORMALIZE_VIDEO)
+  const reasons = normalizationReasons(ctx.sub.file.media);
+  const normalizeStage = await runStage(ctx, "normalize", {
+    step: "normalize",
+    progress: 5,
+    label: "Normalizing video",
+    inputs: { fileHash: ctx.sub.file.sha256, reasons },
+    current: (sub) => sub.mezzanine ?? null,
+    execute: async () => {
+      if (!reasons.length) return { value: null, fields: { mezzanine: null } };
+      const mezzanine = await normalizeVideo(ctx.sub.file.path, { submissionId: ctx.sub.id, media: ctx.sub.file.media, reasons });
+      return { file: mezzanine.path, fields: { mezzanine } };
+    }
+  });
+  // Later stages key off whatever video they actually read
+  const fileHash = ctx.sub.mezzanine ? normalizeStage.hash : ctx.sub.file.sha256;
+
+  // Pre-stage submissions already carry a transcript; adopt it instead of re-transcribing
+  if (!ctx.sub.stages?.transcription && ctx.sub.transcript?.segments?.length) {
+    ctx.sub = updateSubmission(s.id, {
+      "stages.transcription": {
+        inputHash: hashJson({ fileHash }),
+        hash: hashJson(ctx.sub.transcript),
+        file: null,
+        meta: null,
+        jobId: null,
+        completedAt: ctx.sub.transcript.createdAt || null
+      }
+    });
   }
 
-  // Concat all 4
-  parts.push(`[v0][a0][v1][a1][v2][a2][v3][a3]concat=n=4:v=1:a=1[v][a]`);
+  // Step 1: Transcription
+  const transcriptStage = await runStage(ctx, "transcription", {
+    step: "transcription",
+    progress: 10,
+    label: "Transcribing audio",
+    inputs: { fileHash, ...languageInput(ctx.sub) },
+    current: (sub) => sub.transcript,
+    execute: async () => {
+      const transcriber = getProvider("transcription");
+      const { text, segments } = await transcriber.transcribe(sourceVideoPath(ctx.sub), { language: languageInfo(ctx.sub.language).code });
+      const transcript = { provider: transcriber.name, text, segments, createdAt: new Date().toISOString() };
+      return { value: transcript, fields: { transcript } };
+    }
+  });
 
-  const filter = parts.join(";");
+  // Step 2: Local pause detection (silences, scene cuts, transcript gaps)
+  const pausesStage = await runStage(ctx, "pauses", {
+    step: "analysis",
+    progress: 25,
+    label: "Detecting pauses",
+    inputs: { fileHash, transcript: transcriptStage.hash },
+    current: (sub) => sub.pauses,
+    execute: async () => {
+      const pauses = await detectPauses(ctx.sub);
+      return { value: pauses, fields: { pauses } };
+    }
+  });
 
-  const args = [
-    "-hide_banner",
-    "-loglevel",
-    "error",
-    "-i",
-    originalPath,
-    "-i",
-    clip1Path,
-    "-i",
-    clip2Path,
-    "-filter_complex",
-    filter,
-    "-map",
-    "[v]",
-    "-map",
-    "[a]",
-    "-c:v",
-    "libx264",
-    "-preset",
-    "veryfast",
-    "-crf",
-    "23",
-    "-c:a",
-    "aac",
-    "-b:a",
-    "192k",
-    "-movflags",
-    "+faststart",
-    "-y",
-    outputPath
-  ];
-
-  await run(FFMPEG_BIN, args);
-  return outputPath;
-}
+  // Step 3: Gemini analysis
+  const analyzer = getProvider("analysis");
+  await runStage(ctx, "analysis", {
+    step: "analysis",
+    progress: 35,
+    label: "Analyzing with Gemini",
+    inputs: {
+      transcript: transcriptStage.hash,
+      pauses: pausesStage.hash,
+      prompt: ctx.sub.prompt || "",
+      questionCount: ctx.sub.questionCount ?? null,
+      provider: analyzer.name,
+      model: analyzer.model,
+      ...languageInput(ctx.sub)
+    },
+    current: (sub) => sub.gemini,
+    execute: async () => {
+      const gemini = await analyzeSubmission(ctx.sub, analyzer);
+      return { value: gemini, fields: { gemini } };
+    }
+  });
 
-// ---------- Routes ----------
-app.get("/api/health", (_req, res) => res.json({ ok: true }));
+  // Review mode: park the job until the scripts are approved (POST /api/pipeline/:id/approve)
+  if (job.params?.review && !job.params?.approved) {
+    awaitReview(job, "Waiting for review of the questions and answers");
+  }
 
-// Debug: list submission IDs the server can see (for verifying Echo/Lambda BASE_URL hits this instance)
-app.get("/api/echo/ids", (_req, res) => {
-  try {
-    const submissions = readSubmissions();
-    const submissionIds = submissions.map((s) => s.id);
-    res.json({ ok: true, submissionIds });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  // Step 4: Mid screenshot
+  const screenshotStage = await runStage(ctx, "screenshot", {
+    step: "screenshot",
+    progress: 50,
+    label: "Capturing reference frame",
+    inputs: { fileHash },
+    execute: async () => {
+      const { pngPath, screenshotUrl, midSec } = await ensureMidScreenshot(sourceVideoPath(ctx.sub), ctx.sub.id);
+      return { file: pngPath, meta: { midSec, screenshotUrl } };
+    }
+  });
+  const { midSec, screenshotUrl } = screenshotStage.meta;
+  const pngPath = path.join(SERVER_DIR, screenshotStage.file);
+
+  // Step 5: Generate clips (VEO) — a question and an answer clip per checkpoint
+  const parsed = ctx.sub.gemini.parsed;
+  const clips = quizClips(parsed);
+
+  const videoProvider = getProvider("video");
+  const clipHashes = [];
+  for (const [i, clip] of clips.entries()) {
+    const clipLabel = `clip ${i + 1}/${clips.length}`;
+    const outFile = quizClipPath(ctx.sub.id, clip.n);
+    const stage = await runStage(ctx, `clip${clip.n}`, {
+      step: "generation",
+      progress: 70 + Math.floor((19 * i) / clips.length),
+      label: `Generating learning clips (${clipLabel})`,
+      inputs: { prompt: clip.prompt, screenshot: screenshotStage.hash, provider: videoProvider.name },
+      execute: async () => {
+        const screenshotReference = {
+          image: { imageBytes: fs.readFileSync(pngPath).toString("base64"), mimeType: "image/png" },
+          referenceType: "asset"
+        };
+        const onPoll = () =>
+          pushStep(job, {
+            step: "generation",
+            progress: Math.min(89, (job.progress ?? 70) + 1),
+            message: `Veo still generating (${clipLabel})…`
+          });
+        await videoProvider.generateClip({
+          prompt: clip.prompt,
+          outFile,
+          referenceImages: [screenshotReference],
+          clipLabel,
+          kind: clip.mode,
+          onPoll,
+          // Cancelling the job aborts a Veo request or poll wait in flight
+          signal: jobContext.getStore()?.signal
+        });
+        return { file: outFile };
+      }
+    });
+    clipHashes.push(stage.hash);
   }
-});
 
-app.post("/api/upload", upload.single("video"), (req, res) => {
-  try {
-    const prompt = (req.body?.prompt ?? "").trim();
-    if (!prompt) {
-      if (req.file?.path) fs.unlinkSync(req.file.path);
-      return res.status(400).json({ ok: false, error: "Prompt is required." });
+  const veo = {
+    ...veoRecord(ctx.sub.id, clips),
+    referenceScreenshotUrl: screenshotUrl,
+    midSec,
+    provider: videoProvider.name
+  };
+  ctx.sub = updateSubmission(ctx.sub.id, { veo });
+
+  // Step 6: Splice every checkpoint into the original
+  const insertions = parsed.breaks.map((b, k) => ({
+    timestampMs: b.breakStartMs,
+    clips: [quizClipPath(ctx.sub.id, questionClipNumber(k)), quizClipPath(ctx.sub.id, answerClipNumber(k))]
+  }));
+
+  const spliceStage = await runStage(ctx, "splice", {
+    step: "splicing",
+    progress: 90,
+    label: "Splicing final video",
+    inputs: {
+      fileHash,
+      clips: clipHashes,
+      timestamps: insertions.map((ins) => ins.timestampMs),
+      // Caption text comes from the transcript and the (possibly edited) scripts
+      captions: hashJson({ transcript: ctx.sub.transcript?.segments || [], breaks: parsed.breaks.map((b) => [b.question, b.answer]) }),
+      burnCaptions: CAPTIONS_BURN_IN,
+      spliceMode: SPLICE_MODE,
+      // The settings, not just the name, so a changed profile re-encodes
+      encode: encodeProfile(ctx.sub.encodeProfile)
+    },
+    execute: async () => {
+      const spliced = await spliceWithCaptions({
+        sub: ctx.sub,
+        originalPath: sourceVideoPath(ctx.sub),
+        insertions,
+        outputPrefix: "eav",
+        burnCaptions: CAPTIONS_BURN_IN
+      });
+
+      const eav = eavRecord(spliced);
+      return { file: path.join(EAVS_DIR, spliced.outputFileName), fields: { eav } };
     }
-    if (!req.file) return res.status(400).json({ ok: false, error: "Video file is required." });
+  });
 
-    const submission = {
-      id: nanoid(12),
-      createdAt: new Date().toISOString(),
-      prompt,
-      transcript: null,
-      gemini: null,
-      veo: null,
-      file: {
-        originalName: req.file.originalname,
-        storedName: req.file.filename,
-        path: req.file.path,
-        sizeBytes: req.file.size,
-        mimetype: req.file.mimetype
+  // Step 7 (PACKAGE_STREAMS): adaptive HLS/DASH renditions of the EAV
+  if (PACKAGE_STREAMS) {
+    await runStage(ctx, "package", {
+      step: "splicing",
+      progress: 95,
+      label: "Packaging adaptive streams",
+      inputs: { eav: spliceStage.hash, ladder: STREAM_LADDER, segmentMs: STREAM_SEGMENT_MS },
+      // A re-saved EAV record drops its streams, so the stored record is the artifact
+      current: (sub) => sub.eav?.streams ?? null,
+      execute: async () => {
+        const streams = await packageStreams({ videoPath: path.join(EAVS_DIR, ctx.sub.eav.outputFileName), manifest: ctx.sub.eav.manifest });
+        return { value: streams, fields: { "eav.streams": streams } };
       }
-    };
+    });
+  }
 
-    const submissions = readSubmissions();
-    submissions.unshift(submission);
-    writeSubmissions(submissions);
+  const { eav } = ctx.sub;
+  return { submissionId: ctx.sub.id, outputUrl: eav.outputUrl, outputFileName: eav.outputFileName };
+}
 
-    res.json({ ok: true, submission });
-  } catch {
-    res.status(500).json({ ok: false, error: "Server error." });
+registerJobHandler("pipeline", runPipeline);
+
+// Packages a submission's current EAV (a manually saved splice, or one from before PACKAGE_STREAMS)
+async function runPackage(job) {
+  const eav = getSubmission(job.submissionId)?.eav;
+  if (!eav?.outputFileName) throw new Error("The submission has no spliced video.");
+  pushStep(job, { step: "splicing", progress: 10, message: "Packaging adaptive streams…" });
+  const streams = await packageStreams({ videoPath: path.join(EAVS_DIR, eav.outputFileName), manifest: eav.manifest });
+  // A splice saved meanwhile replaced the EAV; its own package job covers it
+  if (getSubmission(job.submissionId)?.eav?.outputFileName === eav.outputFileName) {
+    updateSubmission(job.submissionId, { "eav.streams": streams });
   }
-});
+  return { submissionId: job.submissionId, streams };
+}
 
-app.get("/api/submissions", (_req, res) => {
-  res.json({ ok: true, submissions: readSubmissions() });
-});
+registerJobHandler("package", runPackage);
 
+app.post("/api/submissions/:id/package", (req, res) => {
+  try {
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
+    if (!sub.eav?.outputFileName) return res.status(409).json({ ok: false, error: "Splice the video first." });
+
+    const job = createJob({ submissionId: sub.id, kind: "package" });
+    res.json({ ok: true, jobId: job.id });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Failed to start packaging." });
+  }
+});
 
-// ---------- One-click pipeline (server-side orchestration) ----------
 app.post("/api/pipeline/:id", async (req, res) => {
   try {
-    const submissions = readSubmissions();
-    const sub = submissions.find((s) => s.id === req.params.id);
+    const sub = ownedSubmission(req, req.params.id);
     if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-    const job = createJob({ submissionId: sub.id });
+    if (!sub.file?.path) return res.status(409).json({ ok: false, error: "The video has not finished downloading yet." });
 
-    // Start async pipeline (do not await)
-    const p = (async () => {
-      try {
-        let latestSubs = readSubmissions();
-        let idx = latestSubs.findIndex((s) => s.id === sub.id);
-        if (idx === -1) throw new Error("Submission not found during pipeline.");
-
-        let s = latestSubs[idx];
-
-        // Step 1: Transcription
-        pushStep(job, { step: "transcription", progress: 10, message: "Transcribing audio…" });
-        if (!s.transcript?.segments?.length) {
-          const { text, segments } = await transcribeWithWhisperCpp(s.file.path);
-          s.transcript = { provider: "whisper.cpp", text, segments, createdAt: new Date().toISOString() };
-          latestSubs[idx] = s;
-          writeSubmissions(latestSubs);
-        }
-
-        // Step 2: Gemini analysis
-        pushStep(job, { step: "analysis", progress: 35, message: "Analyzing with Gemini…" });
-        latestSubs = readSubmissions();
-        idx = latestSubs.findIndex((x) => x.id === sub.id);
-        s = latestSubs[idx];
-
-        const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-        const model = process.env.GEMINI_MODEL || "gemini-2.5-flash";
-        if (!apiKey) throw new Error("Missing GEMINI_API_KEY (or GOOGLE_API_KEY) in .env");
-
-        const userGoal = s.prompt || "";
-        const segments = s.transcript?.segments || [];
-        const fullTranscript = s.transcript?.text || "";
-        if (!segments.length) throw new Error("No timestamped transcript found.");
-
-        const promptText = buildGeminiPrompt({ userGoal, segments, fullTranscript });
-        const rawText = await callGeminiGenerateContent({ apiKey, model, promptText });
-        const parsed = parseGeminiFourLines(rawText);
-
-        s.gemini = { model, createdAt: new Date().toISOString(), rawText, parsed };
-        latestSubs[idx] = s;
-        writeSubmissions(latestSubs);
-
-        // Step 3: Mid screenshot
-        pushStep(job, { step: "screenshot", progress: 50, message: "Capturing reference frame…" });
-        const { pngPath, screenshotUrl, midSec } = await ensureMidScreenshot(s.file.path, s.id);
-
-        // Step 4: Generate clips (VEO)
-        pushStep(job, { step: "generation", progress: 70, message: "Generating learning clips…" });
-        // Never fail the pipeline due to Gemini formatting drift.
-        // Force safe defaults if clips are missing.
-        if (!parsed?.clip1Question || !parsed?.clip2Answer) {
-          const goal = String(userGoal || "today’s topic").trim();
-          parsed.clip1Question ||= `Quick question: what’s the big idea behind ${goal}... and why does it matter?`;
-          parsed.clip2Answer ||= `Here’s the answer: ${goal} is about understanding the pattern and using it step-by-step, so you can solve problems confidently.`;
-        }
-        if (parsed?.clip1Question && !parsed.clip1Question.endsWith("?")) {
-          parsed.clip1Question = parsed.clip1Question.replace(/[.!\s]*$/, "?");
-        }
+    const from = req.query.from ? String(req.query.from) : null;
+    if (from && stageOrder(from) === -1) {
+      return res.status(400).json({ ok: false, error: `from must be one of: ${PIPELINE_STAGES.join(", ")}` });
+    }
 
-        const screenshotReference = {
-          image: { imageBytes: fs.readFileSync(pngPath).toString("base64"), mimeType: "image/png" },
-          referenceType: "asset"
-        };
+    // ?review=1 pauses after analysis so the scripts can be edited before Veo runs
+    const review = ["1", "true"].includes(String(req.query.review ?? ""));
 
-        const showName = parsed.show || "Unknown";
-        const prompt1 = buildVeoPrompt({ showName, clipText: parsed.clip1Question, mode: "question" });
-        const prompt2 = buildVeoPrompt({ showName, clipText: parsed.clip2Answer, mode: "answer" });
-
-        const clip1FileName = `${s.id}_clip1.mp4`;
-        const clip2FileName = `${s.id}_clip2.mp4`;
-        const clip1Path = path.join(VEO_DIR, clip1FileName);
-        const clip2Path = path.join(VEO_DIR, clip2FileName);
-
-        await generateVeoClip({ prompt: prompt1, outFile: clip1Path, referenceImages: [screenshotReference], job, clipLabel: "clip 1/2" });
-        await generateVeoClip({ prompt: prompt2, outFile: clip2Path, referenceImages: [screenshotReference], job, clipLabel: "clip 2/2" });
-
-        latestSubs = readSubmissions();
-        idx = latestSubs.findIndex((x) => x.id === sub.id);
-        s = latestSubs[idx];
-
-        s.veo = {
-          updatedAt: new Date().toISOString(),
-          referenceScreenshotUrl: screenshotUrl,
-          midSec,
-          clip1Url: `/veo/${clip1FileName}`,
-          clip2Url: `/veo/${clip2FileName}`,
-          prompts: { prompt1, prompt2 }
-        };
+    // ?encodeProfile=<name> changes the submission's profile; the splice stage re-runs for it
+    const profile = req.query.encodeProfile ? parseEncodeProfile(req.query.encodeProfile) : null;
+    if (req.query.encodeProfile && !profile) return res.status(400).json({ ok: false, error: ENCODE_PROFILE_ERROR });
+    if (profile && profile !== sub.encodeProfile) updateSubmission(sub.id, { encodeProfile: profile });
 
-        // Step 5: Splice into the original
-        pushStep(job, { step: "splicing", progress: 90, message: "Splicing final video…" });
+    // Persisted as "queued"; a worker picks it up (see lib/jobs.js)
+    const params = from || review ? { ...(from && { from }), ...(review && { review }) } : null;
+    const job = createJob({ submissionId: sub.id, params });
+    res.json({ ok: true, jobId: job.id });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Failed to start pipeline." });
+  }
+});
 
-        const breakStartMs = parsed?.longestBreak?.breakStartMs;
-        const timestampMs = Number.isFinite(breakStartMs) ? breakStartMs : Math.round((midSec || 0) * 1000);
+function findReviewJob(submissionId) {
+  return listJobsByStatus("awaiting_review").find((j) => j.submissionId === submissionId) || null;
+}
 
-        const outputFileName = `eav_${Date.now()}_${nanoid(10)}.mp4`;
-        const outputFile = path.join(EAVS_DIR, outputFileName);
+// Scripts and Veo prompts of a pipeline waiting for review
+app.get("/api/pipeline/:id/review", (req, res) => {
+  const sub = ownedSubmission(req, req.params.id);
+  if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
+
+  const parsed = sub.gemini?.parsed;
+  if (!parsed?.breaks?.length) return res.status(400).json({ ok: false, error: "No analysis to review yet." });
+
+  const clips = quizClips(parsed);
+  const promptOf = (k, mode) => clips.find((c) => c.k === k && c.mode === mode)?.prompt || "";
+  res.json({
+    ok: true,
+    jobId: findReviewJob(sub.id)?.id || null,
+    show: parsed.show,
+    breaks: parsed.breaks.map((b, k) => ({
+      index: k,
+      breakStartMs: b.breakStartMs,
+      question: b.question,
+      answer: b.answer,
+      shortAnswer: b.shortAnswer || "",
+      acceptedAnswers: b.acceptedAnswers || [],
+      difficulty: b.difficulty,
+      rationale: b.rationale,
+      questionPrompt: promptOf(k, "question"),
+      answerPrompt: promptOf(k, "answer"),
+      customPrompts: Object.keys(b.prompts || {})
+    }))
+  });
+});
 
-        await spliceWithGeneratedClips({ originalPath: s.file.path, timestampMs, clip1Path, clip2Path, outputPath: outputFile });
+app.post("/api/pipeline/:id/approve", (req, res) => {
+  try {
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-        s.eav = { updatedAt: new Date().toISOString(), timestampMs, outputFileName, outputUrl: `/eavs/${outputFileName}` };
+    const job = findReviewJob(sub.id);
+    if (!job) return res.status(409).json({ ok: false, error: "No pipeline is waiting for review." });
 
-        latestSubs[idx] = s;
-        writeSubmissions(latestSubs);
+    let { gemini } = sub;
+    if (req.body?.breaks !== undefined) {
+      const { parsed, errors } = applyReviewEdits(gemini.parsed, req.body.breaks);
+      if (errors.length) return res.status(400).json({ ok: false, error: errors.join("; "), errors });
+      gemini = { ...gemini, parsed, reviewedAt: new Date().toISOString() };
+    }
 
-        finishJob(job, { submissionId: s.id, outputUrl: s.eav.outputUrl, outputFileName: s.eav.outputFileName });
-      } catch (err) {
-        failJob(job, err);
-      } finally {
-        runningJobs.delete(job.id);
-      }
-    })();
+    // The reviewed analysis becomes the stage artifact, so the resumed run keeps it
+    updateSubmission(sub.id, { gemini, "stages.analysis.hash": hashJson(gemini) });
+    resumeJob(job.id, { approved: true });
 
-    runningJobs.set(job.id, p);
-    res.json({ ok: true, jobId: job.id });
+    res.json({ ok: true, jobId: job.id, gemini });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err?.message || "Failed to start pipeline." });
+    res.status(500).json({ ok: false, error: err?.message || "Approve failed." });
   }
 });
 
 app.get("/api/jobs/:jobId", (req, res) => {
-  const job = readJob(req.params.jobId);
+  const job = ownedJob(req, req.params.jobId);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found." });
+  res.json({ ok: true, job });
+});
+
+// Push updates: SSE here, WebSocket at /ws/jobs (see lib/stream.js)
+app.get("/api/jobs/:jobId/events", (req, res) => {
+  if (!ownedJob(req, req.params.jobId)) return res.status(404).json({ ok: false, error: "Job not found." });
+  streamJobEvents(req, res);
+});
+
+app.post("/api/jobs/:jobId/cancel", (req, res) => {
+  const job = ownedJob(req, req.params.jobId) && cancelJob(req.params.jobId);
   if (!job) return res.status(404).json({ ok: false, error: "Job not found." });
   res.json({ ok: true, job });
 });
 
 app.post("/api/transcribe/:id", async (req, res) => {
   try {
-    const submissions = readSubmissions();
-    const idx = submissions.findIndex((s) => s.id === req.params.id);
-    if (idx === -1) return res.status(404).json({ ok: false, error: "Submission not found." });
-
-    const sub = submissions[idx];
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
     if (sub.transcript?.text && sub.transcript.text.trim().length > 0) {
       return res.json({ ok: true, transcript: sub.transcript, cached: true });
     }
 
-    const { text, segments } = await transcribeWithWhisperCpp(sub.file.path);
+    const transcriber = getProvider("transcription");
+    const { text, segments } = await transcriber.transcribe(sourceVideoPath(sub), { language: languageInfo(sub.language).code });
 
-    sub.transcript = {
-      provider: "whisper.cpp",
+    const transcript = {
+      provider: transcriber.name,
       text,
       segments,
       createdAt: new Date().toISOString()
     };
+    updateSubmission(sub.id, { transcript });
 
-    submissions[idx] = sub;
-    writeSubmissions(submissions);
-
-    res.json({ ok: true, transcript: sub.transcript, cached: false });
+    res.json({ ok: true, transcript, cached: false });
   } catch (err) {
     res.status(500).json({ ok: false, error: err?.message || "Transcription failed." });
   }
 });
 
+app.post("/api/pauses/:id", async (req, res) => {
+  try {
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
+
+    const pauses = await detectPauses(sub);
+    updateSubmission(sub.id, { pauses });
+
+    res.json({ ok: true, pauses });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Pause detection failed." });
+  }
+});
+
 app.get("/api/screenshot/:id", async (req, res) => {
   try {
-    const submissions = readSubmissions();
-    const sub = submissions.find((s) => s.id === req.params.id);
+    const sub = ownedSubmission(req, req.params.id);
     if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-    const videoPath = sub.file.path;
+    const videoPath = sourceVideoPath(sub);
     if (!fs.existsSync(videoPath)) return res.status(404).json({ ok: false, error: "Video file missing on disk." });
 
     const { screenshotUrl, midSec } = await ensureMidScreenshot(videoPath, sub.id);
@@ -862,38 +1230,21 @@ app.get("/api/screenshot/:id", async (req, res) => {
 
 app.post("/api/gemini/analyze/:id", async (req, res) => {
   try {
-    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-    const model = process.env.GEMINI_MODEL || "gemini-2.5-flash";
-    if (!apiKey) return res.status(500).json({ ok: false, error: "Missing GEMINI_API_KEY (or GOOGLE_API_KEY) in .env" });
+    const analyzer = getProvider("analysis");
 
-    const submissions = readSubmissions();
-    const idx = submissions.findIndex((s) => s.id === req.params.id);
-    if (idx === -1) return res.status(404).json({ ok: false, error: "Submission not found." });
-
-    const sub = submissions[idx];
-    const userGoal = sub.prompt || "";
-    const segments = sub.transcript?.segments || [];
-    const fullTranscript = sub.transcript?.text || "";
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-    if (!segments.length) {
+    if (!sub.transcript?.segments?.length) {
       return res.status(400).json({ ok: false, error: "No timestamped transcript found. Run Transcribe first." });
     }
 
-    const promptText = buildGeminiPrompt({ userGoal, segments, fullTranscript });
-    const rawText = await callGeminiGenerateContent({ apiKey, model, promptText });
-    const parsed = parseGeminiFourLines(rawText);
+    if (!sub.pauses) sub.pauses = updateSubmission(sub.id, { pauses: await detectPauses(sub) }).pauses;
 
-    sub.gemini = {
-      model,
-      createdAt: new Date().toISOString(),
-      rawText,
-      parsed
-    };
+    const gemini = await analyzeSubmission(sub, analyzer);
+    updateSubmission(sub.id, { gemini });
 
-    submissions[idx] = sub;
-    writeSubmissions(submissions);
-
-    res.json({ ok: true, gemini: sub.gemini });
+    res.json({ ok: true, gemini });
   } catch (err) {
     res.status(500).json({ ok: false, error: err?.message || "Gemini analyze failed." });
   }
@@ -901,17 +1252,15 @@ app.post("/api/gemini/analyze/:id", async (req, res) => {
 
 app.post("/api/veo/generate/:id", async (req, res) => {
   try {
-    const submissions = readSubmissions();
-    const idx = submissions.findIndex((s) => s.id === req.params.id);
-    if (idx === -1) return res.status(404).json({ ok: false, error: "Submission not found." });
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-    const sub = submissions[idx];
     const parsed = sub.gemini?.parsed;
-    if (!parsed?.clip1Question || !parsed?.clip2Answer) {
+    if (!parsed?.breaks?.length) {
       return res.status(400).json({ ok: false, error: "Missing Gemini clips. Run Analyze with Gemini first." });
     }
 
-    const { pngPath, screenshotUrl } = await ensureMidScreenshot(sub.file.path, sub.id);
+    const { pngPath, screenshotUrl } = await ensureMidScreenshot(sourceVideoPath(sub), sub.id);
     const screenshotReference = {
       image: {
         imageBytes: fs.readFileSync(pngPath).toString("base64"),
@@ -920,64 +1269,101 @@ app.post("/api/veo/generate/:id", async (req, res) => {
       referenceType: "asset"
     };
 
-    const showName = parsed.show || "Unknown";
-
-    const prompt1 = buildVeoPrompt({ showName, clipText: parsed.clip1Question, mode: "question" });
-    const prompt2 = buildVeoPrompt({ showName, clipText: parsed.clip2Answer, mode: "answer" });
-
-    const clip1FileName = `${sub.id}_clip1.mp4`;
-    const clip2FileName = `${sub.id}_clip2.mp4`;
-    const clip1Path = path.join(VEO_DIR, clip1FileName);
-    const clip2Path = path.join(VEO_DIR, clip2FileName);
+    const videoProvider = getProvider("video");
+    const clips = quizClips(parsed);
 
-    await generateVeoClip({
-      prompt: prompt1,
-      outFile: clip1Path,
-      referenceImages: [screenshotReference]
-    });
-
-    await generateVeoClip({
-      prompt: prompt2,
-      outFile: clip2Path,
-      referenceImages: [screenshotReference]
-    });
+    for (const [i, clip] of clips.entries()) {
+      await videoProvider.generateClip({
+        prompt: clip.prompt,
+        outFile: quizClipPath(sub.id, clip.n),
+        referenceImages: [screenshotReference],
+        clipLabel: `clip ${i + 1}/${clips.length}`,
+        kind: clip.mode
+      });
+    }
 
-    sub.veo = {
-      updatedAt: new Date().toISOString(),
+    const veo = {
+      ...veoRecord(sub.id, clips),
       referenceScreenshotUrl: screenshotUrl,
-      clip1Url: `/veo/${clip1FileName}`,
-      clip2Url: `/veo/${clip2FileName}`,
-      prompts: { prompt1, prompt2 }
+      provider: videoProvider.name
     };
+    updateSubmission(sub.id, { veo });
 
-    submissions[idx] = sub;
-    writeSubmissions(submissions);
-
-    res.json({ ok: true, veo: sub.veo });
+    res.json({ ok: true, veo });
   } catch (err) {
     res.status(500).json({ ok: false, error: err?.message || "Veo generation failed." });
   }
 });
 
+// "1200,45000" or "[1200, 45000]" -> [1200, 45000]; null if any entry is invalid
+function parseTimestampList(value) {
+  let list = value;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = list.split(",");
+    }
+  }
+  if (!Array.isArray(list)) list = [list];
+  const ms = list.map((v) => Number.parseInt(String(v).trim(), 10));
+  return ms.length && ms.every((v) => Number.isFinite(v) && v >= 0) ? ms : null;
+}
+
+// Encode profiles for the encodeProfile field of uploads, /api/pipeline and /api/splice
+app.get("/api/encode-profiles", (_req, res) => {
+  res.json({
+    ok: true,
+    default: DEFAULT_ENCODE_PROFILE,
+    profiles: Object.entries(ENCODE_PROFILES).map(([name, profile]) => ({ name, ...profile }))
+  });
+});
+
 /**
  * ✅ FIXED /api/splice
- * - If submissionId provided: uses generated VEO clips for that submission.
- * - If not: falls back to server/temp/v1.mp4 and v2.mp4 (legacy).
- * - Splices by splitting original at timestamp and inserting clips in between.
+ * - If submissionId provided: uses generated VEO clips for that submission,
+ *   one question/answer pair per checkpoint.
+ * - If not: falls back to server/temp/v1.mp4 and v2.mp4 (legacy, single pair).
+ * - Insertion points: `timestamps` (list, one per checkpoint), or `timestamp`
+ *   (first checkpoint only); otherwise the analysed break positions.
+ * - save=true (submission clips only) makes the result the submission's `eav`,
+ *   e.g. after moving insertion points in the client editor.
+ * - mode=fast|full overrides SPLICE_MODE; a fast splice may move a timestamp
+ *   onto a nearby keyframe (the returned timestampsMs are the cuts made).
+ * - encodeProfile=<name> overrides the submission's encode profile (GET /api/encode-profiles).
  */
 app.post("/api/splice", upload.single("video"), async (req, res) => {
-  try {
-    const { timestamp, submissionId } = req.body;
+  // The uploaded video (if any) is only needed while this request runs; its
+  // render records that it can't be re-rendered later (lib/renders.js)
+  const cleanup = () => {
+    if (req.file?.path) try { fs.unlinkSync(req.file.path); } catch {}
+  };
 
-    if (!timestamp) {
-      if (req.file?.path) fs.unlinkSync(req.file.path);
-      return res.status(400).json({ ok: false, error: "timestamp is required." });
+  try {
+    const { timestamp, timestamps, submissionId } = req.body;
+    const save = String(req.body.save ?? "") === "true";
+    const burnCaptions = req.body.burnCaptions != null ? String(req.body.burnCaptions) === "true" : CAPTIONS_BURN_IN;
+    const mode = req.body.mode ? String(req.body.mode) : SPLICE_MODE;
+    if (!SPLICE_MODES.includes(mode)) {
+      return res.status(400).json({ ok: false, error: `mode must be one of: ${SPLICE_MODES.join(", ")}` });
+    }
+    const profile = req.body.encodeProfile ? parseEncodeProfile(req.body.encodeProfile) : null;
+    if (req.body.encodeProfile && !profile) {
+      return res.status(400).json({ ok: false, error: ENCODE_PROFILE_ERROR });
     }
 
-    const timestampMs = Number.parseInt(String(timestamp), 10);
-    if (!Number.isFinite(timestampMs) || timestampMs < 0) {
-      if (req.file?.path) fs.unlinkSync(req.file.path);
-      return res.status(400).json({ ok: false, error: "timestamp must be a non-negative integer (ms)." });
+    let requestedMs = null;
+    if (timestamps != null && timestamps !== "") {
+      requestedMs = parseTimestampList(timestamps);
+      if (!requestedMs) {
+        return res.status(400).json({ ok: false, error: "timestamps must be a list of non-negative integers (ms)." });
+      }
+    } else if (timestamp != null && timestamp !== "") {
+      const timestampMs = Number.parseInt(String(timestamp), 10);
+      if (!Number.isFinite(timestampMs) || timestampMs < 0) {
+        return res.status(400).json({ ok: false, error: "timestamp must be a non-negative integer (ms)." });
+      }
+      requestedMs = [timestampMs];
     }
 
     // Determine main video path
@@ -985,11 +1371,10 @@ app.post("/api/splice", upload.single("video"), async (req, res) => {
     let sub = null;
 
     if (submissionId) {
-      const submissions = readSubmissions();
-      sub = submissions.find((s) => s.id === submissionId);
+      sub = ownedSubmission(req, submissionId);
       if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-      mainVideoPath = sub.file?.path;
+      mainVideoPath = sub.file?.path && sourceVideoPath(sub);
       if (!mainVideoPath || !fs.existsSync(mainVideoPath)) {
         return res.status(404).json({ ok: false, error: "Stored video file not found." });
       }
@@ -999,43 +1384,23 @@ app.post("/api/splice", upload.single("video"), async (req, res) => {
       return res.status(400).json({ ok: false, error: "Either upload a video or provide a submissionId." });
     }
 
-    // Determine clip paths:
+    // Determine clip pairs:
     // 1) Prefer VEO-generated clips if submissionId exists and veo outputs exist
     // 2) Otherwise fallback to server/temp/v1.mp4 and v2.mp4
-    let clip1Path = null;
-    let clip2Path = null;
-
-    if (sub?.id) {
-      const expected1 = path.join(VEO_DIR, `${sub.id}_clip1.mp4`);
-      const expected2 = path.join(VEO_DIR, `${sub.id}_clip2.mp4`);
-      if (fs.existsSync(expected1) && fs.existsSync(expected2)) {
-        clip1Path = expected1;
-        clip2Path = expected2;
-      } else if (sub.veo?.clip1Url && sub.veo?.clip2Url) {
-        // If URLs exist but files were moved, reconstruct disk path from URL
-        const f1 = path.basename(sub.veo.clip1Url);
-        const f2 = path.basename(sub.veo.clip2Url);
-        const p1 = path.join(VEO_DIR, f1);
-        const p2 = path.join(VEO_DIR, f2);
-        if (fs.existsSync(p1) && fs.existsSync(p2)) {
-          clip1Path = p1;
-          clip2Path = p2;
-        }
-      }
+    let pairs = sub?.id ? findQuizClipPairs(sub) : null;
+    if (save && !pairs) {
+      return res.status(400).json({ ok: false, error: "save requires the submission's generated clips." });
     }
 
     // Fallback legacy clips (partner setup)
-    if (!clip1Path || !clip2Path) {
-      const tempDir = path.join(__dirname, "temp");
+    if (!pairs) {
+      const tempDir = path.join(SERVER_DIR, "temp");
       const legacy1 = path.join(tempDir, "v1.mp4");
       const legacy2 = path.join(tempDir, "v2.mp4");
-      if (fs.existsSync(legacy1) && fs.existsSync(legacy2)) {
-        clip1Path = legacy1;
-        clip2Path = legacy2;
-      }
+      if (fs.existsSync(legacy1) && fs.existsSync(legacy2)) pairs = [[legacy1, legacy2]];
     }
 
-    if (!clip1Path || !clip2Path) {
+    if (!pairs) {
       return res.status(500).json({
         ok: false,
         error:
@@ -1043,109 +1408,136 @@ app.post("/api/splice", upload.single("video"), async (req, res) => {
       });
     }
 
-    const outputFileName = `spliced_${Date.now()}_${nanoid(10)}.mp4`;
-    const outputFile = path.join(EAVS_DIR, outputFileName);
+    // Requested timestamps override the analysed ones in checkpoint order
+    const analysedMs = (sub?.gemini?.parsed?.breaks || []).map((b) => b.breakStartMs);
+    const insertions = pairs.map((clips, k) => ({ timestampMs: requestedMs?.[k] ?? analysedMs[k], clips }));
+    if (insertions.some((ins) => ins.timestampMs == null)) {
+      return res.status(400).json({
+        ok: false,
+        error: `timestamp is required (${pairs.length} insertion point${pairs.length === 1 ? "" : "s"}).`
+      });
+    }
 
-    await spliceWithGeneratedClips({
+    if (insertions.some((ins, k) => k > 0 && ins.timestampMs <= insertions[k - 1].timestampMs)) {
+      return res.status(400).json({ ok: false, error: "timestamps must be in ascending order (one per checkpoint)." });
+    }
+
+    const spliced = await spliceWithCaptions({
+      sub,
+      ownerId: req.user.id,
       originalPath: mainVideoPath,
-      timestampMs,
-      clip1Path,
-      clip2Path,
-      outputPath: outputFile
+      sourceKept: mainVideoPath !== req.file?.path,
+      insertions,
+      outputPrefix: "spliced",
+      burnCaptions,
+      mode,
+      ...(profile && { profile })
     });
-
-    // Clean up uploaded temp main video if used (no submissionId)
-    if (!submissionId && req.file?.path) {
-      try { fs.unlinkSync(req.file.path); } catch {}
+    const { outputFileName } = spliced;
+
+    let eav;
+    let packageJob;
+    if (save) {
+      eav = { ...eavRecord(spliced), source: "manual" };
+      updateSubmission(sub.id, { eav });
+      if (PACKAGE_STREAMS) packageJob = createJob({ submissionId: sub.id, kind: "package" });
     }
 
     res.json({
       ok: true,
-      output: outputFile,
       outputFileName,
-      outputUrl: `/eavs/${outputFileName}`
+      outputUrl: `/eavs/${outputFileName}`,
+      timestampsMs: spliced.insertions.map((ins) => ins.timestampMs),
+      captions: spliced.captions,
+      encodeProfile: spliced.encodeProfile,
+      // Identical requests (same files, timestamps, captions, encoding) get the same output back
+      cached: spliced.cached,
+      renderKey: spliced.renderKey,
+      // Where every part (original / question / answer) starts and ends in the output
+      manifest: spliced.manifest,
+      timeline: quizTimelineFromManifest(spliced.manifest),
+      ...(eav && { eav }),
+      // The HLS/DASH package of a saved EAV is made in the background (GET /api/jobs/:id)
+      ...(packageJob && { packageJobId: packageJob.id })
     });
   } catch (err) {
-    if (req.file?.path) try { fs.unlinkSync(req.file.path); } catch {}
     res.status(500).json({ ok: false, error: err?.message || "Splice failed." });
+  } finally {
+    cleanup();
   }
 });
 
 // ---------- Echo (Alexa) integration ----------
-const CLIP_DURATION_MS = 8000;
-
-function normalizeForComparison(text) {
-  return String(text || "")
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function getSignificantWords(text) {
-  const normalized = normalizeForComparison(text);
-  const stop = new Set(["the", "a", "an", "is", "are", "was", "were", "to", "of", "and", "or", "in", "it", "for", "that", "this", "on", "with", "as", "at", "by", "be", "have", "has", "had", "do", "does", "did", "will", "would", "could", "should", "can", "may", "might"]);
-  return normalized.split(/\s+/).filter((w) => w.length > 1 && !stop.has(w));
-}
-
-/**
- * Compare user answer to expected answer. Returns { correct, message }.
- * Uses exact match (after normalize) or keyword overlap (>= 70% of expected words present).
- */
-function verifyAnswer(expectedAnswer, userAnswer) {
-  const expectedNorm = normalizeForComparison(expectedAnswer);
-  const userNorm = normalizeForComparison(userAnswer);
-  if (!expectedNorm) return { correct: false, message: "No expected answer defined." };
-  if (!userNorm) return { correct: false, message: "No answer received." };
-
-  if (expectedNorm === userNorm) return { correct: true, message: "That's right!" };
-
-  const expectedWords = getSignificantWords(expectedAnswer);
-  const userWords = new Set(getSignificantWords(userAnswer));
-  if (expectedWords.length === 0) return { correct: true, message: "That's right!" };
-
-  const matchCount = expectedWords.filter((w) => userWords.has(w)).length;
-  const ratio = matchCount / expectedWords.length;
-  if (ratio >= 0.7) return { correct: true, message: "That's right!" };
 
+// The HLS master playlist when the EAV is packaged (segments start at every pause point), else the MP4
+function echoVideo(eav, manifest) {
+  const streams = eav.streams || null;
   return {
-    correct: false,
-    message: `Not quite. The answer was: ${expectedAnswer.slice(0, 120)}${expectedAnswer.length > 120 ? "..." : ""}`
+    url: streams?.hlsUrl || eav.outputUrl,
+    format: streams ? "hls" : "mp4",
+    mp4Url: eav.outputUrl,
+    hlsUrl: streams?.hlsUrl || null,
+    dashUrl: streams?.dashUrl || null,
+    captions: eav.captions || null,
+    durationMs: manifest.durationMs
   };
 }
 
 app.get("/api/echo/session/:submissionId", (req, res) => {
   try {
-    const submissions = readSubmissions();
-    const sub = submissions.find((s) => s.id === req.params.submissionId);
+    const sub = ownedSubmission(req, req.params.submissionId);
     if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
     const parsed = sub.gemini?.parsed;
-    if (!parsed?.clip1Question || !parsed?.clip2Answer) {
+    const breaks = parsed?.breaks?.length
+      ? parsed.breaks
+      : parsed?.clip1Question && parsed?.clip2Answer
+        ? [{ breakStartMs: parsed.longestBreak?.breakStartMs, question: parsed.clip1Question, answer: parsed.clip2Answer }]
+        : [];
+    if (!breaks.length) {
       return res.status(400).json({
         ok: false,
         error: "Run Gemini analyze first to get question and answer clips."
       });
     }
 
-    const breakStartMs = parsed.longestBreak?.breakStartMs ?? 0;
-    const questionEndMs = breakStartMs + CLIP_DURATION_MS;
-    const answerEndMs = breakStartMs + 2 * CLIP_DURATION_MS;
-
+    // The saved EAV's measured manifest when it covers every checkpoint; else estimate from the
+    // timestamps it was cut at (or the analysed ones) and the nominal clip length
+    const manifest = sub.eav?.manifest || null;
+    const measured = quizTimelineFromManifest(manifest);
+    const spliced = sub.eav?.insertions?.length === breaks.length ? sub.eav.insertions.map((i) => i.timestampMs) : null;
+    const timeline =
+      measured?.length === breaks.length ? measured : buildQuizTimeline(spliced || breaks.map((b) => b.breakStartMs ?? 0));
+
+    const questions = breaks.map((b, index) => ({
+      index,
+      questionText: b.question,
+      expectedAnswer: b.answer,
+      shortAnswer: b.shortAnswer || null,
+      timeline: timeline[index]
+    }));
+    const { insertStartMs, ...firstTimeline } = timeline[0];
+
+    const { code: language, locale } = languageInfo(sub.language);
     const payload = {
       submissionId: sub.id,
       prompt: sub.prompt,
-      questionText: parsed.clip1Question,
-      expectedAnswer: parsed.clip2Answer,
-      timeline: {
-        spliceTimestampMs: breakStartMs,
-        questionEndMs,
-        answerStartMs: questionEndMs,
-        answerEndMs
-      },
-      clipDurationMs: CLIP_DURATION_MS,
-      instructions: "To get the spliced video URL, call POST /api/splice with body { submissionId, timestamp: timeline.spliceTimestampMs }."
+      // Speech recognition/synthesis locale for the quiz (e.g. "es-ES")
+      language,
+      locale,
+      // Single-question fields describe checkpoint 0 (Alexa Lambda reads these)
+      questionText: questions[0].questionText,
+      expectedAnswer: questions[0].expectedAnswer,
+      timeline: firstTimeline,
+      questions,
+      pausePoints: timeline.map((t) => t.questionEndMs),
+      // measured: the timeline comes from the saved video's segment manifest
+      timelineSource: timeline === measured ? "manifest" : "estimated",
+      clipDurationMs: timeline[0].questionEndMs - timeline[0].insertStartMs,
+      video: timeline === measured ? echoVideo(sub.eav, manifest) : null,
+      manifest: timeline === measured ? manifest : null,
+      instructions:
+        "Play video.url when present (an HLS playlist when video.format is \"hls\", else an MP4; video.mp4Url is always the MP4); its pause/resume points are in questions[].timeline. Otherwise call POST /api/splice with body { submissionId, timestamps: questions[].timeline.spliceTimestampMs } and use its timeline. Pass questionIndex to /api/echo/verify."
     };
 
     res.json(payload);
@@ -1154,52 +1546,220 @@ app.get("/api/echo/session/:submissionId", (req, res) => {
   }
 });
 
-app.post("/api/echo/verify", (req, res) => {
+app.post("/api/echo/verify", async (req, res) => {
   try {
-    const { submissionId, userAnswer, sessionId } = req.body || {};
+    const { submissionId, userAnswer, sessionId, questionIndex = 0, learnerId, alexaUserId } = req.body || {};
     if (!submissionId) {
       return res.status(400).json({ ok: false, error: "submissionId is required." });
     }
 
-    const submissions = readSubmissions();
-    const sub = submissions.find((s) => s.id === submissionId);
+    const sub = ownedSubmission(req, submissionId);
     if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
 
-    const expectedAnswer = sub.gemini?.parsed?.clip2Answer;
-    if (!expectedAnswer) {
-      return res.status(400).json({ ok: false, error: "No expected answer for this submission. Run Gemini analyze first." });
+    const index = Number.parseInt(String(questionIndex), 10);
+    const parsed = sub.gemini?.parsed;
+    const expected = parsed?.breaks?.length ? parsed.breaks[index] : index === 0 && parsed?.clip2Answer ? { answer: parsed.clip2Answer } : null;
+    if (!expected?.answer) {
+      const error = parsed
+        ? `No question ${questionIndex} for this submission.`
+        : "No expected answer for this submission. Run Gemini analyze first.";
+      return res.status(400).json({ ok: false, error });
     }
 
-    const result = verifyAnswer(expectedAnswer, userAnswer ?? "");
+    // Who answered, and how: learnerId wins; the Lambda may send the Alexa account's userId instead
+    const meta = parseAttemptMeta(req.body);
+    const learner = learnerId
+      ? findLearner(learnerId, req.user.id)
+      : alexaUserId
+        ? learnerForAlexaUser(String(alexaUserId), req.user.id)
+        : null;
+
+    const result = await verifyAnswer(expected, userAnswer ?? "", {
+      language: languageInfo(sub.language).code,
+      embedder: getProvider("embedding")
+    });
+    const attempt = recordAttempt({
+      learnerId: learner?.id,
+      submissionId: sub.id,
+      questionIndex: index,
+      question: expected,
+      userAnswer,
+      result,
+      sessionId,
+      ...meta
+    });
     res.json({
       correct: result.correct,
       message: result.message,
+      // 0-1, and which scorer decided (exact, numeric, contains, synonym, edit-distance, keyword-overlap, embedding)
+      confidence: result.confidence,
+      rule: result.rule,
+      matched: result.matched,
+      questionIndex: index,
+      attemptId: attempt.id,
+      learnerId: learner?.id ?? null,
       ...(sessionId && { sessionId })
     });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err?.message || "Verify failed." });
+    sendLearnerError(res, err, "Verify failed.");
+  }
+});
+
+// ---------- Learners ----------
+function sendLearnerError(res, err, fallback) {
+  if (err instanceof LearnerError) return res.status(err.status).json({ ok: false, error: err.message });
+  res.status(500).json({ ok: false, error: err?.message || fallback });
+}
+
+app.post("/api/learners", (req, res) => {
+  try {
+    const learner = createLearner({ name: req.body?.name, ownerId: req.user.id });
+    res.status(201).json({ ok: true, learner });
+  } catch (err) {
+    sendLearnerError(res, err, "Could not create learner.");
+  }
+});
+
+app.get("/api/learners", (req, res) => {
+  res.json({ ok: true, learners: listLearners(req.user.id) });
+});
+
+app.get("/api/learners/:id", (req, res) => {
+  try {
+    res.json({ ok: true, learner: findLearner(req.params.id, req.user.id) });
+  } catch (err) {
+    sendLearnerError(res, err, "Could not load learner.");
+  }
+});
+
+// Which questions the learner got right over time; ?submissionId= narrows to one video
+app.get("/api/learners/:id/progress", (req, res) => {
+  try {
+    const learner = findLearner(req.params.id, req.user.id);
+    const submissionId = req.query.submissionId ? String(req.query.submissionId) : undefined;
+    res.json({ ok: true, ...learnerProgress(learner, { submissionId }) });
+  } catch (err) {
+    sendLearnerError(res, err, "Could not load progress.");
+  }
+});
+
+// ---------- Teacher analytics ----------
+// ?since=<ISO date> or ?days=<n>, and ?learnerId=; returns null on a bad filter
+function analyticsFilters(query) {
+  let since;
+  if (query.days) {
+    const days = Number(query.days);
+    if (!Number.isFinite(days) || days <= 0) return null;
+    since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  } else if (query.since) {
+    const t = Date.parse(String(query.since));
+    if (Number.isNaN(t)) return null;
+    since = new Date(t).toISOString();
+  }
+  return { since, learnerId: query.learnerId ? String(query.learnerId) : undefined };
+}
+
+const FILTER_ERROR = "since must be a date and days a positive number.";
+
+app.get("/api/analytics/overview", (req, res) => {
+  try {
+    const filters = analyticsFilters(req.query);
+    if (!filters) return res.status(400).json({ ok: false, error: FILTER_ERROR });
+    res.json({ ok: true, ...analyticsOverview({ ...filters, ownerId: req.user.id }) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Analytics failed." });
+  }
+});
+
+app.get("/api/analytics/submissions/:id", (req, res) => {
+  try {
+    const sub = ownedSubmission(req, req.params.id);
+    if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
+    const filters = analyticsFilters(req.query);
+    if (!filters) return res.status(400).json({ ok: false, error: FILTER_ERROR });
+    res.json({ ok: true, ...submissionAnalytics(sub, filters) });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Analytics failed." });
+  }
+});
+
+// ---------- Library ----------
+// ?q= searches prompt, transcript and quiz text; ?show=&tag=&status=&from=&to=&sort=&page=&pageSize=
+app.get("/api/library", (req, res) => {
+  try {
+    res.json({ ok: true, ...libraryPage(req.user.id, parseLibraryQuery(req.query)) });
+  } catch (err) {
+    if (err instanceof LibraryError) return res.status(err.status).json({ ok: false, error: err.message });
+    res.status(500).json({ ok: false, error: err?.message || "Could not load the library." });
+  }
+});
+
+// item: the library view; submission: the full record (as in GET /api/submissions) for the result view
+app.get("/api/library/:id", (req, res) => {
+  const sub = ownedSubmission(req, req.params.id);
+  if (!sub) return res.status(404).json({ ok: false, error: "Submission not found." });
+  res.json({ ok: true, item: libraryDetail(sub), submission: publicSubmission(sub) });
+});
+
+// ---------- Renders ----------
+// Cached splice outputs; a collected output is re-rendered from its edit on demand
+app.get("/api/renders", (req, res) => {
+  const submissionId = req.query.submissionId ? String(req.query.submissionId) : null;
+  const renders = listRenders(req.user.id).filter((r) => !submissionId || r.submissionId === submissionId);
+  res.json({ ok: true, renders: renders.map(publicRender) });
+});
+
+app.post("/api/renders/:key/render", async (req, res) => {
+  try {
+    const { render, rendered } = await ensureRendered(findRender(req.params.key, req.user.id));
+    res.json({ ok: true, rendered, render: publicRender(render) });
+  } catch (err) {
+    if (err instanceof RenderError) return res.status(err.status).json({ ok: false, error: err.message });
+    res.status(500).json({ ok: false, error: err?.message || "Render failed." });
   }
 });
 
 // Multer errors (like file too large)
 app.use((err, _req, res, _next) => {
   if (err?.code === "LIMIT_FILE_SIZE") {
-    return res.status(413).json({ ok: false, error: "File must be under 25 MB." });
+    return res.status(413).json({
+      ok: false,
+      error: `File must be under ${MAX_BYTES / (1024 * 1024)} MB; larger videos (up to ${Math.floor(UPLOAD_MAX_BYTES / (1024 * 1024))} MB) go through a resumable upload.`
+    });
   }
   res.status(400).json({ ok: false, error: err?.message ?? "Upload failed." });
 });
 
 // Serve client
-app.use(express.static(path.join(__dirname, "..", "client")));
+app.use(express.static(path.join(SERVER_DIR, "..", "client")));
 
 const PORT = Number(process.env.PORT) || 3000;
 
+startJobWorkers();
+
+// Abandoned resumable uploads
+cleanupStaleUploads();
+setInterval(cleanupStaleUploads, 60 * 60 * 1000).unref();
+// Render outputs nobody has asked for in a while
+collectStaleRenders();
+setInterval(collectStaleRenders, 60 * 60 * 1000).unref();
+// Expired sign-in sessions
+deleteExpiredAuthSessions();
+setInterval(deleteExpiredAuthSessions, 60 * 60 * 1000).unref();
+
 const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Providers: ${JSON.stringify(describeProviders())}`);
+  console.log(`NORMALIZE_VIDEO=${NORMALIZE_MODE}`);
   console.log(`VEO_MAX_WAIT_MS=${process.env.VEO_MAX_WAIT_MS ?? "3600000"} (set 0 to wait indefinitely)`);
 });
 
-// Avoid killing long-running requests (UI polls /api/jobs, but this makes the server resilient).
+attachJobSocket(server, {
+  authenticate: (req) => authenticate(req)?.user || null,
+  canAccessJob: (user, job) => getSubmission(job.submissionId)?.ownerId === user.id
+});
+
+// Avoid killing long-running requests (SSE job streams stay open for the whole pipeline).
 server.requestTimeout = 0;   // Node 18+
 server.headersTimeout = 0;
 server.keepAliveTimeout = 120000;
\ No newline at end of file
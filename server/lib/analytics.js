@@ -0,0 +1,159 @@
+import { listSubmissions, listAttemptsByOwner, listAttemptsBySubmission, listLearners } from "./store.js";
+import { normalizeForComparison } from "./verify.js";
+import { languageInfo } from "./language.js";
+
+/**
+ * Teacher analytics over the quiz attempt log (lib/learners.js).
+ *
+ * Latency is the time from the pause at questionEndMs to the answer, as sent
+ * by the client. A run is one playthrough: the attempts sharing a sessionId,
+ * or a learner's attempts when the channel sends none (the Alexa Lambda). A
+ * run is complete once every question of the video has an answer.
+ */
+const WRONG_ANSWERS_LIMIT = 5;
+
+// Older analyses carry a single clip1Question/clip2Answer pair
+function quizBreaks(sub) {
+  const parsed = sub?.gemini?.parsed;
+  if (parsed?.breaks?.length) return parsed.breaks;
+  return parsed?.clip1Question ? [{ question: parsed.clip1Question, answer: parsed.clip2Answer }] : [];
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return Math.round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function summarize(attempts) {
+  const correct = attempts.filter((a) => a.correct).length;
+  const latencies = attempts.map((a) => a.latencyMs).filter((ms) => typeof ms === "number");
+  return {
+    attempts: attempts.length,
+    correct,
+    accuracy: attempts.length ? Math.round((correct / attempts.length) * 1000) / 1000 : null,
+    averageLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    medianLatencyMs: median(latencies)
+  };
+}
+
+const runKey = (a) => a.sessionId || (a.learnerId ? `learner:${a.learnerId}` : `attempt:${a.id}`);
+
+function completion(attempts, questionCount) {
+  const runs = new Map();
+  for (const a of attempts) {
+    if (!runs.has(runKey(a))) runs.set(runKey(a), new Set());
+    runs.get(runKey(a)).add(a.questionIndex);
+  }
+  const completed = [...runs.values()].filter((answered) => questionCount && answered.size >= questionCount).length;
+  return {
+    runs: runs.size,
+    completed,
+    completionRate: runs.size ? Math.round((completed / runs.size) * 1000) / 1000 : null
+  };
+}
+
+// Wrong answers grouped by their normalized text; the first spelling seen is shown
+function commonWrongAnswers(attempts, language) {
+  const groups = new Map();
+  for (const a of attempts) {
+    if (a.correct) continue;
+    const key = normalizeForComparison(a.userAnswer, language);
+    if (!groups.has(key)) groups.set(key, { answer: String(a.userAnswer || "").trim(), count: 0 });
+    groups.get(key).count += 1;
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, WRONG_ANSWERS_LIMIT);
+}
+
+function filterAttempts(attempts, { since, learnerId }) {
+  return attempts.filter((a) => (!since || a.createdAt >= since) && (!learnerId || a.learnerId === learnerId));
+}
+
+/**
+ * Per-video rows for every submission of `ownerId` with a quiz, most recently
+ * active first, plus totals across them. Filters: since (ISO), learnerId.
+ */
+export function analyticsOverview({ ownerId, since, learnerId }) {
+  const owned = listSubmissions(ownerId);
+  const attempts = listAttemptsByOwner(ownerId, { since, learnerId });
+  const bySubmission = new Map();
+  for (const a of attempts) {
+    if (!bySubmission.has(a.submissionId)) bySubmission.set(a.submissionId, []);
+    bySubmission.get(a.submissionId).push(a);
+  }
+
+  const submissions = owned
+    .map((sub) => ({ sub, questionCount: quizBreaks(sub).length, list: bySubmission.get(sub.id) || [] }))
+    .filter(({ questionCount, list }) => questionCount || list.length)
+    .map(({ sub, questionCount, list }) => ({
+      submissionId: sub.id,
+      prompt: sub.prompt,
+      createdAt: sub.createdAt,
+      language: languageInfo(sub.language).code,
+      questionCount,
+      ...summarize(list),
+      ...completion(list, questionCount),
+      learners: new Set(list.map((a) => a.learnerId).filter(Boolean)).size,
+      lastAttemptAt: list.length ? list[list.length - 1].createdAt : null
+    }))
+    .sort((a, b) => String(b.lastAttemptAt || "").localeCompare(String(a.lastAttemptAt || "")) || b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    totals: {
+      ...summarize(attempts),
+      submissions: submissions.filter((s) => s.attempts).length,
+      learners: new Set(attempts.map((a) => a.learnerId).filter(Boolean)).size
+    },
+    submissions
+  };
+}
+
+/** Per-question accuracy, latency and wrong answers for one video, plus a row per learner. */
+export function submissionAnalytics(sub, { since, learnerId } = {}) {
+  const attempts = filterAttempts(listAttemptsBySubmission(sub.id), { since, learnerId });
+  const breaks = quizBreaks(sub);
+  const language = languageInfo(sub.language).code;
+
+  // Questions removed by a later re-analysis still show up if they have attempts
+  const indexes = new Set([...breaks.keys(), ...attempts.map((a) => a.questionIndex)]);
+  const questions = [...indexes]
+    .sort((a, b) => a - b)
+    .map((index) => {
+      const list = attempts.filter((a) => a.questionIndex === index);
+      return {
+        questionIndex: index,
+        questionText: breaks[index]?.question ?? list[list.length - 1]?.questionText ?? null,
+        shortAnswer: breaks[index]?.shortAnswer || breaks[index]?.answer || null,
+        ...summarize(list),
+        wrongAnswers: commonWrongAnswers(list, language)
+      };
+    });
+
+  const names = new Map(listLearners(sub.ownerId).map((l) => [l.id, l.name]));
+  const byLearner = new Map();
+  for (const a of attempts) {
+    if (!a.learnerId) continue;
+    if (!byLearner.has(a.learnerId)) byLearner.set(a.learnerId, []);
+    byLearner.get(a.learnerId).push(a);
+  }
+
+  return {
+    submissionId: sub.id,
+    prompt: sub.prompt,
+    createdAt: sub.createdAt,
+    language,
+    questionCount: breaks.length,
+    ...summarize(attempts),
+    ...completion(attempts, breaks.length),
+    questions,
+    learners: [...byLearner].map(([id, list]) => ({
+      learnerId: id,
+      name: names.get(id) ?? null,
+      ...summarize(list),
+      questionsAnswered: new Set(list.map((a) => a.questionIndex)).size,
+      lastAttemptAt: list[list.length - 1].createdAt
+    })),
+    anonymousAttempts: attempts.filter((a) => !a.learnerId).length
+  };
+}
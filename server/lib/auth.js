@@ -0,0 +1,183 @@
+import "./env.js";
+import crypto from "crypto";
+import { promisify } from "util";
+import { nanoid } from "nanoid";
+import {
+  insertUser,
+  getUser,
+  getUserByEmail,
+  claimUnownedRecords,
+  insertAuthSession,
+  getAuthSession,
+  deleteAuthSession,
+  insertApiKey,
+  getApiKeyByHash,
+  touchApiKey
+} from "./store.js";
+
+/**
+ * Accounts and authentication.
+ *
+ * People sign in with email + password and get a session token, sent back as
+ * an HttpOnly cookie (so <video src="/eavs/..."> works) and in the response
+ * body for `Authorization: Bearer` use. Machine clients such as the Alexa
+ * Lambda use API keys ("eav_..."), as a Bearer token or `X-API-Key`. Only
+ * SHA-256 hashes of session tokens and keys are stored.
+ */
+export const SESSION_COOKIE = "eav_session";
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const API_KEY_PREFIX = "eav_";
+const PASSWORD_MIN_LENGTH = 8;
+// The account that takes over submissions and learners from before accounts existed
+const LEGACY_OWNER_EMAIL = String(process.env.LEGACY_OWNER_EMAIL || "").trim().toLowerCase();
+
+const scrypt = promisify(crypto.scrypt);
+
+/** Error carrying an HTTP status for the auth routes and middleware. */
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function checkPassword(password, stored) {
+  const [, salt, hash] = String(stored || "").split("$");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/** What the API returns for a user (never the password hash). */
+export function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, createdAt: user.createdAt };
+}
+
+// Nothing is claimed unless the operator named the account in LEGACY_OWNER_EMAIL
+function claimLegacyRecords(user) {
+  if (!LEGACY_OWNER_EMAIL || user.email !== LEGACY_OWNER_EMAIL) return;
+  const claimed = claimUnownedRecords(user.id);
+  if (claimed.submissions || claimed.learners) {
+    console.log(`${user.email} took over ${claimed.submissions} submission(s) and ${claimed.learners} learner(s)`);
+  }
+}
+
+/**
+ * The LEGACY_OWNER_EMAIL account also takes over the submissions and learners
+ * created before accounts existed, when it registers or signs in.
+ */
+export async function registerUser({ email, password, name }) {
+  const cleanEmail = String(email ?? "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) throw new AuthError(400, "A valid email is required.");
+  if (String(password ?? "").length < PASSWORD_MIN_LENGTH) {
+    throw new AuthError(400, `password must be at least ${PASSWORD_MIN_LENGTH} characters.`);
+  }
+  if (getUserByEmail(cleanEmail)) throw new AuthError(409, "An account with this email already exists.");
+
+  const user = insertUser({
+    id: nanoid(12),
+    createdAt: new Date().toISOString(),
+    email: cleanEmail,
+    name: String(name ?? "").trim() || cleanEmail.split("@")[0],
+    passwordHash: await hashPassword(String(password))
+  });
+  claimLegacyRecords(user);
+  return user;
+}
+
+export async function loginUser({ email, password }) {
+  const user = getUserByEmail(String(email ?? "").trim().toLowerCase());
+  if (!user || !(await checkPassword(String(password ?? ""), user.passwordHash))) {
+    throw new AuthError(401, "Wrong email or password.");
+  }
+  claimLegacyRecords(user);
+  return user;
+}
+
+/** Returns { token, expiresAt }; the token is only ever shown here. */
+export function createSession(userId) {
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  insertAuthSession({ tokenHash: sha256(token), userId, expiresAt });
+  return { token, expiresAt };
+}
+
+export function endSession(token) {
+  if (token) deleteAuthSession(sha256(token));
+}
+
+/** Returns { apiKey, key }; `key` is only ever shown here. */
+export function createApiKey(userId, name) {
+  const key = `${API_KEY_PREFIX}${randomToken()}`;
+  const apiKey = insertApiKey(
+    {
+      id: nanoid(12),
+      userId,
+      createdAt: new Date().toISOString(),
+      name: String(name ?? "").trim() || "API key",
+      // Enough to tell keys apart in a list
+      preview: `${key.slice(0, API_KEY_PREFIX.length + 4)}…`,
+      lastUsedAt: null
+    },
+    sha256(key)
+  );
+  return { apiKey, key };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    try {
+      cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {} // malformed escapes: ignore that cookie
+  }
+  return cookies;
+}
+
+/** The credential on a request: Bearer token, X-API-Key, or the session cookie. */
+export function requestToken(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1];
+  return bearer || req.headers["x-api-key"] || parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Resolves the request's credential to { user, via: "session" | "apiKey", apiKeyId? },
+ * or null when there is none or it is unknown/expired.
+ */
+export function authenticate(req) {
+  const token = requestToken(req);
+  if (!token) return null;
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const apiKey = getApiKeyByHash(sha256(token));
+    const user = apiKey && getUser(apiKey.userId);
+    if (!user) return null;
+    // One write a minute at most; video playback makes many range requests
+    if (!apiKey.lastUsedAt || Date.now() - Date.parse(apiKey.lastUsedAt) > 60 * 1000) touchApiKey(apiKey.id);
+    return { user, via: "apiKey", apiKeyId: apiKey.id };
+  }
+
+  const session = getAuthSession(sha256(token));
+  const user = session && getUser(session.userId);
+  return user ? { user, via: "session" } : null;
+}
+
+export function sessionCookie(token, expiresAt) {
+  const attrs = [`${SESSION_COOKIE}=${encodeURIComponent(token)}`, "Path=/", "HttpOnly", "SameSite=Lax"];
+  if (expiresAt) attrs.push(`Expires=${new Date(expiresAt).toUTCString()}`);
+  else attrs.push("Max-Age=0");
+  if (process.env.COOKIE_SECURE === "true") attrs.push("Secure");
+  return attrs.join("; ");
+}
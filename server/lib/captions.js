@@ -0,0 +1,72 @@
+import fs from "fs";
+
+/**
+ * Captions for a spliced EAV: the original transcript segments shifted past
+ * every insertion, plus a cue for each inserted question/answer clip.
+ *
+ * insertions: [{ timestampMs, clips: [{ durationMs, text }] }] (sorted or not)
+ * Returns cues [{ startMs, endMs, text }] on the output timeline.
+ */
+export function buildCaptionCues({ segments = [], insertions = [] }) {
+  const sorted = [...insertions].sort((a, b) => a.timestampMs - b.timestampMs);
+  const cues = [];
+
+  // Output time of an original-timeline instant; `after` = the instant sits just after an insertion at the same ms
+  const shift = (ms, after) =>
+    sorted.reduce((acc, ins) => {
+      const inserted = ins.clips.reduce((sum, c) => sum + c.durationMs, 0);
+      return ins.timestampMs < ms || (after && ins.timestampMs === ms) ? acc + inserted : acc;
+    }, 0);
+
+  for (const seg of segments) {
+    const text = String(seg.text || "").trim();
+    if (!text || !(seg.endMs > seg.startMs)) continue;
+    // A segment spanning an insertion point is split around the inserted clips
+    const cuts = sorted.map((ins) => ins.timestampMs).filter((ms) => ms > seg.startMs && ms < seg.endMs);
+    const bounds = [seg.startMs, ...cuts, seg.endMs];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      cues.push({
+        startMs: bounds[i] + shift(bounds[i], true),
+        endMs: bounds[i + 1] + shift(bounds[i + 1], false),
+        text
+      });
+    }
+  }
+
+  for (const ins of sorted) {
+    let at = ins.timestampMs + shift(ins.timestampMs, false);
+    for (const clip of ins.clips) {
+      if (clip.text) cues.push({ startMs: at, endMs: at + clip.durationMs, text: clip.text });
+      at += clip.durationMs;
+    }
+  }
+
+  return cues.sort((a, b) => a.startMs - b.startMs);
+}
+
+function stamp(ms, sep) {
+  const t = Math.max(0, Math.round(ms));
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(t / 3600000))}:${pad(Math.floor(t / 60000) % 60)}:${pad(Math.floor(t / 1000) % 60)}${sep}${pad(t % 1000, 3)}`;
+}
+
+// Cue text must not contain a blank line (it would end the cue) or "-->"
+const cueText = (text) => String(text).replace(/\s*\n\s*/g, "\n").replace(/-->/g, "->");
+
+export function toWebVtt(cues) {
+  const body = cues.map((c) => `${stamp(c.startMs, ".")} --> ${stamp(c.endMs, ".")}\n${cueText(c.text)}`);
+  return `WEBVTT\n\n${body.join("\n\n")}\n`;
+}
+
+export function toSrt(cues) {
+  return `${cues.map((c, i) => `${i + 1}\n${stamp(c.startMs, ",")} --> ${stamp(c.endMs, ",")}\n${cueText(c.text)}`).join("\n\n")}\n`;
+}
+
+/** Writes `<base>.vtt` and `<base>.srt` next to each other. Returns both paths. */
+export function writeCaptionFiles(basePath, cues) {
+  const vttPath = `${basePath}.vtt`;
+  const srtPath = `${basePath}.srt`;
+  fs.writeFileSync(vttPath, toWebVtt(cues));
+  fs.writeFileSync(srtPath, toSrt(cues));
+  return { vttPath, srtPath };
+}
@@ -0,0 +1,115 @@
+import "./env.js";
+
+/**
+ * Encode profiles of the spliced video. A submission keeps the profile it was
+ * created with (`encodeProfile`, default ENCODE_PROFILE); /api/splice can
+ * override it per request. The resolved profile is part of the render cache
+ * key (lib/renders.js), so each profile gets its own output.
+ *
+ * size: null keeps the original's size; otherwise every part is fitted into
+ * width x height, letterboxed ("pad") or filled and trimmed ("crop").
+ * loudnorm: EBU R128 targets for the whole output's audio, or null to leave
+ * levels as they are. maxrate caps the bitrate of a CRF encode.
+ */
+export const ENCODE_PROFILES = {
+  // The settings every splice used before profiles existed
+  web: {
+    label: "Web (original size)",
+    videoCodec: "libx264",
+    preset: "veryfast",
+    crf: 23,
+    maxrate: null,
+    size: null,
+    fit: "pad",
+    audioCodec: "aac",
+    audioBitrate: "192k",
+    loudnorm: null
+  },
+  // 960x480 screen, small speaker, often on school Wi-Fi
+  "echo-show-5": {
+    label: "Echo Show 5 (960x480)",
+    videoCodec: "libx264",
+    preset: "veryfast",
+    crf: 26,
+    maxrate: "1500k",
+    size: { width: 960, height: 480 },
+    fit: "pad",
+    audioCodec: "aac",
+    audioBitrate: "128k",
+    loudnorm: { I: -16, TP: -1.5, LRA: 11 }
+  },
+  archive: {
+    label: "Archive (HEVC, high quality)",
+    videoCodec: "libx265",
+    preset: "medium",
+    crf: 20,
+    maxrate: null,
+    size: null,
+    fit: "pad",
+    audioCodec: "aac",
+    audioBitrate: "256k",
+    loudnorm: null
+  },
+  "vertical-9:16": {
+    label: "Vertical 9:16 (1080x1920)",
+    videoCodec: "libx264",
+    preset: "veryfast",
+    crf: 23,
+    maxrate: "6000k",
+    size: { width: 1080, height: 1920 },
+    fit: "crop",
+    audioCodec: "aac",
+    audioBitrate: "192k",
+    loudnorm: { I: -14, TP: -1, LRA: 11 }
+  }
+};
+
+export const DEFAULT_ENCODE_PROFILE = ENCODE_PROFILES[process.env.ENCODE_PROFILE] ? process.env.ENCODE_PROFILE : "web";
+
+/** "Archive" or " archive " -> "archive". Empty -> DEFAULT_ENCODE_PROFILE. Unknown -> null. */
+export function parseEncodeProfile(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (!raw) return DEFAULT_ENCODE_PROFILE;
+  return ENCODE_PROFILES[raw] ? raw : null;
+}
+
+/** { name, ...settings } of a stored name (older submissions have none). */
+export function encodeProfile(name) {
+  const key = ENCODE_PROFILES[name] ? name : DEFAULT_ENCODE_PROFILE;
+  return { name: key, ...ENCODE_PROFILES[key] };
+}
+
+// ---------- ffmpeg arguments ----------
+/** Filter fitting a picture into width x height: letterboxed ("pad") or filled and trimmed ("crop"). */
+export function fitFilter(width, height, fit = "pad") {
+  return fit === "crop"
+    ? `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`
+    : `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+}
+
+/** Audio filter normalizing loudness, or null when the profile leaves levels alone. */
+export function loudnormFilter(encode) {
+  const target = encode.loudnorm;
+  // loudnorm outputs 192 kHz; back to the format every part was normalized to
+  return target
+    ? `loudnorm=I=${target.I}:TP=${target.TP}:LRA=${target.LRA},aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo`
+    : null;
+}
+
+export function videoEncodeArgs(encode) {
+  return [
+    "-c:v",
+    encode.videoCodec,
+    "-preset",
+    encode.preset,
+    "-crf",
+    String(encode.crf),
+    ...(encode.maxrate ? ["-maxrate", encode.maxrate, "-bufsize", `${parseInt(encode.maxrate, 10) * 2}k`] : []),
+    // Apple players only take HEVC in MP4 tagged hvc1
+    ...(encode.videoCodec === "libx265" ? ["-tag:v", "hvc1"] : [])
+  ];
+}
+
+export function audioEncodeArgs(encode) {
+  return ["-c:a", encode.audioCodec, "-b:a", encode.audioBitrate];
+}
@@ -0,0 +1,9 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load env from project root. Imported first by every module that reads
+// process.env at load time, since ESM evaluates imports before index.js runs.
+dotenv.config({ path: path.join(__dirname, "..", "..", ".env") });
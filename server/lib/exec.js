@@ -0,0 +1,50 @@
+import "./env.js";
+import { spawn } from "child_process";
+import { AsyncLocalStorage } from "async_hooks";
+
+// Set by the job queue around each job: { jobId, signal }. run() picks up the
+// signal so cancelling a job kills every child process it spawned.
+export const jobContext = new AsyncLocalStorage();
+
+/** Throws if the current job has been cancelled. No-op outside a job. */
+export function throwIfCancelled() {
+  jobContext.getStore()?.signal?.throwIfAborted();
+}
+
+// opts.onOutput(text) sees stdout/stderr as it arrives (e.g. for progress lines)
+export function run(cmd, args, opts = {}) {
+  const { onOutput, ...spawnOpts } = opts;
+  return new Promise((resolve, reject) => {
+    const signal = spawnOpts.signal || jobContext.getStore()?.signal;
+    if (signal?.aborted) return reject(new Error(`${cmd} not started: job cancelled`));
+
+    const p = spawn(cmd, args, { ...spawnOpts, signal, killSignal: "SIGKILL" });
+    let out = "";
+    let err = "";
+
+    const collect = (append) => (d) => {
+      const text = d.toString();
+      append(text);
+      onOutput?.(text);
+    };
+    if (p.stdout) p.stdout.on("data", collect((t) => (out += t)));
+    if (p.stderr) p.stderr.on("data", collect((t) => (err += t)));
+
+    p.on("error", (e) => reject(e?.name === "AbortError" ? new Error(`${cmd} killed: job cancelled`) : e));
+    p.on("close", (code) => {
+      if (code === 0) return resolve({ out, err });
+      reject(new Error(`${cmd} exited ${code}\n${err}`));
+    });
+  });
+}
+
+// Env-configurable bins
+export const FFMPEG_BIN = process.env.FFMPEG_BIN || "ffmpeg";
+export const FFPROBE_BIN =
+  process.env.FFPROBE_BIN ||
+  (typeof FFMPEG_BIN === "string"
+    ? FFMPEG_BIN.replace(/ffmpeg(\.exe)?$/i, "ffprobe$1")
+    : "ffprobe");
+export const WHISPER_BIN = process.env.WHISPER_BIN || "whisper-cli";
+// yt-dlp compatible downloader for platform URLs (YouTube etc.); unset = direct links only
+export const DOWNLOADER_BIN = process.env.DOWNLOADER_BIN || "";
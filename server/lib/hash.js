@@ -0,0 +1,26 @@
+import fs from "fs";
+import crypto from "crypto";
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (d) => h.update(d))
+      .on("end", () => resolve(h.digest("hex")));
+  });
+}
+
+// Same file (path, size, mtime) -> hashed once per process
+const fileHashes = new Map();
+
+export async function hashFileCached(filePath) {
+  const { size, mtimeMs } = await fs.promises.stat(filePath);
+  const key = `${filePath}:${size}:${mtimeMs}`;
+  if (!fileHashes.has(key)) fileHashes.set(key, await hashFile(filePath));
+  return fileHashes.get(key);
+}
+
+export function hashJson(value) {
+  return crypto.createHash("sha256").update(JSON.stringify(value ?? null)).digest("hex");
+}
@@ -0,0 +1,353 @@
+import "./env.js";
+import fs from "fs";
+import path from "path";
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+import { once } from "events";
+import { nanoid } from "nanoid";
+import { run, jobContext, DOWNLOADER_BIN } from "./exec.js";
+import { probeMedia, assertDecodable } from "./media.js";
+import { UPLOAD_DIR } from "./paths.js";
+
+/**
+ * URL ingestion: direct media links are streamed straight into uploads/;
+ * anything else (YouTube and other platform pages) goes through
+ * DOWNLOADER_BIN, a yt-dlp compatible CLI, when one is configured.
+ *
+ * Only public hosts are fetched: every connection resolves its host through
+ * publicLookup(), which refuses loopback, link-local, private and ULA
+ * addresses, and connects to the address it checked (so a host cannot rebind
+ * between check and connect). Direct links follow redirects one checked hop
+ * at a time; the downloader is sent through a local proxy applying the same
+ * check to everything it fetches. Upstream failures are reported without their
+ * status or host.
+ */
+export const INGEST_MAX_BYTES = Number(process.env.INGEST_MAX_BYTES) || 200 * 1024 * 1024;
+export const INGEST_MAX_DURATION_SEC = Number(process.env.INGEST_MAX_DURATION_SEC) || 20 * 60;
+
+const VIDEO_EXT = /\.(mp4|m4v|webm|mov)$/i;
+const MAX_REDIRECTS = 5;
+
+// Addresses a user-supplied link may not reach (the server's own network)
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127], // :: and ::1
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+const DOWNLOAD_FAILED = "Could not download the video from this link.";
+// Flagged so the probe below rethrows it instead of trying the downloader
+const notPublic = () => Object.assign(new Error("url must point to a public host."), { blockedHost: true });
+
+const mb = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/** Returns the URL if it is a usable http(s) link, else throws. */
+export function parseIngestUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch {
+    throw new Error("url must be a valid http(s) URL.");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error("url must be a valid http(s) URL.");
+  return url;
+}
+
+export function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * dns.lookup() for sockets that may only reach public hosts: fails when any
+ * address of the host is blocked. Sockets connect to the addresses it returns.
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { family: options.family, hints: options.hints, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) return callback(notPublic());
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Sockets skip the lookup for IP literals, so those are checked here
+function assertPublicLiteral(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlockedAddress(host)) throw notPublic();
+}
+
+/** Throws unless every address `url`'s host resolves to is public (early check; connections re-check). */
+async function assertPublicHost(url) {
+  assertPublicLiteral(url.hostname);
+  if (net.isIP(url.hostname.replace(/^\[|\]$/g, ""))) return;
+  await new Promise((resolve, reject) =>
+    publicLookup(url.hostname, {}, (err) => (err ? reject(err.blockedHost ? err : new Error(DOWNLOAD_FAILED)) : resolve()))
+  );
+}
+
+/** GET through publicLookup(); resolves with the response (a readable stream) once headers arrive. */
+function getPublic(url, signal) {
+  assertPublicLiteral(url.hostname);
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    client.get(url, { lookup: publicLookup, signal }, resolve).on("error", reject);
+  });
+}
+
+/** GET following up to MAX_REDIRECTS redirects, each hop checked; returns the final response. */
+async function fetchPublic(url, signal) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const resp = await getPublic(current, signal);
+    const location = resp.statusCode >= 300 && resp.statusCode < 400 ? resp.headers.location : null;
+    if (!location) return { resp, url: current };
+    resp.destroy();
+    current = parseIngestUrl(new URL(location, current).href);
+  }
+  throw new Error(DOWNLOAD_FAILED);
+}
+
+/**
+ * HTTP(S) proxy on 127.0.0.1 for the downloader: CONNECT tunnels and plain
+ * requests only reach hosts publicLookup() allows. Returns { url, close }.
+ */
+export async function startGuardProxy() {
+  const server = http.createServer((req, res) => {
+    let target;
+    try {
+      target = new URL(req.url);
+      if (target.protocol !== "http:") throw new Error("unsupported");
+      assertPublicLiteral(target.hostname);
+    } catch {
+      return res.writeHead(403).end();
+    }
+    const upstream = http.request(target, { method: req.method, headers: req.headers, lookup: publicLookup }, (upRes) => {
+      res.writeHead(upRes.statusCode, upRes.headers);
+      upRes.pipe(res);
+    });
+    upstream.on("error", () => (res.headersSent ? res.destroy() : res.writeHead(403).end()));
+    req.pipe(upstream);
+  });
+
+  server.on("connect", (req, client, head) => {
+    let host;
+    let port;
+    try {
+      ({ hostname: host, port } = new URL(`http://${req.url}`));
+      assertPublicLiteral(host);
+    } catch {
+      return client.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+    }
+    const upstream = net.connect({ host: host.replace(/^\[|\]$/g, ""), port: Number(port) || 443, lookup: publicLookup });
+    let connected = false;
+    upstream.once("connect", () => {
+      connected = true;
+      client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      upstream.write(head);
+      upstream.pipe(client);
+      client.pipe(upstream);
+    });
+    upstream.on("error", () => (connected ? client.destroy() : client.end("HTTP/1.1 403 Forbidden\r\n\r\n")));
+    client.on("error", () => upstream.destroy());
+  });
+
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+    }
+  };
+}
+
+// Malformed escapes (%E0%A4%A) keep the raw path
+function decodedPath(url) {
+  try {
+    return decodeURIComponent(url.pathname);
+  } catch {
+    return url.pathname;
+  }
+}
+
+function storedNameFor(url) {
+  const base = path.basename(decodedPath(url)) || "video";
+  const safe = base.replace(/[^a-zA-Z0-9._-]/g, "_").slice(0, 80);
+  return `${Date.now()}_${nanoid(10)}_${VIDEO_EXT.test(safe) ? safe : `${safe}.mp4`}`;
+}
+
+const tooLarge = () => new Error(`Video is larger than the ${mb(INGEST_MAX_BYTES)} ingest limit.`);
+
+async function downloadDirect(resp, outPath, onProgress) {
+  const total = Number(resp.headers["content-length"]) || null;
+  if (total && total > INGEST_MAX_BYTES) {
+    resp.destroy();
+    throw tooLarge();
+  }
+
+  const file = fs.createWriteStream(outPath);
+  let bytes = 0;
+  try {
+    for await (const chunk of resp) {
+      bytes += chunk.length;
+      if (bytes > INGEST_MAX_BYTES) throw tooLarge();
+      if (!file.write(chunk)) await once(file, "drain");
+      onProgress?.({ bytes, total, percent: total ? (100 * bytes) / total : null });
+    }
+    await new Promise((resolve, reject) => file.end((err) => (err ? reject(err) : resolve())));
+  } catch (err) {
+    file.destroy();
+    resp.destroy();
+    fs.rmSync(outPath, { force: true });
+    throw err;
+  }
+  return bytes;
+}
+
+async function downloadWithTool(url, outBase, onProgress) {
+  // Redirects and extractor/media URLs the tool follows get the same host check
+  const proxy = await startGuardProxy();
+  const args = [
+    "--proxy",
+    proxy.url,
+    "--no-playlist",
+    "--newline",
+    "-f",
+    "mp4/bestvideo[ext=mp4]+bestaudio[ext=m4a]/best",
+    "--merge-output-format",
+    "mp4",
+    "--max-filesize",
+    String(INGEST_MAX_BYTES),
+    // Checked from the page's metadata, before anything is downloaded (unknown durations are probed afterwards)
+    "--match-filter",
+    `!duration | duration <= ${INGEST_MAX_DURATION_SEC}`,
+    "-o",
+    `${outBase}.%(ext)s`,
+    url.href
+  ];
+
+  try {
+    await run(DOWNLOADER_BIN, args, {
+      onOutput: (text) => {
+        const m = text.match(/\[download\]\s+([\d.]+)%/g);
+        if (!m) return;
+        const percent = Number(m[m.length - 1].match(/([\d.]+)%/)[1]);
+        // Progress reporting must never throw inside a stream callback
+        try {
+          onProgress?.({ percent });
+        } catch {}
+      }
+    });
+  } finally {
+    proxy.close();
+  }
+
+  const dir = path.dirname(outBase);
+  const prefix = `${path.basename(outBase)}.`;
+  const name = fs.readdirSync(dir).find((f) => f.startsWith(prefix) && !f.endsWith(".part"));
+  // yt-dlp exits 0 but skips the download when --max-filesize or --match-filter rejects it
+  if (!name) {
+    throw new Error(`Video exceeds the ingest limits (${mb(INGEST_MAX_BYTES)}, ${Math.round(INGEST_MAX_DURATION_SEC / 60)} min).`);
+  }
+  return path.join(dir, name);
+}
+
+/**
+ * Downloads `url` into uploads/ and enforces the size/duration limits.
+ * Returns a submission `file` record plus `durationMs` and the ffprobe `media` summary.
+ * onProgress({ bytes?, total?, percent? }) is called while downloading.
+ */
+export async function ingestVideo(rawUrl, { onProgress } = {}) {
+  const url = parseIngestUrl(rawUrl);
+  const signal = jobContext.getStore()?.signal;
+
+  // Probe with a plain GET; platform pages (or hosts that refuse it) go to the downloader.
+  // A link that is (or redirects to) a non-public host fails outright.
+  await assertPublicHost(url);
+  let resp = null;
+  let finalUrl = url;
+  let probeFailed = false;
+  try {
+    ({ resp, url: finalUrl } = await fetchPublic(url, signal));
+  } catch (err) {
+    if (signal?.aborted || err.blockedHost) throw err;
+    probeFailed = true;
+  }
+  if (resp && !(resp.statusCode >= 200 && resp.statusCode < 300)) {
+    resp.destroy();
+    probeFailed = true;
+    resp = null;
+  }
+
+  const contentType = (resp?.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  const direct =
+    contentType.startsWith("video/") || (contentType === "application/octet-stream" && VIDEO_EXT.test(finalUrl.pathname));
+
+  let filePath;
+  let mimetype = contentType;
+  if (direct) {
+    filePath = path.join(UPLOAD_DIR, storedNameFor(url));
+    await downloadDirect(resp, filePath, onProgress);
+  } else {
+    resp?.destroy();
+    if (!DOWNLOADER_BIN) {
+      if (probeFailed) throw new Error(DOWNLOAD_FAILED);
+      throw new Error("This link is not a direct video file. Set DOWNLOADER_BIN (e.g. yt-dlp) on the server to ingest platform URLs.");
+    }
+    const outBase = path.join(UPLOAD_DIR, `${Date.now()}_${nanoid(10)}_download`);
+    filePath = await downloadWithTool(url, outBase, onProgress);
+    mimetype = filePath.endsWith(".webm") ? "video/webm" : "video/mp4";
+  }
+
+  try {
+    const { size } = fs.statSync(filePath);
+    if (size > INGEST_MAX_BYTES) throw tooLarge();
+
+    const media = await probeMedia(filePath);
+    await assertDecodable(filePath);
+    const durationSec = media.durationMs / 1000;
+    if (durationSec > INGEST_MAX_DURATION_SEC) {
+      throw new Error(`Video is ${Math.round(durationSec / 60)} min long; the ingest limit is ${Math.round(INGEST_MAX_DURATION_SEC / 60)} min.`);
+    }
+
+    return {
+      originalName: path.basename(decodedPath(url)) || url.hostname,
+      storedName: path.basename(filePath),
+      path: filePath,
+      sizeBytes: size,
+      mimetype,
+      durationMs: media.durationMs,
+      media
+    };
+  } catch (err) {
+    fs.rmSync(filePath, { force: true });
+    throw err;
+  }
+}
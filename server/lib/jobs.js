@@ -0,0 +1,223 @@
+import "./env.js";
+import { EventEmitter } from "events";
+import { nanoid } from "nanoid";
+import { jobContext, throwIfCancelled } from "./exec.js";
+import { saveJob, getJob, listJobsByStatus } from "./store.js";
+
+/**
+ * Persistent job queue.
+ *
+ * Jobs are rows in the store; anything with status "queued" is picked up by
+ * up to JOB_CONCURRENCY workers in arrival order. Each running job gets an
+ * AbortController whose signal is visible to run() through jobContext, so
+ * cancelling a job also kills its ffmpeg/whisper children.
+ */
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+
+// On boot, jobs left "running" by a previous process are re-queued
+// (JOB_RECOVERY=requeue, default) or marked failed (JOB_RECOVERY=fail).
+const JOB_RECOVERY = process.env.JOB_RECOVERY === "fail" ? "fail" : "requeue";
+
+const handlers = new Map(); // kind -> async (job) => result
+const active = new Map(); // jobId -> { job, controller }
+
+// Job event bus: emits ("job", snapshot) and (`job:${id}`, snapshot) on every
+// state change. SSE/WebSocket subscribers live in lib/stream.js.
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+export const TERMINAL_JOB_STATUSES = new Set(["done", "error", "cancelled"]);
+
+// Thrown by awaitReview() to end the current run without finishing the job
+class JobParked extends Error {}
+
+/** Job without its (long) step history, plus the latest step. For push updates. */
+export function jobSnapshot(job) {
+  const { steps, ...rest } = job;
+  return { ...rest, lastStep: steps?.[steps.length - 1] || null };
+}
+
+// ---------- Job state helpers ----------
+function writeJob(job) {
+  job.updatedAt = new Date().toISOString();
+  saveJob(job);
+  const snapshot = jobSnapshot(job);
+  jobEvents.emit("job", snapshot);
+  jobEvents.emit(`job:${job.id}`, snapshot);
+}
+
+export function createJob({ submissionId, kind = "pipeline", params = null }) {
+  const id = nanoid(16);
+  const job = {
+    id,
+    kind,
+    submissionId,
+    params,
+    status: "queued", // queued | running | cancelling | awaiting_review | done | error | cancelled
+    step: "queued",
+    progress: 0,
+    message: "Queued",
+    startedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    result: null,
+    error: null,
+    steps: []
+  };
+  writeJob(job);
+  drain();
+  return job;
+}
+
+export function pushStep(job, { step, progress, message }) {
+  // Every stage boundary doubles as a cancellation point
+  throwIfCancelled();
+  const entry = { step, progress, message, at: new Date().toISOString() };
+  job.status = "running";
+  job.step = step;
+  job.progress = progress;
+  job.message = message;
+  job.steps.push(entry);
+  writeJob(job);
+}
+
+export function finishJob(job, result) {
+  job.status = "done";
+  job.step = "done";
+  job.progress = 100;
+  job.message = "Done";
+  job.result = result;
+  job.error = null;
+  writeJob(job);
+}
+
+export function failJob(job, err) {
+  job.status = "error";
+  job.step = "error";
+  job.progress = Math.min(job.progress || 0, 99);
+  job.message = err?.message || "Pipeline failed";
+  job.error = { message: job.message, stack: err?.stack || null };
+  writeJob(job);
+}
+
+/**
+ * Parks a running job as "awaiting_review" and stops the handler (throws).
+ * resumeJob() re-queues it; the handler then runs again from the top, so it
+ * must be able to skip work it already did (the pipeline does, via stages).
+ */
+export function awaitReview(job, message) {
+  throwIfCancelled();
+  job.status = "awaiting_review";
+  job.step = "review";
+  job.message = message;
+  job.steps.push({ step: "review", progress: job.progress, message, at: new Date().toISOString() });
+  writeJob(job);
+  throw new JobParked(message);
+}
+
+function markCancelled(job) {
+  job.status = "cancelled";
+  job.step = "cancelled";
+  job.message = "Cancelled";
+  job.error = null;
+  writeJob(job);
+}
+
+// ---------- Queue ----------
+export function registerJobHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Cancels a queued or running job. Returns the updated job, or null if it
+ * does not exist. A running job is "cancelling" until its handler has
+ * stopped; finished jobs are returned unchanged.
+ */
+export function cancelJob(jobId) {
+  const running = active.get(jobId);
+  if (running) {
+    const { job, controller } = running;
+    if (!controller.signal.aborted) {
+      job.status = "cancelling";
+      job.message = "Cancelling…";
+      writeJob(job);
+      controller.abort();
+    }
+    return job;
+  }
+
+  const job = getJob(jobId);
+  if (!job) return null;
+  if (job.status === "queued" || job.status === "awaiting_review") markCancelled(job);
+  return job;
+}
+
+/**
+ * Re-queues a job parked by awaitReview(), merging `params` into job.params.
+ * Returns the job, or null if it is not awaiting review.
+ */
+export function resumeJob(jobId, params = {}) {
+  const job = getJob(jobId);
+  if (job?.status !== "awaiting_review") return null;
+
+  job.params = { ...(job.params || {}), ...params };
+  job.status = "queued";
+  job.message = "Approved — queued";
+  job.steps.push({ step: "queued", progress: job.progress, message: job.message, at: new Date().toISOString() });
+  writeJob(job);
+  drain();
+  return job;
+}
+
+function drain() {
+  while (active.size < JOB_CONCURRENCY) {
+    const next = listJobsByStatus("queued").find((j) => !active.has(j.id));
+    if (!next) return;
+    start(next);
+  }
+}
+
+function start(job) {
+  const controller = new AbortController();
+  active.set(job.id, { job, controller });
+
+  job.status = "running";
+  job.message = "Starting…";
+  writeJob(job);
+
+  const handler = handlers.get(job.kind || "pipeline");
+
+  jobContext
+    .run({ jobId: job.id, signal: controller.signal }, async () => {
+      if (!handler) throw new Error(`No handler for job kind "${job.kind}".`);
+      const result = await handler(job);
+      controller.signal.throwIfAborted();
+      finishJob(job, result);
+    })
+    .catch((err) => {
+      if (err instanceof JobParked) return;
+      if (controller.signal.aborted) markCancelled(job);
+      else failJob(job, err);
+    })
+    .finally(() => {
+      active.delete(job.id);
+      drain();
+    });
+}
+
+/** Re-queues (or fails) jobs orphaned by a restart, then starts workers. */
+export function startJobWorkers() {
+  // The handler of a job being cancelled is gone with the old process
+  for (const job of listJobsByStatus("cancelling")) markCancelled(job);
+  for (const job of listJobsByStatus("running")) {
+    if (JOB_RECOVERY === "fail") {
+      failJob(job, new Error("Server restarted while this job was running."));
+    } else {
+      job.status = "queued";
+      job.message = "Re-queued after server restart";
+      job.steps.push({ step: "queued", progress: job.progress, message: job.message, at: new Date().toISOString() });
+      writeJob(job);
+    }
+  }
+  console.log(`Job workers: ${JOB_CONCURRENCY} (recovery: ${JOB_RECOVERY})`);
+  drain();
+}
@@ -0,0 +1,47 @@
+import "./env.js";
+
+/**
+ * Lesson languages. A submission's `language` (ISO 639-1) drives whisper's
+ * language option, the language Gemini writes the scripts in, the Veo
+ * narration, the browser's speech recognition/synthesis locale and the
+ * spoken feedback after an answer (`correct` / `incorrect` + the answer).
+ */
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-US", correct: "That's right!", incorrect: "Not quite. The answer was:" },
+  es: { name: "Spanish", locale: "es-ES", correct: "¡Correcto!", incorrect: "Casi. La respuesta era:" },
+  fr: { name: "French", locale: "fr-FR", correct: "C'est exact !", incorrect: "Pas tout à fait. La réponse était :" },
+  de: { name: "German", locale: "de-DE", correct: "Richtig!", incorrect: "Nicht ganz. Die Antwort war:" },
+  it: { name: "Italian", locale: "it-IT", correct: "Esatto!", incorrect: "Non proprio. La risposta era:" },
+  pt: { name: "Portuguese", locale: "pt-BR", correct: "Isso mesmo!", incorrect: "Quase. A resposta era:" },
+  nl: { name: "Dutch", locale: "nl-NL", correct: "Dat klopt!", incorrect: "Niet helemaal. Het antwoord was:" },
+  sv: { name: "Swedish", locale: "sv-SE", correct: "Det stämmer!", incorrect: "Inte riktigt. Svaret var:" },
+  pl: { name: "Polish", locale: "pl-PL", correct: "Zgadza się!", incorrect: "Nie do końca. Odpowiedź to:" },
+  tr: { name: "Turkish", locale: "tr-TR", correct: "Doğru!", incorrect: "Tam değil. Cevap şuydu:" },
+  ru: { name: "Russian", locale: "ru-RU", correct: "Правильно!", incorrect: "Не совсем. Ответ был:" },
+  ar: { name: "Arabic", locale: "ar-SA", correct: "إجابة صحيحة!", incorrect: "ليس تماماً. كانت الإجابة:" },
+  hi: { name: "Hindi", locale: "hi-IN", correct: "बिल्कुल सही!", incorrect: "पूरी तरह नहीं। उत्तर था:" },
+  ja: { name: "Japanese", locale: "ja-JP", correct: "正解です!", incorrect: "おしいです。答えは:" },
+  ko: { name: "Korean", locale: "ko-KR", correct: "정답이에요!", incorrect: "아쉬워요. 정답은:" },
+  zh: { name: "Chinese", locale: "zh-CN", correct: "答对了!", incorrect: "不太对。答案是:" }
+};
+
+export const DEFAULT_LANGUAGE = LANGUAGES[process.env.DEFAULT_LANGUAGE] ? process.env.DEFAULT_LANGUAGE : "en";
+
+/**
+ * "es", "es-MX" or "ES" -> "es". Empty -> DEFAULT_LANGUAGE. Unsupported -> null.
+ */
+export function parseLanguage(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (!raw) return DEFAULT_LANGUAGE;
+  const code = raw.split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : null;
+}
+
+/** { code, name, locale } for a stored code (older submissions have none). */
+export function languageInfo(code) {
+  const key = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+  return { code: key, ...LANGUAGES[key] };
+}
+
+// Scripts written without spaces between words
+export const isUnspacedLanguage = (code) => code === "ja" || code === "zh";
@@ -0,0 +1,166 @@
+import { nanoid } from "nanoid";
+import {
+  insertLearner,
+  getLearner,
+  getLearnerByAlexaUser,
+  insertAttempt,
+  listAttemptsByLearner,
+  getSubmission
+} from "./store.js";
+
+/**
+ * Learners and their quiz attempts. Every /api/echo/verify call is logged as
+ * an attempt (anonymous when no learner is given); progress groups a
+ * learner's attempts by submission and question, oldest first.
+ */
+export const CHANNELS = ["browser", "alexa"];
+const NAME_MAX_LENGTH = 80;
+
+/** Error carrying an HTTP status for the learner routes. */
+export class LearnerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function createLearner({ name, ownerId, alexaUserId = null }) {
+  const clean = String(name ?? "").trim();
+  if (!clean) throw new LearnerError(400, "name is required.");
+  if (clean.length > NAME_MAX_LENGTH) throw new LearnerError(400, `name must be at most ${NAME_MAX_LENGTH} characters.`);
+  return insertLearner({
+    id: nanoid(12),
+    ownerId,
+    createdAt: new Date().toISOString(),
+    name: clean,
+    ...(alexaUserId ? { alexaUserId } : {})
+  });
+}
+
+// Another user's learner looks the same as a missing one
+export function findLearner(id, ownerId) {
+  const learner = getLearner(String(id));
+  if (!learner || learner.ownerId !== ownerId) throw new LearnerError(404, "Learner not found.");
+  return learner;
+}
+
+// An Alexa account gets a learner (owned by the API key's user) on its first answer
+export function learnerForAlexaUser(alexaUserId, ownerId) {
+  const learner = getLearnerByAlexaUser(alexaUserId);
+  if (!learner) return createLearner({ name: "Alexa learner", ownerId, alexaUserId });
+  if (learner.ownerId !== ownerId) throw new LearnerError(403, "This Alexa account is linked to another user.");
+  return learner;
+}
+
+/** Validates the optional attempt fields of a verify request. */
+export function parseAttemptMeta({ channel, latencyMs }) {
+  // Lambda deployments from before attempt logging send no channel
+  const ch = channel == null || channel === "" ? "alexa" : String(channel).toLowerCase();
+  if (!CHANNELS.includes(ch)) throw new LearnerError(400, `channel must be one of: ${CHANNELS.join(", ")}`);
+
+  let latency = null;
+  if (latencyMs != null && latencyMs !== "") {
+    latency = Number(latencyMs);
+    if (!Number.isFinite(latency) || latency < 0) throw new LearnerError(400, "latencyMs must be a non-negative number.");
+    latency = Math.round(latency);
+  }
+  return { channel: ch, latencyMs: latency };
+}
+
+/**
+ * Logs one verified answer. `question` is the break it was checked against;
+ * its text is copied so history stays readable after review edits.
+ */
+export function recordAttempt({ learnerId, submissionId, questionIndex, question, userAnswer, result, sessionId, channel, latencyMs }) {
+  return insertAttempt({
+    id: nanoid(16),
+    createdAt: new Date().toISOString(),
+    learnerId: learnerId || null,
+    submissionId,
+    questionIndex,
+    questionText: question?.question || null,
+    expectedAnswer: question?.shortAnswer || question?.answer || null,
+    userAnswer: String(userAnswer ?? ""),
+    correct: Boolean(result.correct),
+    confidence: result.confidence,
+    rule: result.rule,
+    channel,
+    latencyMs,
+    sessionId: sessionId ? String(sessionId) : null
+  });
+}
+
+const accuracy = (correct, attempts) => (attempts ? Math.round((correct / attempts) * 1000) / 1000 : null);
+
+function averageLatency(attempts) {
+  const timed = attempts.filter((a) => typeof a.latencyMs === "number");
+  return timed.length ? Math.round(timed.reduce((sum, a) => sum + a.latencyMs, 0) / timed.length) : null;
+}
+
+/**
+ * { learner, totals, submissions: [{ submissionId, prompt, questions: [{ questionIndex, history, ... }] }] }
+ * A question is "mastered" when its latest attempt was correct.
+ */
+export function learnerProgress(learner, { submissionId } = {}) {
+  const attempts = listAttemptsByLearner(learner.id).filter((a) => !submissionId || a.submissionId === submissionId);
+
+  const bySubmission = new Map();
+  for (const a of attempts) {
+    if (!bySubmission.has(a.submissionId)) bySubmission.set(a.submissionId, new Map());
+    const questions = bySubmission.get(a.submissionId);
+    if (!questions.has(a.questionIndex)) questions.set(a.questionIndex, []);
+    questions.get(a.questionIndex).push(a);
+  }
+
+  const submissions = [...bySubmission].map(([id, questions]) => {
+    const sub = getSubmission(id);
+    const breaks = sub?.gemini?.parsed?.breaks || [];
+    return {
+      submissionId: id,
+      prompt: sub?.prompt ?? null,
+      deleted: !sub,
+      questions: [...questions]
+        .sort(([a], [b]) => a - b)
+        .map(([index, list]) => {
+          const last = list[list.length - 1];
+          const correct = list.filter((a) => a.correct).length;
+          return {
+            questionIndex: index,
+            questionText: breaks[index]?.question ?? last.questionText,
+            attempts: list.length,
+            correct,
+            accuracy: accuracy(correct, list.length),
+            mastered: last.correct,
+            firstCorrectAt: list.find((a) => a.correct)?.createdAt ?? null,
+            lastAttemptAt: last.createdAt,
+            averageLatencyMs: averageLatency(list),
+            history: list.map((a) => ({
+              attemptId: a.id,
+              at: a.createdAt,
+              userAnswer: a.userAnswer,
+              correct: a.correct,
+              confidence: a.confidence,
+              channel: a.channel,
+              latencyMs: a.latencyMs
+            }))
+          };
+        })
+    };
+  });
+
+  const questions = submissions.flatMap((s) => s.questions);
+  const correct = attempts.filter((a) => a.correct).length;
+  return {
+    learner,
+    totals: {
+      attempts: attempts.length,
+      correct,
+      accuracy: accuracy(correct, attempts.length),
+      questions: questions.length,
+      mastered: questions.filter((q) => q.mastered).length,
+      averageLatencyMs: averageLatency(attempts),
+      lastAttemptAt: attempts.length ? attempts[attempts.length - 1].createdAt : null
+    },
+    submissions
+  };
+}
@@ -0,0 +1,183 @@
+import { listLibraryPage, libraryFacets, listLatestJobs, getLatestJobForSubmission } from "./store.js";
+import { languageInfo } from "./language.js";
+import { subjectTags } from "./subjects.js";
+
+/**
+ * The library ("Explore"): a user's submissions as cards with a status,
+ * subject tags and the show name, searchable over prompt/transcript/quiz text
+ * (FTS5, see store.js) and filterable by show, status, tag and date. The
+ * filtering, paging and facet counts run in SQL (store.js listLibraryPage).
+ */
+export const STATUSES = ["ready", "processing", "review", "failed", "draft"];
+export const SORTS = ["newest", "oldest", "relevance"];
+export const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+const QUERY_MAX_LENGTH = 200;
+
+/** Error carrying an HTTP status for the library routes. */
+export class LibraryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ---------- Status ----------
+/**
+ * ready: has a spliced video. Otherwise follows the latest job (processing,
+ * review, failed) or the URL download; "draft" has never been run.
+ * LIBRARY_CARDS in store.js computes the same in SQL for the filters.
+ */
+export function submissionStatus(sub, latestJob) {
+  if (["queued", "running", "cancelling"].includes(latestJob?.status)) return "processing";
+  if (latestJob?.status === "awaiting_review") return "review";
+  if (sub.eav?.outputUrl) return "ready";
+  if (sub.source?.status === "downloading") return "processing";
+  if (sub.source?.status === "error" || latestJob?.status === "error") return "failed";
+  return "draft";
+}
+
+const showName = (sub) => {
+  const show = sub.gemini?.parsed?.show;
+  return show && show !== "Unknown" ? show : null;
+};
+
+// ---------- Cards ----------
+function libraryItem(sub, latestJob, snippet = null) {
+  return {
+    id: sub.id,
+    prompt: sub.prompt,
+    createdAt: sub.createdAt,
+    language: languageInfo(sub.language).code,
+    status: submissionStatus(sub, latestJob),
+    show: showName(sub),
+    tags: subjectTags(sub),
+    questionCount: sub.gemini?.parsed?.breaks?.length || 0,
+    durationMs: sub.file?.durationMs ?? null,
+    thumbnailUrl: sub.veo?.referenceScreenshotUrl || sub.stages?.screenshot?.meta?.screenshotUrl || null,
+    outputUrl: sub.eav?.outputUrl || null,
+    snippet
+  };
+}
+
+// ---------- Search ----------
+/**
+ * Free text -> FTS5 query: every word must match, the last one as a prefix
+ * ("fract" finds "fractions"). FTS syntax in the input is treated as text.
+ */
+export function ftsQuery(text) {
+  const words = String(text ?? "")
+    .slice(0, QUERY_MAX_LENGTH)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  if (!words.length) return null;
+  return words.map((w, i) => `"${w}"${i === words.length - 1 ? "*" : ""}`).join(" ");
+}
+
+function parseDate(value, field, endOfDay = false) {
+  if (value == null || value === "") return null;
+  const raw = String(value);
+  // A bare day covers the whole day
+  const iso = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z` : raw;
+  const ms = Date.parse(iso);
+  if (!Number.isFinite(ms)) throw new LibraryError(400, `${field} must be a date (YYYY-MM-DD or ISO).`);
+  return new Date(ms).toISOString();
+}
+
+function parsePositiveInt(value, field, fallback) {
+  if (value == null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new LibraryError(400, `${field} must be a positive integer.`);
+  return n;
+}
+
+/** Validates the query string of GET /api/library. */
+export function parseLibraryQuery(query) {
+  const status = query.status ? String(query.status) : null;
+  if (status && !STATUSES.includes(status)) throw new LibraryError(400, `status must be one of: ${STATUSES.join(", ")}`);
+  const sort = query.sort ? String(query.sort) : null;
+  if (sort && !SORTS.includes(sort)) throw new LibraryError(400, `sort must be one of: ${SORTS.join(", ")}`);
+
+  const from = parseDate(query.from, "from");
+  const to = parseDate(query.to, "to", true);
+  if (from && to && from > to) throw new LibraryError(400, "from must be before to.");
+
+  return {
+    q: String(query.q ?? "").trim(),
+    show: query.show ? String(query.show) : null,
+    tag: query.tag ? String(query.tag) : null,
+    status,
+    from,
+    to,
+    sort,
+    page: parsePositiveInt(query.page, "page", 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, parsePositiveInt(query.pageSize, "pageSize", DEFAULT_PAGE_SIZE))
+  };
+}
+
+/**
+ * One page of a user's library: { items, page, pageSize, total, totalPages, facets }.
+ * Facets (shows, tags, statuses with counts) cover the whole library, so the
+ * filter menus don't shrink as filters are applied.
+ */
+export function libraryPage(ownerId, filters) {
+  const query = ftsQuery(filters.q);
+  // Newest first unless searching (best match first) or asked otherwise
+  const sort = filters.sort || (query ? "relevance" : "newest");
+  const { rows, total } = listLibraryPage(ownerId, {
+    ftsQuery: query,
+    show: filters.show,
+    tag: filters.tag,
+    status: filters.status,
+    from: filters.from,
+    to: filters.to,
+    sort,
+    limit: filters.pageSize,
+    offset: (filters.page - 1) * filters.pageSize
+  });
+  const latestJobs = new Map(listLatestJobs(rows.map(({ sub }) => sub.id)).map((job) => [job.submissionId, job]));
+
+  return {
+    items: rows.map(({ sub, snippet }) => libraryItem(sub, latestJobs.get(sub.id), snippet)),
+    page: filters.page,
+    pageSize: filters.pageSize,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / filters.pageSize)),
+    sort,
+    facets: libraryFacets(ownerId)
+  };
+}
+
+// ---------- Detail ----------
+/** Everything the detail page shows: transcript, quiz, clips and the final video. */
+export function libraryDetail(sub) {
+  const latestJob = getLatestJobForSubmission(sub.id);
+  const parsed = sub.gemini?.parsed;
+  const clips = sub.veo?.clips || [];
+  return {
+    ...libraryItem(sub, latestJob),
+    sourceUrl: sub.file?.path ? `/api/submissions/${sub.id}/video` : null,
+    transcript: sub.transcript ? { text: sub.transcript.text, segments: sub.transcript.segments || [] } : null,
+    questions: (parsed?.breaks || []).map((b, k) => ({
+      index: k,
+      breakStartMs: b.breakStartMs,
+      question: b.question,
+      answer: b.answer,
+      shortAnswer: b.shortAnswer || null,
+      difficulty: b.difficulty,
+      questionClipUrl: clips[k]?.questionUrl || null,
+      answerClipUrl: clips[k]?.answerUrl || null
+    })),
+    video: sub.eav?.outputUrl
+      ? {
+          url: sub.eav.outputUrl,
+          fileName: sub.eav.outputFileName,
+          captions: sub.eav.captions || null,
+          insertions: sub.eav.insertions || [],
+          // HLS/DASH package (PACKAGE_STREAMS or POST /api/submissions/:id/package)
+          streams: sub.eav.streams || null
+        }
+      : null,
+    job: latestJob ? { id: latestJob.id, status: latestJob.status, updatedAt: latestJob.updatedAt, error: latestJob.error || null } : null
+  };
+}
@@ -0,0 +1,178 @@
+import { run, FFMPEG_BIN, FFPROBE_BIN } from "./exec.js";
+
+// ---------- ffprobe: audio presence ----------
+export async function hasAudioStream(filePath) {
+  try {
+    const { out } = await run(FFPROBE_BIN, [
+      "-v",
+      "error",
+      "-select_streams",
+      "a",
+      "-show_entries",
+      "stream=index",
+      "-of",
+      "csv=p=0",
+      filePath
+    ]);
+    return String(out || "").trim().length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// ---------- ffprobe: container duration (seconds) ----------
+export async function probeDurationSec(filePath) {
+  const { out } = await run(FFPROBE_BIN, [
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "default=noprint_wrappers=1:nokey=1",
+    filePath
+  ]);
+
+  const durationSec = Number(String(out).trim());
+  if (!Number.isFinite(durationSec) || durationSec <= 0) {
+    throw new Error("Could not read video duration (ffprobe).");
+  }
+  return durationSec;
+}
+
+export async function probeVideoProps(filePath) {
+  // width, height, fps (as float)
+  const { out } = await run(FFPROBE_BIN, [
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "stream=width,height,r_frame_rate",
+    "-of",
+    "json",
+    filePath
+  ]);
+
+  const json = JSON.parse(String(out || "{}"));
+  const s = json?.streams?.[0] || {};
+  const width = Number(s.width) || 1280;
+  const height = Number(s.height) || 720;
+
+  // r_frame_rate like "30000/1001" or "30/1"
+  let fps = 30;
+  if (typeof s.r_frame_rate === "string" && s.r_frame_rate.includes("/")) {
+    const [a, b] = s.r_frame_rate.split("/").map(Number);
+    if (Number.isFinite(a) && Number.isFinite(b) && b !== 0) {
+      const v = a / b;
+      if (Number.isFinite(v) && v > 0 && v < 240) fps = v;
+    }
+  }
+
+  return { width, height, fps };
+}
+
+// ---------- ffprobe: full inspection (upload validation) ----------
+function parseRate(value) {
+  if (typeof value !== "string" || !value.includes("/")) return null;
+  const [a, b] = value.split("/").map(Number);
+  const v = b ? a / b : NaN;
+  return Number.isFinite(v) && v > 0 ? Math.round(v * 1000) / 1000 : null;
+}
+
+/**
+ * ffprobe summary recorded on `file.media`:
+ * { durationMs, width, height, rotation, fps, avgFps, vfr, videoCodec, pixFmt,
+ *   audioCodec, sampleRate, channels, container, bitRate }, plus what a stream
+ * copy has to match (splice.js): videoProfile, videoLevel, frameRate ("30000/1001"),
+ * timeScale (video time base denominator) and sar ("1:1").
+ * Throws an Error with a user-facing message when the file is not a usable video.
+ */
+export async function probeMedia(filePath) {
+  let json;
+  try {
+    const { out } = await run(FFPROBE_BIN, [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=format_name,duration,bit_rate:stream=codec_type,codec_name,profile,level,width,height,sample_aspect_ratio,pix_fmt,r_frame_rate,avg_frame_rate,time_base,sample_rate,channels:stream_tags=rotate:stream_side_data=rotation",
+      "-of",
+      "json",
+      filePath
+    ]);
+    json = JSON.parse(String(out || "{}"));
+  } catch {
+    throw new Error("The file could not be read as a video (it may be corrupt or not a video at all).");
+  }
+
+  const streams = json.streams || [];
+  const video = streams.find((s) => s.codec_type === "video" && s.width && s.height);
+  const audio = streams.find((s) => s.codec_type === "audio");
+  if (!video) throw new Error("The file has no video stream.");
+
+  const durationSec = Number(json.format?.duration);
+  if (!Number.isFinite(durationSec) || durationSec <= 0) throw new Error("Could not read the video's duration; the file may be truncated.");
+
+  // Older muxers tag rotation, newer ffprobe reports display-matrix side data
+  const sideRotation = (video.side_data_list || []).find((d) => d.rotation != null)?.rotation;
+  const rotation = ((Math.round(Number(sideRotation ?? video.tags?.rotate ?? 0)) % 360) + 360) % 360;
+
+  const fps = parseRate(video.r_frame_rate);
+  const avgFps = parseRate(video.avg_frame_rate);
+
+  return {
+    durationMs: Math.round(durationSec * 1000),
+    width: Number(video.width),
+    height: Number(video.height),
+    rotation,
+    fps,
+    avgFps,
+    // Phones record variable frame rate: the nominal and average rates disagree
+    vfr: Boolean(fps && avgFps && Math.abs(fps - avgFps) / fps > 0.01),
+    videoCodec: video.codec_name || null,
+    pixFmt: video.pix_fmt || null,
+    videoProfile: video.profile || null,
+    videoLevel: Number(video.level) > 0 ? Number(video.level) : null,
+    frameRate: video.r_frame_rate || null,
+    timeScale: Number(String(video.time_base || "").split("/")[1]) || null,
+    sar: video.sample_aspect_ratio || null,
+    audioCodec: audio?.codec_name || null,
+    sampleRate: audio ? Number(audio.sample_rate) || null : null,
+    channels: audio ? Number(audio.channels) || null : null,
+    container: json.format?.format_name || null,
+    bitRate: Number(json.format?.bit_rate) || null
+  };
+}
+
+// ---------- ffprobe: keyframes ----------
+/** Times (ms, ascending) of the video keyframes. Reads packet flags only, nothing is decoded. */
+export async function probeKeyframesMs(filePath) {
+  const { out } = await run(FFPROBE_BIN, [
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "packet=pts_time,flags",
+    "-of",
+    "csv=p=0",
+    filePath
+  ]);
+  const times = String(out || "")
+    .split("\n")
+    .map((line) => line.split(","))
+    .filter(([t, flags]) => flags?.includes("K") && Number.isFinite(Number(t)))
+    .map(([t]) => Math.round(Number(t) * 1000));
+  return [...new Set(times)].sort((a, b) => a - b);
+}
+
+// ---------- ffmpeg: decode check ----------
+// ffprobe only reads headers; decoding the first second catches broken payloads
+export async function assertDecodable(filePath) {
+  try {
+    const { err } = await run(FFMPEG_BIN, ["-v", "error", "-i", filePath, "-t", "1", "-map", "0:v:0", "-f", "null", "-"]);
+    // -v error: anything on stderr is a decode error
+    if (String(err || "").trim()) throw new Error(err);
+  } catch {
+    throw new Error("The video stream could not be decoded; the file appears to be corrupt.");
+  }
+}
@@ -0,0 +1,99 @@
+import "./env.js";
+import path from "path";
+import { run, FFMPEG_BIN } from "./exec.js";
+import { probeMedia } from "./media.js";
+import { MEZZANINE_DIR } from "./paths.js";
+
+/**
+ * Normalized mezzanine: odd inputs (HEVC, rotated phone video, variable frame
+ * rate, exotic pixel formats) are transcoded once into H.264/AAC, yuv420p,
+ * constant frame rate, upright MP4 that every later stage reads instead.
+ *
+ * NORMALIZE_VIDEO: off (default) | auto (only when needed) | always
+ */
+export const NORMALIZE_MODE = ["auto", "always"].includes(process.env.NORMALIZE_VIDEO) ? process.env.NORMALIZE_VIDEO : "off";
+
+/** Reasons the input should be normalized ([] = use it as is). */
+export function normalizationReasons(media, mode = NORMALIZE_MODE) {
+  if (mode === "off" || !media) return [];
+  const reasons = [];
+  if (media.videoCodec !== "h264") reasons.push(`video codec ${media.videoCodec}`);
+  if (media.pixFmt && media.pixFmt !== "yuv420p") reasons.push(`pixel format ${media.pixFmt}`);
+  if (media.rotation) reasons.push(`rotated ${media.rotation}°`);
+  if (media.vfr) reasons.push("variable frame rate");
+  if (media.audioCodec && media.audioCodec !== "aac") reasons.push(`audio codec ${media.audioCodec}`);
+  if (!/mp4|mov/.test(media.container || "")) reasons.push(`container ${media.container}`);
+  if (!reasons.length && mode === "always") reasons.push("NORMALIZE_VIDEO=always");
+  return reasons;
+}
+
+// ffmpeg rate strings; the NTSC rates are exact rationals, not 29.97/59.94
+const STANDARD_RATES = ["24000/1001", "24", "25", "30000/1001", "30", "50", "60000/1001", "60"];
+
+function rateValue(rate) {
+  const [num, den = 1] = rate.split("/").map(Number);
+  return num / den;
+}
+
+/**
+ * Output frame rate for the mezzanine: a constant standard source rate is
+ * kept as is, anything else (VFR phone footage averaging e.g. 29.87) goes to
+ * the standard rate nearest its average.
+ */
+export function targetFps(media) {
+  const nearest = (fps) => STANDARD_RATES.reduce((best, r) => (Math.abs(rateValue(r) - fps) < Math.abs(rateValue(best) - fps) ? r : best));
+  // probeMedia rounds rates to 3 decimals, so 30000/1001 arrives as 29.97
+  if (!media.vfr && media.fps && Math.abs(rateValue(nearest(media.fps)) - media.fps) < 0.001) return nearest(media.fps);
+  return nearest(media.avgFps || media.fps || 30);
+}
+
+/**
+ * Transcodes `srcPath` into MEZZANINE_DIR. Returns the `mezzanine` record:
+ * { path, storedName, reasons, media, createdAt }.
+ */
+export async function normalizeVideo(srcPath, { submissionId, media, reasons }) {
+  const storedName = `${submissionId}_mezzanine.mp4`;
+  const outPath = path.join(MEZZANINE_DIR, storedName);
+  const fps = targetFps(media);
+
+  // ffmpeg auto-rotates while transcoding; clearing the tag keeps players from rotating twice
+  await run(FFMPEG_BIN, [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-i",
+    srcPath,
+    "-map",
+    "0:v:0",
+    "-map",
+    "0:a:0?",
+    "-vf",
+    `fps=${fps},scale=trunc(iw/2)*2:trunc(ih/2)*2,setsar=1,format=yuv420p`,
+    "-metadata:s:v:0",
+    "rotate=0",
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-crf",
+    "20",
+    "-c:a",
+    "aac",
+    "-b:a",
+    "160k",
+    "-ar",
+    "48000",
+    "-movflags",
+    "+faststart",
+    outPath,
+    "-y"
+  ]);
+
+  return {
+    path: outPath,
+    storedName,
+    reasons,
+    media: await probeMedia(outPath),
+    createdAt: new Date().toISOString()
+  };
+}
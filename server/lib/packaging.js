@@ -0,0 +1,180 @@
+import "./env.js";
+import fs from "fs";
+import path from "path";
+import { nanoid } from "nanoid";
+import { run, FFMPEG_BIN } from "./exec.js";
+import { probeMedia } from "./media.js";
+import { STREAMS_DIR } from "./paths.js";
+
+/**
+ * Adaptive streaming packages of a spliced EAV.
+ *
+ * One encode per EAV produces every rendition of the ladder (up to the
+ * source's short side, so portrait videos get the same rungs) as
+ * fragmented-MP4 segments, described by both an HLS master playlist and a DASH
+ * manifest. Keyframes, and so segment boundaries, are forced at the question
+ * pause points and at even ~STREAM_SEGMENT_MS steps between them, so a player
+ * pausing at questionEndMs lands on a segment edge. Packages live in
+ * STREAMS_DIR/<output name>/.
+ *
+ * PACKAGE_STREAMS=true adds the "package" pipeline stage after splicing.
+ */
+export const PACKAGE_STREAMS = ["1", "true"].includes(String(process.env.PACKAGE_STREAMS ?? "").toLowerCase());
+
+// Highest first, by the picture's short side (720 = 1280x720, or 720x1280 upright); the Echo Show 5 screen is 960x480
+export const STREAM_LADDER = [
+  { name: "720p", shortSide: 720, videoKbps: 2800 },
+  { name: "480p", shortSide: 480, videoKbps: 1400 },
+  { name: "360p", shortSide: 360, videoKbps: 800 },
+  { name: "240p", shortSide: 240, videoKbps: 400 }
+];
+const AUDIO_KBPS = 128;
+export const STREAM_SEGMENT_MS = 4000;
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+/** Rungs of the ladder at or below the source's short side (the source's own size when it is smaller than all). */
+export function renditionsFor({ width, height }) {
+  const short = Math.min(width, height);
+  const long = Math.max(width, height);
+  const rungs = STREAM_LADDER.filter((r) => r.shortSide <= short);
+  const chosen = rungs.length ? rungs : [{ ...STREAM_LADDER[STREAM_LADDER.length - 1], name: `${even(short)}p`, shortSide: even(short) }];
+  return chosen.map((r) => {
+    const scaled = even((r.shortSide * long) / short);
+    return { ...r, width: width >= height ? scaled : r.shortSide, height: width >= height ? r.shortSide : scaled };
+  });
+}
+
+/**
+ * Segment start times (ms): the question pause points (where each question
+ * clip ends) and, between them, even steps as close to STREAM_SEGMENT_MS as
+ * the stretch allows.
+ */
+export function segmentBoundariesMs(manifest, durationMs) {
+  const pauses = [
+    ...new Set((manifest?.parts || []).filter((p) => p.kind === "question").map((p) => p.endMs).filter((ms) => ms > 0 && ms < durationMs))
+  ].sort((a, b) => a - b);
+  const bounds = [];
+  let from = 0;
+  for (const to of [...pauses, durationMs]) {
+    const steps = Math.max(1, Math.round((to - from) / STREAM_SEGMENT_MS));
+    for (let i = 0; i < steps; i++) bounds.push(Math.round(from + ((to - from) * i) / steps));
+    from = to;
+  }
+  return bounds;
+}
+
+/**
+ * The muxer's segment duration: just under the shortest stretch between two
+ * boundaries, so every forced keyframe starts a segment and no others do
+ * (there are no other keyframes), while audio is cut at the same pace.
+ */
+function segmentDurationSec(boundaries) {
+  const gaps = boundaries.slice(1).map((ms, i) => ms - boundaries[i]);
+  const shortest = gaps.length ? Math.min(...gaps) : STREAM_SEGMENT_MS;
+  return Math.max(0.5, (shortest - 100) / 1000).toFixed(3);
+}
+
+/**
+ * Packages `videoPath` (an EAV under /eavs) as STREAMS_DIR/<name>/, replacing
+ * any earlier package of it. `manifest` is the EAV's segment manifest.
+ * Returns the `streams` record stored on the EAV:
+ * { name, hlsUrl, dashUrl, renditions, audioKbps, segmentBoundariesMs, createdAt }.
+ */
+export async function packageStreams({ videoPath, manifest }) {
+  const name = path.basename(videoPath, path.extname(videoPath));
+  const media = await probeMedia(videoPath);
+  const renditions = renditionsFor(media);
+  const boundaries = segmentBoundariesMs(manifest, media.durationMs);
+
+  // Built next to the final dir and swapped in, so players never see half a package
+  const workDir = path.join(STREAMS_DIR, `${name}.tmp-${nanoid(6)}`);
+  fs.mkdirSync(workDir, { recursive: true });
+  try {
+    const split = `[0:v]split=${renditions.length}${renditions.map((_, i) => `[s${i}]`).join("")}`;
+    const scaled = renditions.map((r, i) => `[s${i}]scale=${r.width}:${r.height},setsar=1[v${i}]`);
+    await run(FFMPEG_BIN, [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-i",
+      videoPath,
+      "-filter_complex",
+      [split, ...scaled].join(";"),
+      ...renditions.flatMap((_, i) => ["-map", `[v${i}]`]),
+      "-map",
+      "0:a:0",
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-profile:v",
+      "main",
+      "-pix_fmt",
+      "yuv420p",
+      ...renditions.flatMap((r, i) => [
+        `-b:v:${i}`,
+        `${r.videoKbps}k`,
+        `-maxrate:v:${i}`,
+        `${Math.round(r.videoKbps * 1.07)}k`,
+        `-bufsize:v:${i}`,
+        `${Math.round(r.videoKbps * 1.5)}k`
+      ]),
+      // Keyframes only at the boundaries: no scene-cut or interval keyframes in between
+      "-sc_threshold",
+      "0",
+      "-g",
+      "100000",
+      "-force_key_frames",
+      boundaries.map((ms) => (ms / 1000).toFixed(3)).join(","),
+      "-c:a",
+      "aac",
+      "-b:a",
+      `${AUDIO_KBPS}k`,
+      "-ac",
+      "2",
+      "-ar",
+      "48000",
+      "-f",
+      "dash",
+      "-seg_duration",
+      segmentDurationSec(boundaries),
+      "-use_template",
+      "1",
+      "-use_timeline",
+      "1",
+      "-adaptation_sets",
+      "id=0,streams=v id=1,streams=a",
+      "-hls_playlist",
+      "1",
+      "-init_seg_name",
+      "init-$RepresentationID$.m4s",
+      "-media_seg_name",
+      "seg-$RepresentationID$-$Number%05d$.m4s",
+      path.join(workDir, "manifest.mpd")
+    ]);
+
+    const finalDir = path.join(STREAMS_DIR, name);
+    fs.rmSync(finalDir, { recursive: true, force: true });
+    fs.renameSync(workDir, finalDir);
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  return {
+    name,
+    hlsUrl: `/streams/${name}/master.m3u8`,
+    dashUrl: `/streams/${name}/manifest.mpd`,
+    renditions: renditions.map(({ name: label, width, height, videoKbps }) => ({ name: label, width, height, videoKbps })),
+    audioKbps: AUDIO_KBPS,
+    segmentBoundariesMs: boundaries,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/** Deletes the package of an EAV output (e.g. when the render cache collects it). */
+export function deleteStreams(outputFileName) {
+  const name = path.basename(outputFileName, path.extname(outputFileName));
+  fs.rmSync(path.join(STREAMS_DIR, name), { recursive: true, force: true });
+}
@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SERVER_DIR = path.join(__dirname, "..");
+
+export const UPLOAD_DIR = path.join(SERVER_DIR, "uploads");
+// In-progress resumable uploads (<uploadId>.part)
+export const PARTIAL_UPLOAD_DIR = path.join(UPLOAD_DIR, "partial");
+// Normalized copies of odd inputs (see lib/normalize.js)
+export const MEZZANINE_DIR = path.join(UPLOAD_DIR, "mezzanine");
+export const DATA_DIR = path.join(SERVER_DIR, "data");
+
+// Legacy JSON storage, only read once by the store migration
+export const SUBMISSIONS_PATH = path.join(DATA_DIR, "submissions.json");
+export const JOBS_DIR = path.join(DATA_DIR, "jobs");
+
+export const TMP_DIR = path.join(SERVER_DIR, "tmp");
+export const VEO_DIR = path.join(SERVER_DIR, "veo_outputs");
+export const SCREENSHOTS_DIR = path.join(SERVER_DIR, "screenshots");
+
+// Splice output dir
+export const EAVS_DIR = path.join(SERVER_DIR, "EAVs");
+// Adaptive HLS/DASH packages of EAVs: streams/<output name>/ (see lib/packaging.js)
+export const STREAMS_DIR = path.join(SERVER_DIR, "streams");
+
+// Ensure dirs exist
+[UPLOAD_DIR, PARTIAL_UPLOAD_DIR, MEZZANINE_DIR, DATA_DIR, TMP_DIR, VEO_DIR, SCREENSHOTS_DIR, EAVS_DIR, STREAMS_DIR].forEach((d) =>
+  fs.mkdirSync(d, { recursive: true })
+);
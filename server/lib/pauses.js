@@ -0,0 +1,151 @@
+import "./env.js";
+import { run, FFMPEG_BIN } from "./exec.js";
+import { hasAudioStream } from "./media.js";
+
+/**
+ * Local pause detection: finds places where a quiz can be inserted without
+ * cutting anyone off, from real audio/video data rather than the model's guess.
+ *
+ * Sources: ffmpeg silencedetect (quiet stretches), the scene score filter
+ * (visual cuts) and gaps between transcript segments. A candidate never lies
+ * inside a transcript segment.
+ */
+const SILENCE_NOISE_DB = Number(process.env.PAUSE_NOISE_DB) || -30;
+const SILENCE_MIN_MS = Number(process.env.PAUSE_MIN_SILENCE_MS) || 400;
+const SCENE_THRESHOLD = Number(process.env.SCENE_THRESHOLD) || 0.3;
+
+const MIN_GAP_MS = 250; // transcript gaps shorter than this are just word spacing
+const EDGE_MS = 1500; // no insertions right at the start or end
+// Candidates, and so the breaks placed on them, are at least this far apart
+export const MIN_INSERTION_SPACING_MS = 1000;
+const MAX_CANDIDATES = 20;
+
+// ---------- ffmpeg analysis ----------
+function parseSilences(log, durationMs) {
+  const silences = [];
+  let start = null;
+  for (const line of log.split("\n")) {
+    let m;
+    if ((m = line.match(/silence_start:\s*(-?[\d.]+)/))) start = Math.max(0, Math.round(Number(m[1]) * 1000));
+    else if ((m = line.match(/silence_end:\s*([\d.]+)/)) && start != null) {
+      silences.push({ startMs: start, endMs: Math.round(Number(m[1]) * 1000) });
+      start = null;
+    }
+  }
+  // Silence running to the end of the file has no silence_end line
+  if (start != null && durationMs) silences.push({ startMs: start, endMs: durationMs });
+  return silences;
+}
+
+function parseSceneChanges(log) {
+  const scenes = [];
+  for (const line of log.split("\n")) {
+    if (!/showinfo/.test(line)) continue;
+    const m = line.match(/pts_time:\s*([\d.]+)/);
+    if (m) scenes.push(Math.round(Number(m[1]) * 1000));
+  }
+  return scenes;
+}
+
+/**
+ * One decode pass: silencedetect on the audio, scene score + showinfo on a
+ * downscaled copy of the video. Returns { silences: [{startMs, endMs}], scenes: [ms] }.
+ */
+export async function detectSilencesAndScenes(videoPath, { durationMs } = {}) {
+  const withAudio = await hasAudioStream(videoPath);
+  const args = [
+    "-hide_banner",
+    "-nostats",
+    "-i",
+    videoPath,
+    "-vf",
+    `scale=160:-2,select='gt(scene,${SCENE_THRESHOLD})',showinfo`,
+    ...(withAudio ? ["-af", `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_MS / 1000}`] : ["-an"]),
+    "-f",
+    "null",
+    "-"
+  ];
+
+  const { err } = await run(FFMPEG_BIN, args);
+  return {
+    silences: withAudio ? parseSilences(err, durationMs) : [],
+    scenes: parseSceneChanges(err)
+  };
+}
+
+// ---------- Ranking ----------
+export function transcriptGaps(segments) {
+  const sorted = [...(segments || [])].sort((a, b) => a.startMs - b.startMs);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const startMs = sorted[i - 1].endMs;
+    const endMs = sorted[i].startMs;
+    if (endMs - startMs >= MIN_GAP_MS) gaps.push({ startMs, endMs });
+  }
+  return gaps;
+}
+
+const insideSpeech = (ms, segments) => (segments || []).some((s) => ms > s.startMs && ms < s.endMs);
+
+/**
+ * Ranked insertion points, best first:
+ * [{ timestampMs, startMs, endMs, score, reasons: ["silence" | "transcript-gap" | "scene-change"] }]
+ *
+ * Score favours long silences that coincide with a transcript gap; a scene
+ * change inside the pause pulls the timestamp onto the cut and adds a bonus.
+ */
+export function rankInsertionPoints({ silences = [], scenes = [], segments = [], durationMs }) {
+  const gaps = transcriptGaps(segments);
+  const intervals = [];
+
+  // Silences, narrowed to the part that overlaps a transcript gap when there is one
+  for (const s of silences) {
+    const gap = gaps.find((g) => g.startMs < s.endMs && g.endMs > s.startMs);
+    if (gap) {
+      intervals.push({
+        startMs: Math.max(s.startMs, gap.startMs),
+        endMs: Math.min(s.endMs, gap.endMs),
+        silenceMs: s.endMs - s.startMs,
+        gapMs: gap.endMs - gap.startMs,
+        reasons: ["silence", "transcript-gap"]
+      });
+    } else {
+      intervals.push({ ...s, silenceMs: s.endMs - s.startMs, gapMs: 0, reasons: ["silence"] });
+    }
+  }
+  for (const g of gaps) {
+    if (silences.some((s) => g.startMs < s.endMs && g.endMs > s.startMs)) continue;
+    intervals.push({ ...g, silenceMs: 0, gapMs: g.endMs - g.startMs, reasons: ["transcript-gap"] });
+  }
+  // No pauses at all (e.g. music throughout): fall back to visual cuts outside speech
+  if (!intervals.length) {
+    for (const ms of scenes) intervals.push({ startMs: ms, endMs: ms, silenceMs: 0, gapMs: 0, reasons: [] });
+  }
+
+  const candidates = [];
+  for (const iv of intervals) {
+    const cut = scenes.find((ms) => ms >= iv.startMs && ms <= iv.endMs);
+    const timestampMs = cut ?? Math.round((iv.startMs + iv.endMs) / 2);
+    if (timestampMs < EDGE_MS || (durationMs && timestampMs > durationMs - EDGE_MS)) continue;
+    if (insideSpeech(timestampMs, segments)) continue;
+
+    const score =
+      2 * Math.min(3, iv.silenceMs / 1000) + Math.min(3, iv.gapMs / 1000) + (cut != null ? 1.5 : 0) + (iv.reasons.length ? 0 : 0.5);
+    candidates.push({
+      timestampMs,
+      startMs: iv.startMs,
+      endMs: iv.endMs,
+      score: Math.round(score * 100) / 100,
+      reasons: cut != null ? [...iv.reasons, "scene-change"] : iv.reasons
+    });
+  }
+
+  candidates.sort((a, b) => b.score - a.score || a.timestampMs - b.timestampMs);
+  const kept = [];
+  for (const c of candidates) {
+    if (kept.some((k) => Math.abs(k.timestampMs - c.timestampMs) < MIN_INSERTION_SPACING_MS)) continue;
+    kept.push(c);
+    if (kept.length >= MAX_CANDIDATES) break;
+  }
+  return kept;
+}
@@ -0,0 +1,547 @@
+import "./env.js";
+import { LANGUAGES } from "./language.js";
+import { MIN_INSERTION_SPACING_MS } from "./pauses.js";
+
+// ---------- Quiz shape ----------
+// A quiz is a list of checkpoints ("breaks"), each with a question clip and an
+// answer clip inserted at breakStartMs. Clip numbering follows the original
+// single-question layout: checkpoint k (0-based) uses clip{2k+1} for the
+// question and clip{2k+2} for the answer.
+export const MAX_QUESTIONS = Math.max(1, Number(process.env.QUIZ_MAX_QUESTIONS) || 6);
+
+// Auto mode: one checkpoint per ~4 minutes of video
+const MS_PER_AUTO_QUESTION = 4 * 60 * 1000;
+
+export const questionClipNumber = (k) => 2 * k + 1;
+export const answerClipNumber = (k) => 2 * k + 2;
+
+/** Parses a requested count ("auto", "", "3"); returns an int in 1..MAX_QUESTIONS or null for auto. */
+export function parseQuestionCount(value) {
+  const n = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(MAX_QUESTIONS, Math.max(1, n));
+}
+
+export function resolveQuestionCount(requested, durationMs) {
+  if (requested) return Math.min(MAX_QUESTIONS, Math.max(1, requested));
+  const auto = Math.round((Number(durationMs) || 0) / MS_PER_AUTO_QUESTION);
+  return Math.min(MAX_QUESTIONS, Math.max(1, auto));
+}
+
+// ---------- Gemini (JSON output) ----------
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+// Library tags; optional so analyses from before tagging still validate
+export const MAX_SUBJECTS = 3;
+
+// Gemini responseSchema (OpenAPI subset). Also the shape validateQuizJson() checks.
+export const QUIZ_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    show: { type: "STRING", description: "Show name, or Unknown" },
+    subjects: { type: "ARRAY", items: { type: "STRING" }, description: "1-3 school subjects the video teaches" },
+    breaks: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          breakStartMs: { type: "INTEGER" },
+          breakEndMs: { type: "INTEGER" },
+          question: { type: "STRING" },
+          answer: { type: "STRING" },
+          shortAnswer: { type: "STRING", description: "The answer a learner would say, 1-4 words" },
+          acceptedAnswers: { type: "ARRAY", items: { type: "STRING" }, description: "Other correct short answers" },
+          difficulty: { type: "STRING", enum: DIFFICULTIES },
+          rationale: { type: "STRING" }
+        },
+        required: ["breakStartMs", "breakEndMs", "question", "answer", "shortAnswer", "acceptedAnswers", "difficulty", "rationale"],
+        propertyOrdering: [
+          "breakStartMs",
+          "breakEndMs",
+          "question",
+          "answer",
+          "shortAnswer",
+          "acceptedAnswers",
+          "difficulty",
+          "rationale"
+        ]
+      }
+    }
+  },
+  required: ["show", "breaks"],
+  propertyOrdering: ["show", "subjects", "breaks"]
+};
+
+// English prompts stay exactly as they were so existing analyses/clips keep their cache hashes
+const languageName = (code) => (code && code !== "en" ? LANGUAGES[code]?.name : null);
+
+export function buildGeminiPrompt({ userGoal, segments, fullTranscript, questionCount = 1, candidates = [], language = "en" }) {
+  const lang = languageName(language);
+  const compactSegments = segments.slice(0, 220).map((s) => ({
+    startMs: s.startMs,
+    endMs: s.endMs,
+    text: s.text
+  }));
+
+  const n = questionCount;
+
+  return `Return ONLY a JSON object matching the response schema. No markdown, no prose outside the JSON.
+
+OUTPUT:
+{
+  "show": "<show name or Unknown>",
+  "subjects": ["<1-${MAX_SUBJECTS} school subjects the video teaches, in English, e.g. "Math", "Science", "Reading">"],
+  "breaks": [ EXACTLY ${n} item${n === 1 ? "" : "s"}, ascending by time:
+    {
+      "breakStartMs": <integer ms where the video pauses>,
+      "breakEndMs": <integer ms, >= breakStartMs>,
+      "question": "<single-line voiceover script, EXACTLY 8 seconds, ends with a clear question>",
+      "answer": "<single-line voiceover script, EXACTLY 8 seconds, immediately answers the question>",
+      "shortAnswer": "<what a child would say out loud: 1-4 words, e.g. "seven" or "the moon">",
+      "acceptedAnswers": ["<other correct short answers: synonyms, digits vs words, common phrasings>"],
+      "difficulty": "easy" | "medium" | "hard",
+      "rationale": "<one sentence: why this pause point and question>"
+    }
+  ]
+}
+
+RULES:
+- Pick ${n} natural pause${n === 1 ? "" : "s"} between TRANSCRIPT_SEGMENTS, spread across the whole video.${
+    candidates.length ? "\n- Prefer breakStartMs values from CANDIDATE_PAUSES (measured silences/scene cuts, best first)." : ""
+  }
+- Each question must be answerable from what happens BEFORE its break, with a short spoken answer.
+- All scripts must be SINGLE LINE (no newline characters). Use "..." for pauses.
+- Educational and based on USER_GOAL.${
+    lang ? `\n- Write "question", "answer" and "rationale" in ${lang}, even if the transcript or USER_GOAL is in another language. Keep the JSON keys in English.` : ""
+  }
+- Do NOT imitate/impersonate any specific copyrighted character. Use show-inspired narrator vibe only.
+
+USER_GOAL:
+${userGoal}
+
+TRANSCRIPT_SEGMENTS (ms):
+${JSON.stringify(compactSegments)}
+${
+  candidates.length
+    ? `\nCANDIDATE_PAUSES (ms):\n${JSON.stringify(candidates.slice(0, 12).map((c) => ({ atMs: c.timestampMs, reasons: c.reasons })))}\n`
+    : ""
+}
+FULL_TRANSCRIPT:
+${(fullTranscript || "").slice(0, 4000)}`.trim();
+}
+
+export function buildRepairPrompt({ promptText, rawText, errors }) {
+  return `${promptText}
+
+YOUR PREVIOUS RESPONSE WAS INVALID:
+${String(rawText || "").slice(0, 4000)}
+
+ERRORS:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Return the corrected JSON object only.`;
+}
+
+// Models sometimes wrap JSON in ```json fences despite the mime type
+function extractJson(rawText) {
+  const text = String(rawText || "").trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return fenced ? fenced[1] : text;
+}
+
+const isInt = (v) => Number.isInteger(v) && v >= 0;
+const isLine = (v) => typeof v === "string" && v.trim() !== "" && !/[\r\n]/.test(v);
+
+// "math", " Math " -> "Math"; duplicates dropped, at most MAX_SUBJECTS
+function cleanSubjects(list) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of list) {
+    const subject = raw.trim().replace(/\s+/g, " ");
+    const label = subject.charAt(0).toUpperCase() + subject.slice(1);
+    if (seen.has(label.toLowerCase())) continue;
+    seen.add(label.toLowerCase());
+    out.push(label);
+  }
+  return out.slice(0, MAX_SUBJECTS);
+}
+
+/**
+ * Parses and validates an analysis response against QUIZ_RESPONSE_SCHEMA plus
+ * the rules in the prompt (count, time range, ordering, single-line scripts).
+ * Returns { parsed, errors }: `parsed` keeps every field that passed (invalid
+ * breaks/fields are dropped so withQuizDefaults() can fill them), `errors` is
+ * a list of human-readable problems, empty when the response is valid.
+ */
+export function validateQuizJson(rawText, { questionCount, durationMs } = {}) {
+  const errors = [];
+  let doc;
+  try {
+    doc = JSON.parse(extractJson(rawText));
+  } catch (err) {
+    return { parsed: { show: "Unknown", breaks: [] }, errors: [`response is not valid JSON (${err.message})`] };
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return { parsed: { show: "Unknown", breaks: [] }, errors: ["response must be a JSON object"] };
+  }
+
+  let show = "Unknown";
+  if (typeof doc.show === "string" && doc.show.trim()) show = doc.show.trim();
+  else errors.push("show: must be a non-empty string");
+
+  let subjects = [];
+  if (Array.isArray(doc.subjects) && doc.subjects.every(isLine)) subjects = cleanSubjects(doc.subjects);
+  else if (doc.subjects !== undefined) errors.push("subjects: must be an array of single-line strings");
+
+  const items = Array.isArray(doc.breaks) ? doc.breaks : [];
+  if (!Array.isArray(doc.breaks)) errors.push("breaks: must be an array");
+  else if (questionCount && items.length !== questionCount) {
+    errors.push(`breaks: expected exactly ${questionCount} item(s), got ${items.length}`);
+  }
+
+  const breaks = [];
+  let prevStart = -1;
+  items.forEach((item, i) => {
+    const at = `breaks[${i}]`;
+    if (!item || typeof item !== "object") {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    const b = {};
+
+    if (!isInt(item.breakStartMs)) errors.push(`${at}.breakStartMs: must be a non-negative integer`);
+    else if (durationMs && item.breakStartMs >= durationMs) {
+      errors.push(`${at}.breakStartMs: ${item.breakStartMs} is past the end of the video (${durationMs} ms)`);
+    } else if (item.breakStartMs <= prevStart) {
+      errors.push(`${at}.breakStartMs: breaks must be in ascending time order`);
+    } else {
+      b.breakStartMs = item.breakStartMs;
+      prevStart = item.breakStartMs;
+      if (isInt(item.breakEndMs) && item.breakEndMs >= item.breakStartMs) {
+        b.breakEndMs = item.breakEndMs;
+      } else {
+        errors.push(`${at}.breakEndMs: must be an integer >= breakStartMs`);
+        b.breakEndMs = item.breakStartMs;
+      }
+      b.breakDurationMs = b.breakEndMs - b.breakStartMs;
+    }
+
+    for (const key of ["question", "answer", "shortAnswer", "rationale"]) {
+      if (isLine(item[key])) b[key] = item[key].trim();
+      else errors.push(`${at}.${key}: must be a non-empty single-line string`);
+    }
+    if (Array.isArray(item.acceptedAnswers) && item.acceptedAnswers.every(isLine)) {
+      b.acceptedAnswers = item.acceptedAnswers.map((a) => a.trim());
+    } else {
+      errors.push(`${at}.acceptedAnswers: must be an array of single-line strings`);
+    }
+
+    if (DIFFICULTIES.includes(item.difficulty)) b.difficulty = item.difficulty;
+    else errors.push(`${at}.difficulty: must be one of ${DIFFICULTIES.join(", ")}`);
+
+    breaks.push(b);
+  });
+
+  return { parsed: { show, subjects, breaks }, errors };
+}
+
+// Mirrors checkpoint 1 onto the original single-question fields, which the
+// echo endpoints, Alexa Lambda and client still read.
+function withLegacyFields(parsed) {
+  const first = parsed.breaks[0] || {};
+  return {
+    ...parsed,
+    longestBreak: {
+      breakStartMs: first.breakStartMs ?? null,
+      breakEndMs: first.breakEndMs ?? null,
+      breakDurationMs: first.breakDurationMs ?? null
+    },
+    clip1Question: first.question || "",
+    clip2Answer: first.answer || ""
+  };
+}
+
+/**
+ * Where each of the n checkpoints goes: the model's break when it is in range
+ * and at least MIN_INSERTION_SPACING_MS from every earlier one, else null.
+ * Nulls then take the first evenly spaced slot clear of every kept break, or
+ * the middle of the widest stretch still free when none is.
+ */
+function breakStarts(parsed, n, durationMs) {
+  const inRange = (ms) => Number.isFinite(ms) && ms > 0 && (!durationMs || ms < durationMs);
+  const taken = [];
+  const clear = (ms) => taken.every((t) => Math.abs(t - ms) >= MIN_INSERTION_SPACING_MS);
+  const keep = (ms) => {
+    taken.push(ms);
+    return ms;
+  };
+
+  const starts = [];
+  for (let k = 0; k < n; k++) {
+    const ms = parsed?.breaks?.[k]?.breakStartMs;
+    starts.push(inRange(ms) && clear(ms) ? keep(ms) : null);
+  }
+
+  const slots = Array.from({ length: n }, (_, j) => Math.round(((j + 1) * (durationMs || 0)) / (n + 1)));
+  return starts.map((ms) => {
+    if (ms != null) return ms;
+    const slot = slots.find(clear);
+    if (slot != null) return keep(slot);
+    const edges = [0, ...[...taken].sort((a, b) => a - b), durationMs || 0];
+    let widest = 0;
+    for (let i = 1; i < edges.length; i++) if (edges[i] - edges[i - 1] > edges[widest + 1] - edges[widest]) widest = i - 1;
+    return keep(Math.round((edges[widest] + edges[widest + 1]) / 2));
+  });
+}
+
+/**
+ * Never fail the pipeline due to Gemini formatting drift: returns exactly
+ * questionCount checkpoints sorted by time, filling missing questions/answers
+ * with safe defaults and missing, out-of-range or duplicate breaks with evenly
+ * spaced ones (see breakStarts()).
+ * Each checkpoint lists the fields it had to default in `defaulted`.
+ */
+export function withQuizDefaults(parsed, { userGoal, questionCount, durationMs }) {
+  const goal = String(userGoal || "today’s topic").trim();
+  const n = questionCount;
+  const starts = breakStarts(parsed, n, durationMs);
+
+  const breaks = [];
+  for (let k = 0; k < n; k++) {
+    const b = parsed?.breaks?.[k] || {};
+    const defaulted = [];
+
+    let { breakStartMs, breakEndMs, breakDurationMs } = b;
+    if (starts[k] !== breakStartMs) {
+      breakStartMs = starts[k];
+      breakEndMs = breakStartMs;
+      breakDurationMs = 0;
+      defaulted.push("break");
+    }
+
+    let question = String(b.question || "").trim();
+    if (!question) {
+      question = `Quick question: what’s the big idea behind ${goal}... and why does it matter?`;
+      defaulted.push("question");
+    }
+    if (!question.endsWith("?")) question = question.replace(/[.!\s]*$/, "?");
+
+    let answer = String(b.answer || "").trim();
+    if (!answer) {
+      answer = `Here’s the answer: ${goal} is about understanding the pattern and using it step-by-step, so you can solve problems confidently.`;
+      defaulted.push("answer");
+    }
+
+    // Without a short answer, verification falls back to the full answer script
+    const shortAnswer = String(b.shortAnswer || "").trim();
+    if (!shortAnswer) defaulted.push("shortAnswer");
+    const acceptedAnswers = Array.isArray(b.acceptedAnswers) ? b.acceptedAnswers : [];
+
+    let difficulty = b.difficulty;
+    if (!difficulty) {
+      difficulty = "medium";
+      defaulted.push("difficulty");
+    }
+    const rationale = b.rationale || "";
+
+    breaks.push({
+      breakStartMs,
+      breakEndMs,
+      breakDurationMs,
+      question,
+      answer,
+      shortAnswer,
+      acceptedAnswers,
+      difficulty,
+      rationale,
+      defaulted
+    });
+  }
+
+  breaks.sort((a, b) => a.breakStartMs - b.breakStartMs);
+  return withLegacyFields({ show: parsed?.show || "Unknown", subjects: parsed?.subjects || [], breaks });
+}
+
+// ---------- Insertion point check ----------
+// A model-suggested break this close to a detected pause is snapped onto it
+const SNAP_TOLERANCE_MS = 2000;
+
+/**
+ * Checks every break against the locally detected pause candidates (best
+ * first, see lib/pauses.js). A break near a candidate's pause is snapped onto
+ * it; a break elsewhere (or a defaulted one) is moved to the best unused
+ * candidate. Each break gets `placement: { source, suggestedMs, reasons }`
+ * where source is "confirmed" | "replaced" | "unchecked" (no candidates left).
+ */
+export function placeBreaks(parsed, candidates) {
+  if (!candidates?.length) return parsed;
+  const used = new Set();
+  const take = (c) => {
+    used.add(c);
+    return c;
+  };
+
+  const breaks = parsed.breaks.map((b) => {
+    const suggestedMs = b.defaulted?.includes("break") ? null : b.breakStartMs;
+    let match = null;
+    let source = "replaced";
+
+    if (suggestedMs != null) {
+      const near = candidates
+        .filter((c) => !used.has(c) && suggestedMs >= c.startMs - SNAP_TOLERANCE_MS && suggestedMs <= c.endMs + SNAP_TOLERANCE_MS)
+        .sort((x, y) => Math.abs(x.timestampMs - suggestedMs) - Math.abs(y.timestampMs - suggestedMs))[0];
+      if (near) {
+        match = take(near);
+        source = "confirmed";
+      }
+    }
+    if (!match) {
+      const best = candidates.find((c) => !used.has(c));
+      if (best) match = take(best);
+    }
+    if (!match) return { ...b, placement: { source: "unchecked", suggestedMs, reasons: [] } };
+
+    return {
+      ...b,
+      breakStartMs: match.timestampMs,
+      breakEndMs: Math.max(match.timestampMs, match.endMs),
+      breakDurationMs: Math.max(match.timestampMs, match.endMs) - match.timestampMs,
+      placement: { source, suggestedMs, reasons: match.reasons }
+    };
+  });
+
+  breaks.sort((a, b) => a.breakStartMs - b.breakStartMs);
+  return withLegacyFields({ ...parsed, breaks });
+}
+
+// ---------- Veo prompt ----------
+export function buildVeoPrompt({ showName, clipText, mode, language }) {
+  const safeShow = showName && showName !== "Unknown" ? showName : "an animated show";
+  const label = mode === "question" ? "QUESTION" : "ANSWER";
+  const lang = languageName(language);
+
+  return `Create an 8-second animated educational insert inspired by the vibe of ${safeShow}.
+Use the provided reference image to match the scene's visual style/setting.
+Tone: friendly narrator (not a specific character). Keep visuals simple and readable.
+The narrator delivers this ${label} line clearly${lang ? `, speaking ${lang} with native pronunciation` : ""}:
+"${clipText}"`;
+}
+
+/**
+ * The clips a parsed quiz needs, in clip-number order:
+ * [{ n, k, mode: "question" | "answer", text, prompt }]
+ * A break's `prompts: { question?, answer? }` (set during review) replaces the built prompt;
+ * `parsed.language` (set at analysis) tells Veo which language to narrate in.
+ */
+export function quizClips(parsed) {
+  const showName = parsed.show || "Unknown";
+  const { language } = parsed;
+  return (parsed.breaks || []).flatMap((b, k) => [
+    { n: questionClipNumber(k), k, mode: "question", text: b.question, custom: b.prompts?.question },
+    { n: answerClipNumber(k), k, mode: "answer", text: b.answer, custom: b.prompts?.answer }
+  ]).map(({ custom, ...c }) => ({ ...c, prompt: custom || buildVeoPrompt({ showName, clipText: c.text, mode: c.mode, language }) }));
+}
+
+// ---------- Review ----------
+const isScript = (v) => typeof v === "string" && v.trim() !== "" && !/[\r\n]/.test(v);
+
+/**
+ * Applies teacher edits to a parsed quiz. `edits` is index-aligned with
+ * parsed.breaks: [{ question?, answer?, shortAnswer?, acceptedAnswers?, questionPrompt?, answerPrompt? }]
+ * (omitted fields stay as they are; a prompt of null goes back to the built
+ * one). Returns { parsed, errors }.
+ */
+export function applyReviewEdits(parsed, edits) {
+  const errors = [];
+  if (!Array.isArray(edits)) return { parsed, errors: ["breaks: must be an array"] };
+  if (edits.length > parsed.breaks.length) {
+    errors.push(`breaks: this quiz has ${parsed.breaks.length} checkpoint(s), got ${edits.length} edits`);
+  }
+
+  const breaks = parsed.breaks.map((b, k) => {
+    const e = edits[k];
+    if (!e) return b;
+    const next = { ...b, prompts: { ...(b.prompts || {}) } };
+
+    for (const key of ["question", "answer"]) {
+      if (e[key] === undefined) continue;
+      if (!isScript(e[key])) errors.push(`breaks[${k}].${key}: must be a non-empty single-line string`);
+      else next[key] = e[key].trim();
+    }
+    if (next.question && !next.question.endsWith("?")) next.question = next.question.replace(/[.!\s]*$/, "?");
+
+    if (e.shortAnswer !== undefined) {
+      if (typeof e.shortAnswer !== "string" || /[\r\n]/.test(e.shortAnswer)) {
+        errors.push(`breaks[${k}].shortAnswer: must be a single-line string`);
+      } else next.shortAnswer = e.shortAnswer.trim();
+    }
+    if (e.acceptedAnswers !== undefined) {
+      if (!Array.isArray(e.acceptedAnswers) || !e.acceptedAnswers.every((a) => typeof a === "string")) {
+        errors.push(`breaks[${k}].acceptedAnswers: must be an array of strings`);
+      } else next.acceptedAnswers = e.acceptedAnswers.map((a) => a.trim()).filter(Boolean);
+    }
+
+    for (const [key, mode] of [["questionPrompt", "question"], ["answerPrompt", "answer"]]) {
+      if (e[key] === undefined) continue;
+      if (e[key] === null || e[key] === "") delete next.prompts[mode];
+      else if (typeof e[key] !== "string") errors.push(`breaks[${k}].${key}: must be a string or null`);
+      else next.prompts[mode] = e[key].trim();
+    }
+    if (!Object.keys(next.prompts).length) delete next.prompts;
+
+    const changed =
+      ["question", "answer", "shortAnswer"].some((f) => next[f] !== b[f]) ||
+      JSON.stringify(next.acceptedAnswers) !== JSON.stringify(b.acceptedAnswers) ||
+      JSON.stringify(next.prompts) !== JSON.stringify(b.prompts);
+    return changed ? { ...next, edited: true } : b;
+  });
+
+  return { parsed: withLegacyFields({ ...parsed, breaks }), errors };
+}
+
+// ---------- Output timeline ----------
+// Veo's nominal clip length; only used for EAVs spliced before manifests were recorded
+export const CLIP_DURATION_MS = 8000;
+
+/**
+ * Where each checkpoint lands in the spliced output, from the measured segment
+ * manifest of the splice (lib/splice.js planSplice). Null when the manifest
+ * is missing a question or answer part for some checkpoint.
+ */
+export function quizTimelineFromManifest(manifest) {
+  const clips = (manifest?.parts || []).filter((p) => p.kind === "question" || p.kind === "answer");
+  const count = new Set(clips.map((p) => p.checkpoint)).size;
+  const timeline = [];
+  for (let k = 0; k < count; k++) {
+    const question = clips.find((p) => p.checkpoint === k && p.kind === "question");
+    const answer = clips.find((p) => p.checkpoint === k && p.kind === "answer");
+    if (!question || !answer) return null;
+    const before = manifest.parts[manifest.parts.indexOf(question) - 1];
+    timeline.push({
+      spliceTimestampMs: before?.sourceEndMs ?? 0,
+      insertStartMs: question.startMs,
+      questionEndMs: question.endMs,
+      answerStartMs: answer.startMs,
+      answerEndMs: answer.endMs
+    });
+  }
+  return timeline.length ? timeline : null;
+}
+
+/**
+ * Estimated timeline for EAVs without a manifest: the original-video insertion
+ * timestamps (ascending), each earlier checkpoint shifting later ones by two
+ * CLIP_DURATION_MS clips.
+ */
+export function buildQuizTimeline(insertionTimestampsMs) {
+  return insertionTimestampsMs.map((spliceTimestampMs, k) => {
+    const insertStartMs = spliceTimestampMs + k * 2 * CLIP_DURATION_MS;
+    const questionEndMs = insertStartMs + CLIP_DURATION_MS;
+    return {
+      spliceTimestampMs,
+      insertStartMs,
+      questionEndMs,
+      answerStartMs: questionEndMs,
+      answerEndMs: insertStartMs + 2 * CLIP_DURATION_MS
+    };
+  });
+}
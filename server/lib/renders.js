@@ -0,0 +1,279 @@
+import "./env.js";
+import fs from "fs";
+import path from "path";
+import { nanoid } from "nanoid";
+import { hashFileCached, hashJson } from "./hash.js";
+import { SERVER_DIR, EAVS_DIR } from "./paths.js";
+import { spliceWithInsertions } from "./splice.js";
+import { encodeProfile } from "./encoding.js";
+import { writeCaptionFiles } from "./captions.js";
+import { deleteStreams } from "./packaging.js";
+import { saveRender, getRender, listRendersUsedBefore, getSubmission, registerEavFile } from "./store.js";
+
+/**
+ * Render cache for splices.
+ *
+ * A render is keyed by a hash of everything that shapes the output: the
+ * source and clip files (SHA-256), the insertion timestamps, the encode
+ * profile's settings, the caption cues and whether they are burned in. An identical
+ * request gets the existing file back instead of a re-encode.
+ *
+ * Each render keeps its edit (the render manifest: which files go where, how
+ * it is encoded and captioned), so an output that was garbage-collected is
+ * rendered again on demand as long as its inputs still exist unchanged. A
+ * splice of an uploaded video that is not kept (POST /api/splice without a
+ * submission) records `source.kept: false`: once collected, that output can
+ * only come back from splicing the same video again.
+ * Outputs unused for RENDER_CACHE_TTL_DAYS are deleted (with their HLS/DASH
+ * package), except a submission's current EAV.
+ */
+// Bump when the splice itself changes, so older outputs are not reused
+const RENDER_VERSION = 1;
+const RENDER_CACHE_TTL_MS = (Number(process.env.RENDER_CACHE_TTL_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+const inFlight = new Map(); // render key -> promise of a render being encoded
+
+/** Error carrying an HTTP status for the render routes. */
+export class RenderError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const relative = (file) => path.relative(SERVER_DIR, file);
+const absolute = (file) => path.resolve(SERVER_DIR, file);
+const outputPath = (fileName) => path.join(EAVS_DIR, fileName);
+// Renders from before encode profiles recorded the web profile's settings without a name
+const editEncode = (edit) => ({ ...encodeProfile("web"), ...edit.encode });
+
+// ---------- Render manifest ----------
+/**
+ * The edit a splice performs, from its plan (splice.js planSplice()):
+ * { source: { file, sha256, kept }, insertions: [{ timestampMs, clips: [{ file, sha256, durationMs }] }],
+ *   encode, mode, captions: { cues, burnIn } }. Files are relative to the server dir;
+ * encode is the resolved profile (lib/encoding.js), so later edits to a profile make new renders.
+ */
+async function describeEdit({ originalPath, sourceKept, plan, cues, burnCaptions, mode, encode }) {
+  const insertions = [];
+  for (const ins of plan.insertions) {
+    const clips = [];
+    for (const clip of ins.clips) clips.push({ file: relative(clip.path), sha256: await hashFileCached(clip.path), durationMs: clip.durationMs });
+    insertions.push({ timestampMs: ins.timestampMs, clips });
+  }
+  return {
+    source: { file: relative(originalPath), sha256: await hashFileCached(originalPath), kept: sourceKept },
+    insertions,
+    encode,
+    mode,
+    captions: { cues, burnIn: Boolean(cues.length && burnCaptions) }
+  };
+}
+
+// Paths are left out: the same bytes elsewhere make the same output
+function renderKey(edit, { submissionId, ownerId }) {
+  return hashJson({
+    version: RENDER_VERSION,
+    submissionId,
+    ownerId,
+    source: edit.source.sha256,
+    insertions: edit.insertions.map((ins) => ({ timestampMs: ins.timestampMs, clips: ins.clips.map((c) => c.sha256) })),
+    encode: edit.encode,
+    mode: edit.mode,
+    captions: hashJson(edit.captions)
+  });
+}
+
+// ---------- Rendering ----------
+// Manifests from before `kept` only reference stored files
+const reproducible = (edit) => edit.source.kept !== false;
+
+async function inputsIntact(edit) {
+  const files = [edit.source, ...edit.insertions.flatMap((ins) => ins.clips)];
+  for (const { file, sha256 } of files) {
+    if (!fs.existsSync(absolute(file)) || (await hashFileCached(absolute(file))) !== sha256) return false;
+  }
+  return true;
+}
+
+/**
+ * Encodes render.output.fileName from the render's edit; fills in render.output.
+ * The video is encoded under a temporary name and renamed once complete; a
+ * failed encode leaves neither it nor the caption files behind.
+ */
+async function renderOutput(render, plan = null) {
+  const { edit, output } = render;
+  const outputFile = outputPath(output.fileName);
+  const partialFile = outputFile.replace(/\.mp4$/, `.tmp-${nanoid(6)}.mp4`);
+  const { cues, burnIn } = edit.captions;
+  let files = null;
+  let manifest;
+  try {
+    files = cues.length ? writeCaptionFiles(outputFile.replace(/\.mp4$/, ""), cues) : null;
+    manifest = await spliceWithInsertions({
+      originalPath: absolute(edit.source.file),
+      insertions: edit.insertions.map((ins) => ({ timestampMs: ins.timestampMs, clips: ins.clips.map((c) => absolute(c.file)) })),
+      outputPath: partialFile,
+      subtitlesPath: burnIn ? files.srtPath : null,
+      plan,
+      mode: edit.mode,
+      encode: editEncode(edit)
+    });
+    fs.renameSync(partialFile, outputFile);
+  } catch (err) {
+    const captionFiles = cues.length ? ["vtt", "srt"].map((ext) => outputFile.replace(/\.mp4$/, `.${ext}`)) : [];
+    for (const file of [partialFile, ...captionFiles]) fs.rmSync(file, { force: true });
+    throw err;
+  }
+  for (const file of [outputFile, files?.vttPath, files?.srtPath].filter(Boolean)) {
+    registerEavFile({ name: path.basename(file), submissionId: render.submissionId, ownerId: render.submissionId ? null : render.ownerId });
+  }
+
+  render.output = {
+    fileName: output.fileName,
+    captions: files
+      ? {
+          vttUrl: `/eavs/${path.basename(files.vttPath)}`,
+          srtUrl: `/eavs/${path.basename(files.srtPath)}`,
+          cueCount: cues.length,
+          burnedIn: burnIn
+        }
+      : null,
+    manifest,
+    renderedAt: new Date().toISOString(),
+    deletedAt: null
+  };
+  return render;
+}
+
+const outputExists = (render) => fs.existsSync(outputPath(render.output.fileName));
+
+// One encode per key at a time; concurrent identical requests share it
+function once(key, work) {
+  if (!inFlight.has(key)) inFlight.set(key, work().finally(() => inFlight.delete(key)));
+  return inFlight.get(key);
+}
+
+/**
+ * Makes sure a render's output exists, re-encoding it from its edit when it
+ * was collected. Returns { render, rendered } (rendered: an encode ran).
+ */
+export function ensureRendered(render, plan = null) {
+  if (outputExists(render)) return Promise.resolve({ render, rendered: false });
+  return once(render.key, async () => {
+    if (!(await inputsIntact(render.edit))) {
+      throw new RenderError(
+        410,
+        reproducible(render.edit)
+          ? "The inputs of this render have changed or been deleted; splice again instead."
+          : "This render was spliced from an uploaded video that is not kept; splice the video again instead."
+      );
+    }
+    return { render: saveRender(await renderOutput(render, plan)), rendered: true };
+  });
+}
+
+/**
+ * The cached entry point of every splice. `plan` is planSplice() of the
+ * inputs, `cues` the captions on the output timeline, `encode` the encode
+ * profile, `sourceKept` false when `originalPath` is deleted after the request.
+ * New outputs are named `<outputPrefix>_<time>_<id>.mp4`. Returns { render, cached }.
+ */
+export async function renderSplice({
+  originalPath,
+  sourceKept = true,
+  plan,
+  cues,
+  burnCaptions,
+  mode = "full",
+  encode = encodeProfile(),
+  submissionId = null,
+  ownerId = null,
+  outputPrefix
+}) {
+  const edit = await describeEdit({ originalPath, sourceKept, plan, cues, burnCaptions, mode, encode });
+  const key = renderKey(edit, { submissionId, ownerId });
+  const now = new Date().toISOString();
+
+  const existing = getRender(key);
+  if (existing) {
+    // Same key, same bytes: this request's files can re-render a collected output
+    const { render, rendered } = await ensureRendered({ ...existing, edit }, plan);
+    render.lastUsedAt = now;
+    return { render: saveRender(render), cached: !rendered };
+  }
+
+  const render = await once(key, async () =>
+    saveRender(
+      await renderOutput(
+        {
+          key,
+          ownerId,
+          submissionId,
+          createdAt: now,
+          lastUsedAt: now,
+          edit,
+          output: { fileName: `${outputPrefix}_${Date.now()}_${nanoid(10)}.mp4` }
+        },
+        plan
+      )
+    )
+  );
+  return { render, cached: false };
+}
+
+/** What the API shows of a render: no server paths. */
+export function publicRender(render) {
+  const { edit, output } = render;
+  return {
+    key: render.key,
+    submissionId: render.submissionId,
+    createdAt: render.createdAt,
+    lastUsedAt: render.lastUsedAt,
+    available: outputExists(render),
+    reproducible: reproducible(edit),
+    outputFileName: output.fileName,
+    outputUrl: `/eavs/${output.fileName}`,
+    captions: output.captions,
+    manifest: output.manifest,
+    renderedAt: output.renderedAt,
+    edit: {
+      sourceSha256: edit.source.sha256,
+      insertions: edit.insertions.map((ins) => ({
+        timestampMs: ins.timestampMs,
+        clips: ins.clips.map((c) => ({ name: path.basename(c.file), sha256: c.sha256, durationMs: c.durationMs }))
+      })),
+      encode: editEncode(edit),
+      mode: edit.mode,
+      captions: { cueCount: edit.captions.cues.length, burnIn: edit.captions.burnIn }
+    }
+  };
+}
+
+export function findRender(key, ownerId) {
+  const render = getRender(String(key));
+  if (!render || render.ownerId !== ownerId) throw new RenderError(404, "Render not found.");
+  return render;
+}
+
+// ---------- Garbage collection ----------
+/** Deletes the files of renders unused for RENDER_CACHE_TTL_DAYS; their records stay for re-rendering. */
+export function collectStaleRenders() {
+  const cutoff = new Date(Date.now() - RENDER_CACHE_TTL_MS).toISOString();
+  let collected = 0;
+  for (const render of listRendersUsedBefore(cutoff)) {
+    if (render.output.deletedAt || inFlight.has(render.key)) continue;
+    // The submission's current EAV is what the player and the Echo session serve
+    if (render.submissionId && getSubmission(render.submissionId)?.eav?.outputFileName === render.output.fileName) continue;
+
+    const captions = render.output.captions;
+    for (const name of [render.output.fileName, captions?.vttUrl, captions?.srtUrl].filter(Boolean)) {
+      fs.rmSync(outputPath(path.basename(name)), { force: true });
+    }
+    deleteStreams(render.output.fileName);
+    render.output.deletedAt = new Date().toISOString();
+    saveRender(render);
+    collected += 1;
+  }
+  if (collected) console.log(`Collected ${collected} stale render(s)`);
+}
@@ -0,0 +1,415 @@
+import "./env.js";
+import fs from "fs";
+import path from "path";
+import { run, throwIfCancelled, FFMPEG_BIN } from "./exec.js";
+import { hasAudioStream, probeDurationSec, probeVideoProps, probeMedia, probeKeyframesMs } from "./media.js";
+import { TMP_DIR } from "./paths.js";
+import { encodeProfile, fitFilter, loudnormFilter, videoEncodeArgs, audioEncodeArgs } from "./encoding.js";
+
+/**
+ * SPLICE_MODE: full (default) re-encodes the whole video; fast stream-copies
+ * the original and encodes only the clips, matched to the original's codec
+ * parameters. A cut within SPLICE_SNAP_MAX_MS of a keyframe moves onto it;
+ * farther ones re-encode just the GOP around the cut (0: never move a cut).
+ * Inputs a stream copy can't join fall back to the full re-encode.
+ */
+export const SPLICE_MODES = ["full", "fast"];
+export const SPLICE_MODE = SPLICE_MODES.includes(process.env.SPLICE_MODE) ? process.env.SPLICE_MODE : "full";
+const SPLICE_SNAP_MAX_MS = process.env.SPLICE_SNAP_MAX_MS ? Number(process.env.SPLICE_SNAP_MAX_MS) || 0 : 1000;
+
+// ffprobe profile -> x264 -profile:v; others (High 10, 4:2:2, ...) need a full re-encode
+const X264_PROFILES = { "Constrained Baseline": "baseline", Baseline: "baseline", Main: "main", High: "high" };
+
+// Inserted clips of a checkpoint, in order: question then answer
+const CLIP_KINDS = ["question", "answer"];
+
+// Why the original can't be stream-copied, or null when it can
+function fastSpliceBlocker(media, { burnIn, encode }) {
+  if (burnIn) return "burned-in captions need a full re-encode";
+  if (encode.videoCodec !== "libx264") return `encode profile ${encode.name} changes the video codec`;
+  if (encode.size && (encode.size.width !== media.width || encode.size.height !== media.height)) {
+    return `encode profile ${encode.name} resizes the picture`;
+  }
+  if (encode.loudnorm) return `encode profile ${encode.name} normalizes loudness`;
+  if (media.videoCodec !== "h264") return `video codec ${media.videoCodec}`;
+  if (!X264_PROFILES[media.videoProfile]) return `H.264 profile ${media.videoProfile}`;
+  if (media.pixFmt !== "yuv420p") return `pixel format ${media.pixFmt}`;
+  if (media.vfr || !media.frameRate) return "variable frame rate";
+  if (media.rotation) return `rotated ${media.rotation}°`;
+  if (media.sar && !["1:1", "0:1"].includes(media.sar)) return `sample aspect ratio ${media.sar}`;
+  if (media.audioCodec !== "aac") return media.audioCodec ? `audio codec ${media.audioCodec}` : "no audio stream";
+  if (!/mp4|mov/.test(media.container || "")) return `container ${media.container}`;
+  return null;
+}
+
+const nearest = (values, target) => values.reduce((best, v) => (Math.abs(v - target) < Math.abs(best - target) ? v : best));
+
+/**
+ * Measures a splice before running it: ffprobe durations of the original and
+ * of every clip, and the resulting segment manifest on the output timeline.
+ * mode "fast" also checks the original can be stream-copied under `encode`
+ * (lib/encoding.js) and snaps cuts near a keyframe onto it (the moved
+ * insertion keeps `requestedMs`).
+ *
+ * Returns { sourceDurationMs, insertions: [{ timestampMs, clips: [{ path, durationMs }] }], parts,
+ * mode, fallbackReason } with insertions sorted and clamped to the original; parts are
+ * { kind: "original", startMs, endMs, sourceStartMs, sourceEndMs } or
+ * { kind: "question" | "answer" | "clip", checkpoint, clip, startMs, endMs }.
+ */
+export async function planSplice({ originalPath, insertions, mode = "full", burnIn = false, encode = encodeProfile() }) {
+  const sourceDurationMs = Math.round((await probeDurationSec(originalPath)) * 1000);
+
+  let fast = null;
+  let fallbackReason = null;
+  if (mode === "fast") {
+    const media = await probeMedia(originalPath);
+    fallbackReason = fastSpliceBlocker(media, { burnIn, encode });
+    const keyframesMs = fallbackReason ? [] : await probeKeyframesMs(originalPath);
+    if (!fallbackReason && !keyframesMs.length) fallbackReason = "no keyframes found";
+    if (!fallbackReason) fast = { media, keyframesMs };
+  }
+
+  const sorted = [...insertions]
+    .map((ins) => {
+      const timestampMs = Math.min(sourceDurationMs, Math.max(0, Math.round(Number(ins.timestampMs))));
+      const keyframe = fast && nearest(fast.keyframesMs, timestampMs);
+      return fast && keyframe !== timestampMs && Math.abs(keyframe - timestampMs) <= SPLICE_SNAP_MAX_MS
+        ? { ...ins, timestampMs: keyframe, requestedMs: timestampMs }
+        : { ...ins, timestampMs };
+    })
+    .sort((a, b) => a.timestampMs - b.timestampMs);
+  if (!sorted.length) throw new Error("Nothing to splice: no insertions given.");
+
+  const measured = [];
+  for (const ins of sorted) {
+    const clips = [];
+    for (const clipPath of ins.clips) clips.push({ path: clipPath, durationMs: Math.round((await probeDurationSec(clipPath)) * 1000) });
+    measured.push({ ...ins, clips });
+  }
+
+  const parts = [];
+  let at = 0;
+  let sourceAt = 0;
+  const pushOriginal = (toMs) => {
+    parts.push({ kind: "original", startMs: at, endMs: at + toMs - sourceAt, sourceStartMs: sourceAt, sourceEndMs: toMs });
+    at += toMs - sourceAt;
+    sourceAt = toMs;
+  };
+  measured.forEach((ins, checkpoint) => {
+    pushOriginal(ins.timestampMs);
+    ins.clips.forEach((clip, i) => {
+      parts.push({ kind: CLIP_KINDS[i] || "clip", checkpoint, clip: path.basename(clip.path), startMs: at, endMs: at + clip.durationMs });
+      at += clip.durationMs;
+    });
+  });
+  pushOriginal(sourceDurationMs);
+
+  return { sourceDurationMs, insertions: measured, parts, mode: fast ? "fast" : "full", fallbackReason, fast };
+}
+
+/**
+ * Splices every insertion's clips (e.g. question + answer) into the original
+ * at its timestamp, stream-copying when the plan allows (see SPLICE_MODE).
+ *
+ * insertions: [{ timestampMs, clips: [path, ...] }] — any order, any count.
+ * subtitlesPath (optional): an .srt on the output timeline to burn into the picture.
+ * plan (optional): planSplice() of the same inputs, when the caller already has it.
+ * encode: the encode profile (lib/encoding.js); the default one when omitted.
+ * Returns the segment manifest: { durationMs (of the output, ffprobe), sourceDurationMs,
+ * mode ("fast" | "full"), fallbackReason (fast asked for but not possible), copiedMs, parts }.
+ */
+export async function spliceWithInsertions({
+  originalPath,
+  insertions,
+  outputPath,
+  subtitlesPath = null,
+  plan = null,
+  mode = "full",
+  encode = encodeProfile()
+}) {
+  plan ||= await planSplice({ originalPath, insertions, mode, burnIn: Boolean(subtitlesPath), encode });
+  const manifest = (fields) => ({ sourceDurationMs: plan.sourceDurationMs, ...fields, parts: plan.parts });
+
+  let fallbackReason = plan.fallbackReason;
+  if (plan.mode === "fast" && !subtitlesPath) {
+    try {
+      const { copiedMs } = await spliceFast({ originalPath, outputPath, plan, encode });
+      return manifest({ durationMs: Math.round((await probeDurationSec(outputPath)) * 1000), mode: "fast", copiedMs });
+    } catch (err) {
+      throwIfCancelled();
+      fallbackReason = `fast splice failed: ${String(err?.message || err).split("\n")[0]}`;
+      console.warn(`${fallbackReason}; re-encoding ${path.basename(outputPath)} instead`);
+    }
+  }
+
+  await spliceFull({ originalPath, outputPath, subtitlesPath, plan, encode });
+  return manifest({
+    durationMs: Math.round((await probeDurationSec(outputPath)) * 1000),
+    mode: "full",
+    ...(fallbackReason && { fallbackReason }),
+    copiedMs: 0
+  });
+}
+
+/**
+ * ✅ Robust splice:
+ * - Splits original at every insertion timestamp
+ * - Inserts each insertion's clips (e.g. question + answer) at its timestamp
+ * - NORMALIZES all segments (scale + sar + fps + pix_fmt) to the profile's
+ *   size, or the original's when it has none
+ * - Ensures audio exists for every segment (adds silence if missing)
+ *
+ * Re-encodes everything through one filtergraph.
+ */
+async function spliceFull({ originalPath, outputPath, subtitlesPath, plan, encode }) {
+  const { sourceDurationMs, insertions: measured } = plan;
+  const sorted = measured.map((ins) => ({ ...ins, tsSec: ins.timestampMs / 1000 }));
+
+  // Use ORIGINAL video as the "truth" for fps, and for size unless the profile sets one
+  const source = await probeVideoProps(originalPath);
+  const { fps } = source;
+  const { width, height } = encode.size || source;
+  const a0 = await hasAudioStream(originalPath);
+  const durationSec = sourceDurationMs / 1000;
+
+  // video normalization applied to every segment
+  // - fit to the output size (pad or crop, per profile)
+  // - force SAR 1:1
+  // - force fps
+  // - force pixel format
+  const V = (labelIn, labelOut) =>
+    `[${labelIn}]${fitFilter(width, height, encode.fit)},setsar=1,fps=${fps.toFixed(3)},format=yuv420p,setpts=PTS-STARTPTS[${labelOut}]`;
+
+  // audio normalization
+  const A = (labelIn, labelOut) => `[${labelIn}]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[${labelOut}]`;
+
+  // Build filtergraph
+  // Inputs: 0 = original, 1..n = every inserted clip in output order.
+  // Segments (in output order): original part, its insertion's clips, next original part, ...
+  const parts = [];
+  const concatLabels = [];
+  const clipInputs = [];
+
+  const pushOriginalPart = (i, fromSec, toSec) => {
+    const range = toSec == null ? `start=${fromSec}` : `start=${fromSec}:end=${toSec}`;
+    // Normalize before trimming: fps after a trim pads the part back out to the source's length
+    parts.push(V("0:v", `ov${i}full`));
+    parts.push(`[ov${i}full]trim=${range},setpts=PTS-STARTPTS[ov${i}]`);
+    if (a0) {
+      parts.push(`[0:a]atrim=${range},asetpts=PTS-STARTPTS[oa${i}raw]`);
+      parts.push(A(`oa${i}raw`, `oa${i}`));
+    } else {
+      // extremely rare: original has no audio
+      const len = Math.max(0, (toSec ?? durationSec) - fromSec);
+      parts.push(`anullsrc=r=48000:cl=stereo,atrim=0:${len},asetpts=PTS-STARTPTS[oa${i}]`);
+    }
+    concatLabels.push(`[ov${i}][oa${i}]`);
+  };
+
+  let prevSec = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    pushOriginalPart(i, prevSec, sorted[i].tsSec);
+    prevSec = sorted[i].tsSec;
+
+    for (const clip of sorted[i].clips) {
+      clipInputs.push(clip.path);
+      const n = clipInputs.length;
+      parts.push(V(`${n}:v`, `cv${n}`));
+      if (await hasAudioStream(clip.path)) {
+        parts.push(A(`${n}:a`, `ca${n}`));
+      } else {
+        // silent audio as long as the clip itself
+        parts.push(`anullsrc=r=48000:cl=stereo,atrim=0:${clip.durationMs / 1000},asetpts=PTS-STARTPTS[ca${n}]`);
+      }
+      concatLabels.push(`[cv${n}][ca${n}]`);
+    }
+  }
+  pushOriginalPart(sorted.length, prevSec, null);
+
+  const loudnorm = loudnormFilter(encode);
+  parts.push(`${concatLabels.join("")}concat=n=${concatLabels.length}:v=1:a=1[${subtitlesPath ? "vraw" : "v"}][${loudnorm ? "araw" : "a"}]`);
+  // ffmpeg runs from the subtitle's directory so the filter only sees a plain file name (no escaping)
+  if (subtitlesPath) parts.push(`[vraw]subtitles=${path.basename(subtitlesPath)}[v]`);
+  // Loudness is measured over the whole output, so inserted clips match the lesson
+  if (loudnorm) parts.push(`[araw]${loudnorm}[a]`);
+
+  const filter = parts.join(";");
+
+  const args = [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-i",
+    originalPath,
+    ...clipInputs.flatMap((p) => ["-i", p]),
+    "-filter_complex",
+    filter,
+    "-map",
+    "[v]",
+    "-map",
+    "[a]",
+    ...videoEncodeArgs(encode),
+    ...audioEncodeArgs(encode),
+    "-movflags",
+    "+faststart",
+    "-y",
+    outputPath
+  ];
+
+  await run(FFMPEG_BIN, args, subtitlesPath ? { cwd: path.dirname(subtitlesPath) } : {});
+}
+
+// ---------- Fast splice ----------
+// Encoder settings that make a new part joinable with the original's packets (quality from the profile)
+function matchingEncodeArgs(media, encode) {
+  return [
+    "-r",
+    media.frameRate,
+    ...videoEncodeArgs(encode),
+    "-profile:v",
+    X264_PROFILES[media.videoProfile],
+    ...(media.videoLevel ? ["-level", String(media.videoLevel / 10)] : []),
+    "-pix_fmt",
+    "yuv420p",
+    ...(media.timeScale ? ["-video_track_timescale", String(media.timeScale)] : []),
+    ...audioEncodeArgs(encode),
+    "-ar",
+    String(media.sampleRate),
+    "-ac",
+    String(media.channels)
+  ];
+}
+
+const concatPath = (file) => `'${file.replace(/'/g, "'\\''")}'`;
+
+/**
+ * Stream-copy splice: the original is split at keyframes (segment muxer,
+ * packets copied as is); the clips, and the stretch between a cut and its
+ * keyframe when the cut is not on one, are encoded to match; everything is
+ * joined with the concat demuxer. Returns { copiedMs } (original time copied).
+ */
+async function spliceFast({ originalPath, outputPath, plan, encode }) {
+  const { media, keyframesMs } = plan.fast;
+  const { width, height } = media;
+  const endMs = plan.sourceDurationMs;
+
+  // Output order: { copy: [fromMs, toMs] } | { encode: [fromMs, toMs] } | { clip }
+  const pieces = [];
+  const pushOriginal = (fromMs, toMs) => {
+    if (toMs <= fromMs) return;
+    const copyFrom = keyframesMs.find((k) => k >= fromMs);
+    const copyTo = toMs === endMs ? endMs : keyframesMs.filter((k) => k <= toMs).pop();
+    if (copyFrom == null || copyTo == null || copyFrom >= copyTo) return pieces.push({ encode: [fromMs, toMs] });
+    if (copyFrom > fromMs) pieces.push({ encode: [fromMs, copyFrom] });
+    pieces.push({ copy: [copyFrom, copyTo] });
+    if (copyTo < toMs) pieces.push({ encode: [copyTo, toMs] });
+  };
+  let prevMs = 0;
+  for (const ins of plan.insertions) {
+    pushOriginal(prevMs, ins.timestampMs);
+    prevMs = ins.timestampMs;
+    for (const clip of ins.clips) pieces.push({ clip });
+  }
+  pushOriginal(prevMs, endMs);
+
+  const workDir = fs.mkdtempSync(path.join(TMP_DIR, "splice-"));
+  try {
+    // One pass splits the original at every copy boundary; segment i spans bounds[i]..bounds[i + 1]
+    const copies = pieces.filter((p) => p.copy);
+    const bounds = [...new Set([0, ...copies.flatMap((p) => p.copy), endMs])].sort((a, b) => a - b);
+    if (copies.length) {
+      await run(FFMPEG_BIN, [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-i",
+        originalPath,
+        "-map",
+        "0:v:0",
+        "-map",
+        "0:a:0",
+        "-c",
+        "copy",
+        "-f",
+        "segment",
+        // Just under each keyframe time: ffprobe's times are rounded to the ms
+        "-segment_times",
+        bounds.slice(1, -1).map((ms) => ((ms - 0.5) / 1000).toFixed(4)).join(","),
+        "-reset_timestamps",
+        "1",
+        path.join(workDir, "copy%03d.mp4")
+      ]);
+    }
+    const segment = (i) => path.join(workDir, `copy${String(i).padStart(3, "0")}.mp4`);
+
+    const encodePart = async (name, inputArgs, mapArgs, filter) => {
+      const file = path.join(workDir, name);
+      await run(FFMPEG_BIN, ["-hide_banner", "-loglevel", "error", ...inputArgs, ...mapArgs, "-vf", filter, ...matchingEncodeArgs(media, encode), "-y", file]);
+      return file;
+    };
+
+    const files = [];
+    let copiedMs = 0;
+    for (const [i, piece] of pieces.entries()) {
+      if (piece.copy) {
+        const [fromMs, toMs] = piece.copy;
+        for (let k = bounds.indexOf(fromMs); k < bounds.indexOf(toMs); k++) files.push(segment(k));
+        copiedMs += toMs - fromMs;
+      } else if (piece.encode) {
+        // Exact cut: decoding starts at the keyframe before fromMs, output starts at fromMs
+        const [fromMs, toMs] = piece.encode;
+        files.push(
+          await encodePart(
+            `part${i}.mp4`,
+            ["-ss", String(fromMs / 1000), "-i", originalPath, "-t", String((toMs - fromMs) / 1000)],
+            ["-map", "0:v:0", "-map", "0:a:0"],
+            "setsar=1,format=yuv420p"
+          )
+        );
+      } else {
+        const { clip } = piece;
+        const audio = await hasAudioStream(clip.path);
+        files.push(
+          await encodePart(
+            `part${i}.mp4`,
+            [
+              "-i",
+              clip.path,
+              // silent audio as long as the clip itself
+              ...(audio ? [] : ["-f", "lavfi", "-t", String(clip.durationMs / 1000), "-i", "anullsrc=r=48000:cl=stereo"])
+            ],
+            ["-map", "0:v:0", "-map", audio ? "0:a:0" : "1:a:0", "-t", String(clip.durationMs / 1000)],
+            `${fitFilter(width, height, encode.fit)},setsar=1,format=yuv420p`
+          )
+        );
+      }
+    }
+
+    const listPath = path.join(workDir, "parts.ffconcat");
+    fs.writeFileSync(listPath, `ffconcat version 1.0\n${files.map((f) => `file ${concatPath(f)}`).join("\n")}\n`);
+    await run(FFMPEG_BIN, [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-f",
+      "concat",
+      "-safe",
+      "0",
+      "-i",
+      listPath,
+      "-map",
+      "0:v:0",
+      "-map",
+      "0:a:0",
+      "-c",
+      "copy",
+      "-movflags",
+      "+faststart",
+      "-y",
+      outputPath
+    ]);
+    return { copiedMs };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,639 @@
+import "./env.js";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { DATA_DIR, SUBMISSIONS_PATH, JOBS_DIR } from "./paths.js";
+import { subjectTags } from "./subjects.js";
+
+/**
+ * Submission + job repository (SQLite).
+ *
+ * Each submission is one row; the document lives in a JSON column and
+ * updateSubmission() replaces only the top-level fields it is given, inside a
+ * single UPDATE, so concurrent pipelines/uploads no longer clobber each other.
+ * Quiz attempts keep their filterable fields in columns for aggregation.
+ * submissions_fts mirrors the searchable text of each submission and the
+ * `tags` column its subject tags (library search and filters).
+ * renders caches splice outputs by a hash of their inputs (lib/renders.js).
+ */
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "eav.db");
+
+const db = new Database(DB_PATH);
+db.pragma("journal_mode = WAL");
+db.pragma("busy_timeout = 5000");
+
+// ---------- Schema migrations (PRAGMA user_version) ----------
+const MIGRATIONS = [
+  // 1: base tables
+  () => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS submissions (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS submissions_created_at ON submissions (created_at DESC);
+
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        submission_id TEXT,
+        status TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS jobs_submission ON jobs (submission_id);
+      CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+    `);
+  },
+  // 2: import legacy data/submissions.json and data/jobs/*.json
+  () => {
+    importLegacyJson();
+  },
+  // 3: resumable upload sessions
+  () => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS uploads (
+        id TEXT PRIMARY KEY,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS uploads_updated_at ON uploads (updated_at);
+    `);
+  },
+  // 4: learners and their quiz attempts
+  () => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS learners (
+        id TEXT PRIMARY KEY,
+        alexa_user_id TEXT UNIQUE,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS attempts (
+        id TEXT PRIMARY KEY,
+        learner_id TEXT,
+        submission_id TEXT NOT NULL,
+        question_index INTEGER NOT NULL,
+        correct INTEGER NOT NULL,
+        latency_ms INTEGER,
+        channel TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS attempts_learner ON attempts (learner_id, created_at);
+      CREATE INDEX IF NOT EXISTS attempts_submission ON attempts (submission_id, question_index);
+    `);
+  },
+  // 5: accounts, API keys, ownership of submissions/learners and of EAV outputs
+  () => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS auth_sessions_expires_at ON auth_sessions (expires_at);
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS api_keys_user ON api_keys (user_id);
+
+      ALTER TABLE submissions ADD COLUMN owner_id TEXT;
+      CREATE INDEX IF NOT EXISTS submissions_owner ON submissions (owner_id, created_at DESC);
+      ALTER TABLE learners ADD COLUMN owner_id TEXT;
+      CREATE INDEX IF NOT EXISTS learners_owner ON learners (owner_id);
+
+      CREATE TABLE IF NOT EXISTS eav_files (
+        name TEXT PRIMARY KEY,
+        submission_id TEXT,
+        owner_id TEXT,
+        created_at TEXT NOT NULL
+      );
+    `);
+    backfillEavFiles();
+  },
+  // 6: full-text index over prompt, transcript and quiz text (library search)
+  () => {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS submissions_fts USING fts5(
+        submission_id UNINDEXED,
+        prompt,
+        transcript,
+        questions,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+    `);
+    const insert = db.prepare(
+      "INSERT INTO submissions_fts (submission_id, prompt, transcript, questions) VALUES (@id, @prompt, @transcript, @questions)"
+    );
+    for (const row of db.prepare("SELECT data FROM submissions").all()) insert.run(searchDocument(JSON.parse(row.data)));
+  },
+  // 7: splice outputs keyed by their inputs (render cache)
+  () => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS renders (
+        key TEXT PRIMARY KEY,
+        owner_id TEXT,
+        submission_id TEXT,
+        output_name TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS renders_owner ON renders (owner_id, last_used_at DESC);
+      CREATE INDEX IF NOT EXISTS renders_last_used ON renders (last_used_at);
+    `);
+  },
+  // 8: subject tags of each submission (library filters and facets)
+  () => {
+    db.exec("ALTER TABLE submissions ADD COLUMN tags TEXT NOT NULL DEFAULT '[]'");
+    const update = db.prepare("UPDATE submissions SET tags = ? WHERE id = ?");
+    for (const row of db.prepare("SELECT id, data FROM submissions").all()) {
+      update.run(JSON.stringify(subjectTags(JSON.parse(row.data))), row.id);
+    }
+  }
+];
+
+function migrate() {
+  const current = db.pragma("user_version", { simple: true });
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v]();
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+function readJsonFile(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch (err) {
+    console.warn(`Skipping unreadable ${p}: ${err?.message || err}`);
+    return null;
+  }
+}
+
+function importLegacyJson() {
+  const insertSub = db.prepare("INSERT OR IGNORE INTO submissions (id, created_at, data) VALUES (?, ?, ?)");
+  const insertJob = db.prepare(
+    "INSERT OR IGNORE INTO jobs (id, submission_id, status, updated_at, data) VALUES (?, ?, ?, ?, ?)"
+  );
+
+  let subs = 0;
+  if (fs.existsSync(SUBMISSIONS_PATH)) {
+    const items = readJsonFile(SUBMISSIONS_PATH);
+    for (const s of Array.isArray(items) ? items : []) {
+      if (!s?.id) continue;
+      subs += insertSub.run(s.id, s.createdAt || new Date().toISOString(), JSON.stringify(s)).changes;
+    }
+  }
+
+  let jobs = 0;
+  if (fs.existsSync(JOBS_DIR)) {
+    for (const f of fs.readdirSync(JOBS_DIR).filter((n) => n.endsWith(".json"))) {
+      const j = readJsonFile(path.join(JOBS_DIR, f));
+      if (!j?.id) continue;
+      const updatedAt = j.updatedAt || j.startedAt || new Date().toISOString();
+      jobs += insertJob.run(j.id, j.submissionId || null, j.status || "error", updatedAt, JSON.stringify(j)).changes;
+    }
+  }
+
+  if (subs || jobs) console.log(`Imported ${subs} submission(s) and ${jobs} job(s) from JSON into ${DB_PATH}`);
+}
+
+// Saved EAVs and their captions predate eav_files; unsaved splices stay unowned (and unreachable)
+function backfillEavFiles() {
+  const insert = db.prepare("INSERT OR IGNORE INTO eav_files (name, submission_id, created_at) VALUES (?, ?, ?)");
+  for (const row of db.prepare("SELECT id, created_at, data FROM submissions").all()) {
+    const eav = JSON.parse(row.data).eav;
+    const names = [eav?.outputFileName, eav?.captions?.vttUrl, eav?.captions?.srtUrl].filter(Boolean).map((n) => path.basename(n));
+    for (const name of names) insert.run(name, row.id, eav.updatedAt || row.created_at);
+  }
+}
+
+// What the library search matches: the prompt, the transcript, and the quiz scripts and answers
+function searchDocument(sub) {
+  const breaks = sub.gemini?.parsed?.breaks || [];
+  return {
+    id: sub.id,
+    prompt: sub.prompt || "",
+    transcript: sub.transcript?.text || "",
+    questions: breaks
+      .flatMap((b) => [b.question, b.answer, b.shortAnswer, ...(b.acceptedAnswers || [])])
+      .filter(Boolean)
+      .join("\n")
+  };
+}
+
+migrate();
+
+// ---------- Submissions ----------
+// One row per submission of @ownerId with its card fields; `status` follows
+// submissionStatus() in library.js, reading the latest job's status column
+const LIBRARY_CARDS = `
+  SELECT id, created_at, tags,
+    NULLIF(NULLIF(json_extract(data, '$.gemini.parsed.show'), 'Unknown'), '') AS show,
+    CASE
+      WHEN job_status IN ('queued', 'running', 'cancelling') THEN 'processing'
+      WHEN job_status = 'awaiting_review' THEN 'review'
+      WHEN COALESCE(json_extract(data, '$.eav.outputUrl'), '') <> '' THEN 'ready'
+      WHEN json_extract(data, '$.source.status') = 'downloading' THEN 'processing'
+      WHEN json_extract(data, '$.source.status') = 'error' OR job_status = 'error' THEN 'failed'
+      ELSE 'draft'
+    END AS status
+  FROM (
+    SELECT s.*, (SELECT status FROM jobs j WHERE j.submission_id = s.id ORDER BY j.updated_at DESC LIMIT 1) AS job_status
+    FROM submissions s WHERE s.owner_id = @ownerId
+  )`;
+
+const stmts = {
+  listSubs: db.prepare("SELECT data FROM submissions ORDER BY created_at DESC"),
+  listSubsByOwner: db.prepare("SELECT data FROM submissions WHERE owner_id = ? ORDER BY created_at DESC"),
+  listSubIdsByOwner: db.prepare("SELECT id FROM submissions WHERE owner_id = ? ORDER BY created_at DESC"),
+  getSub: db.prepare("SELECT data FROM submissions WHERE id = ?"),
+  insertSub: db.prepare("INSERT INTO submissions (id, owner_id, created_at, data) VALUES (?, ?, ?, ?)"),
+  setSubTags: db.prepare("UPDATE submissions SET tags = ? WHERE id = ?"),
+  deleteSearchDoc: db.prepare("DELETE FROM submissions_fts WHERE submission_id = ?"),
+  insertSearchDoc: db.prepare(
+    "INSERT INTO submissions_fts (submission_id, prompt, transcript, questions) VALUES (@id, @prompt, @transcript, @questions)"
+  ),
+  libraryFacets: db.prepare(`
+    WITH cards AS (${LIBRARY_CARDS})
+    SELECT 'statuses' AS facet, status AS value, COUNT(*) AS count FROM cards GROUP BY status
+    UNION ALL
+    SELECT 'shows', show, COUNT(*) FROM cards WHERE show IS NOT NULL GROUP BY show
+    UNION ALL
+    SELECT 'tags', t.value, COUNT(*) FROM cards, json_each(cards.tags) t GROUP BY t.value
+  `),
+  latestJobsForSubs: db.prepare(`
+    SELECT data FROM (
+      SELECT data, ROW_NUMBER() OVER (PARTITION BY submission_id ORDER BY updated_at DESC) AS n
+      FROM jobs WHERE submission_id IN (SELECT value FROM json_each(?))
+    ) WHERE n = 1
+  `),
+  latestJobForSub: db.prepare("SELECT data FROM jobs WHERE submission_id = ? ORDER BY updated_at DESC LIMIT 1"),
+  getJob: db.prepare("SELECT data FROM jobs WHERE id = ?"),
+  upsertJob: db.prepare(`
+    INSERT INTO jobs (id, submission_id, status, updated_at, data) VALUES (@id, @submissionId, @status, @updatedAt, @data)
+    ON CONFLICT(id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at, data = excluded.data
+  `),
+  jobsByStatus: db.prepare("SELECT data FROM jobs WHERE status = ? ORDER BY updated_at ASC"),
+  getUpload: db.prepare("SELECT data FROM uploads WHERE id = ?"),
+  upsertUpload: db.prepare(`
+    INSERT INTO uploads (id, updated_at, data) VALUES (@id, @updatedAt, @data)
+    ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+  `),
+  deleteUpload: db.prepare("DELETE FROM uploads WHERE id = ?"),
+  uploadsBefore: db.prepare("SELECT data FROM uploads WHERE updated_at < ?"),
+  insertLearner: db.prepare(`
+    INSERT INTO learners (id, owner_id, alexa_user_id, created_at, data) VALUES (@id, @ownerId, @alexaUserId, @createdAt, @data)
+  `),
+  getLearner: db.prepare("SELECT data FROM learners WHERE id = ?"),
+  learnerByAlexa: db.prepare("SELECT data FROM learners WHERE alexa_user_id = ?"),
+  listLearners: db.prepare("SELECT data FROM learners WHERE owner_id = ? ORDER BY created_at ASC"),
+  insertAttempt: db.prepare(`
+    INSERT INTO attempts (id, learner_id, submission_id, question_index, correct, latency_ms, channel, created_at, data)
+    VALUES (@id, @learnerId, @submissionId, @questionIndex, @correct, @latencyMs, @channel, @createdAt, @data)
+  `),
+  attemptsByLearner: db.prepare("SELECT data FROM attempts WHERE learner_id = ? ORDER BY created_at ASC"),
+  attemptsBySubmission: db.prepare("SELECT data FROM attempts WHERE submission_id = ? ORDER BY created_at ASC"),
+  attemptsByOwner: db.prepare(`
+    SELECT a.data FROM attempts a JOIN submissions s ON s.id = a.submission_id
+    WHERE s.owner_id = @ownerId AND a.created_at >= @since AND (@learnerId IS NULL OR a.learner_id = @learnerId)
+    ORDER BY a.created_at ASC
+  `),
+  insertUser: db.prepare("INSERT INTO users (id, email, created_at, data) VALUES (@id, @email, @createdAt, @data)"),
+  getUser: db.prepare("SELECT data FROM users WHERE id = ?"),
+  userByEmail: db.prepare("SELECT data FROM users WHERE email = ?"),
+  countUsers: db.prepare("SELECT COUNT(*) AS n FROM users"),
+  insertSession: db.prepare("INSERT INTO auth_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)"),
+  getSession: db.prepare("SELECT user_id AS userId, expires_at AS expiresAt FROM auth_sessions WHERE token_hash = ? AND expires_at > ?"),
+  deleteSession: db.prepare("DELETE FROM auth_sessions WHERE token_hash = ?"),
+  deleteExpiredSessions: db.prepare("DELETE FROM auth_sessions WHERE expires_at <= ?"),
+  insertApiKey: db.prepare("INSERT INTO api_keys (id, user_id, key_hash, created_at, data) VALUES (@id, @userId, @keyHash, @createdAt, @data)"),
+  apiKeyByHash: db.prepare("SELECT data FROM api_keys WHERE key_hash = ?"),
+  listApiKeys: db.prepare("SELECT data FROM api_keys WHERE user_id = ? ORDER BY created_at ASC"),
+  touchApiKey: db.prepare("UPDATE api_keys SET data = json_set(data, '$.lastUsedAt', ?) WHERE id = ?"),
+  deleteApiKey: db.prepare("DELETE FROM api_keys WHERE id = ? AND user_id = ?"),
+  claimSubs: db.prepare("UPDATE submissions SET owner_id = @userId, data = json_set(data, '$.ownerId', @userId) WHERE owner_id IS NULL"),
+  claimLearners: db.prepare("UPDATE learners SET owner_id = @userId, data = json_set(data, '$.ownerId', @userId) WHERE owner_id IS NULL"),
+  insertEavFile: db.prepare(`
+    INSERT INTO eav_files (name, submission_id, owner_id, created_at) VALUES (@name, @submissionId, @ownerId, @createdAt)
+    ON CONFLICT(name) DO UPDATE SET submission_id = excluded.submission_id, owner_id = excluded.owner_id
+  `),
+  getEavFile: db.prepare("SELECT name, submission_id AS submissionId, owner_id AS ownerId FROM eav_files WHERE name = ?"),
+  getRender: db.prepare("SELECT data FROM renders WHERE key = ?"),
+  upsertRender: db.prepare(`
+    INSERT INTO renders (key, owner_id, submission_id, output_name, last_used_at, data)
+    VALUES (@key, @ownerId, @submissionId, @outputName, @lastUsedAt, @data)
+    ON CONFLICT(key) DO UPDATE SET output_name = excluded.output_name, last_used_at = excluded.last_used_at, data = excluded.data
+  `),
+  rendersByOwner: db.prepare("SELECT data FROM renders WHERE owner_id = ? ORDER BY last_used_at DESC"),
+  rendersUsedBefore: db.prepare("SELECT data FROM renders WHERE last_used_at < ?")
+};
+
+const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+
+/** A user's submissions, newest first (every user's when ownerId is omitted). */
+export function listSubmissions(ownerId) {
+  return (ownerId ? stmts.listSubsByOwner.all(ownerId) : stmts.listSubs.all()).map(parseRow);
+}
+
+export function listSubmissionIds(ownerId) {
+  return stmts.listSubIdsByOwner.all(ownerId).map((r) => r.id);
+}
+
+export function getSubmission(id) {
+  return parseRow(stmts.getSub.get(id));
+}
+
+// Top-level fields searchDocument() and subjectTags() read; updates to them re-index the submission
+const SEARCHED_FIELDS = new Set(["prompt", "transcript", "gemini"]);
+
+const indexSubmission = db.transaction((sub) => {
+  stmts.setSubTags.run(JSON.stringify(subjectTags(sub)), sub.id);
+  stmts.deleteSearchDoc.run(sub.id);
+  stmts.insertSearchDoc.run(searchDocument(sub));
+});
+
+export function insertSubmission(submission) {
+  stmts.insertSub.run(submission.id, submission.ownerId || null, submission.createdAt, JSON.stringify(submission));
+  indexSubmission(submission);
+  return submission;
+}
+
+/**
+ * Atomically replaces the given fields (e.g. { transcript }) and leaves every
+ * other field as stored. Dotted keys address nested fields
+ * ({ "stages.analysis": record }). `undefined` values are skipped; `null`
+ * clears the field. Returns the updated submission, or null if missing.
+ */
+export function updateSubmission(id, fields) {
+  const entries = Object.entries(fields || {}).filter(
+    ([k, v]) => v !== undefined && /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(k)
+  );
+  if (!entries.length) return getSubmission(id);
+
+  const setArgs = entries.map(([k]) => `'$.${k}', json(?)`).join(", ");
+  const sql = `UPDATE submissions SET data = json_set(data, ${setArgs}) WHERE id = ? RETURNING data`;
+  const row = db.prepare(sql).get(...entries.map(([, v]) => JSON.stringify(v)), id);
+  const sub = parseRow(row);
+  if (sub && entries.some(([k]) => SEARCHED_FIELDS.has(k.split(".")[0]))) indexSubmission(sub);
+  return sub;
+}
+
+// ---------- Jobs ----------
+export function saveJob(job) {
+  stmts.upsertJob.run({
+    id: job.id,
+    submissionId: job.submissionId || null,
+    status: job.status,
+    updatedAt: job.updatedAt,
+    data: JSON.stringify(job)
+  });
+  return job;
+}
+
+export function getJob(id) {
+  return parseRow(stmts.getJob.get(id));
+}
+
+export function listJobsByStatus(status) {
+  return stmts.jobsByStatus.all(status).map(parseRow);
+}
+
+/** The most recently updated job of each of `submissionIds` that has one. */
+export function listLatestJobs(submissionIds) {
+  return stmts.latestJobsForSubs.all(JSON.stringify(submissionIds)).map(parseRow);
+}
+
+export function getLatestJobForSubmission(submissionId) {
+  return parseRow(stmts.latestJobForSub.get(submissionId));
+}
+
+// ---------- Library ----------
+const LIBRARY_ORDER = { relevance: "f.rank", newest: "c.created_at DESC", oldest: "c.created_at ASC" };
+
+/**
+ * One page of a user's library: { rows: [{ sub, snippet }], total }. Filters:
+ * ftsQuery (FTS5), show, tag, status, from/to (ISO); sort is one of
+ * LIBRARY_ORDER ("relevance" only with a query); limit/offset page the result.
+ */
+export function listLibraryPage(ownerId, filters) {
+  const { ftsQuery = null, show = null, tag = null, status = null, from = null, to = null, sort = "newest", limit, offset = 0 } = filters;
+  const search = ftsQuery
+    ? `JOIN (
+        SELECT submission_id, snippet(submissions_fts, -1, '', '', '…', 12) AS snippet, rank
+        FROM submissions_fts WHERE submissions_fts MATCH @ftsQuery
+      ) f ON f.submission_id = c.id`
+    : "";
+  const where = `
+    WHERE (@show IS NULL OR c.show = @show)
+      AND (@status IS NULL OR c.status = @status)
+      AND (@from IS NULL OR c.created_at >= @from)
+      AND (@to IS NULL OR c.created_at <= @to)
+      AND (@tag IS NULL OR EXISTS (SELECT 1 FROM json_each(c.tags) WHERE value = @tag))`;
+  const params = { ownerId, show, tag, status, from, to, ...(ftsQuery ? { ftsQuery } : {}) };
+  const order = LIBRARY_ORDER[ftsQuery || sort !== "relevance" ? sort : "newest"] || LIBRARY_ORDER.newest;
+
+  const body = `FROM cards c ${search} ${where}`;
+  const { total } = db.prepare(`WITH cards AS (${LIBRARY_CARDS}) SELECT COUNT(*) AS total ${body}`).get(params);
+  const page = db
+    .prepare(`WITH cards AS (${LIBRARY_CARDS}) SELECT c.id, ${ftsQuery ? "f.snippet" : "NULL"} AS snippet ${body} ORDER BY ${order} LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset });
+  return { rows: page.map(({ id, snippet }) => ({ sub: getSubmission(id), snippet })).filter((r) => r.sub), total };
+}
+
+/** Value counts of a user's whole library: { statuses, shows, tags }, each [{ value, count }], most common first. */
+export function libraryFacets(ownerId) {
+  const facets = { statuses: [], shows: [], tags: [] };
+  for (const { facet, value, count } of stmts.libraryFacets.all({ ownerId })) facets[facet].push({ value, count });
+  for (const list of Object.values(facets)) list.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  return facets;
+}
+
+// ---------- Upload sessions ----------
+export function saveUpload(upload) {
+  upload.updatedAt = new Date().toISOString();
+  stmts.upsertUpload.run({ id: upload.id, updatedAt: upload.updatedAt, data: JSON.stringify(upload) });
+  return upload;
+}
+
+export function getUpload(id) {
+  return parseRow(stmts.getUpload.get(id));
+}
+
+export function deleteUpload(id) {
+  stmts.deleteUpload.run(id);
+}
+
+export function listUploadsUpdatedBefore(iso) {
+  return stmts.uploadsBefore.all(iso).map(parseRow);
+}
+
+// ---------- Learners ----------
+export function insertLearner(learner) {
+  stmts.insertLearner.run({
+    id: learner.id,
+    ownerId: learner.ownerId || null,
+    alexaUserId: learner.alexaUserId || null,
+    createdAt: learner.createdAt,
+    data: JSON.stringify(learner)
+  });
+  return learner;
+}
+
+export function getLearner(id) {
+  return parseRow(stmts.getLearner.get(id));
+}
+
+export function getLearnerByAlexaUser(alexaUserId) {
+  return parseRow(stmts.learnerByAlexa.get(alexaUserId));
+}
+
+export function listLearners(ownerId) {
+  return stmts.listLearners.all(ownerId).map(parseRow);
+}
+
+// ---------- Quiz attempts ----------
+export function insertAttempt(attempt) {
+  stmts.insertAttempt.run({
+    id: attempt.id,
+    learnerId: attempt.learnerId || null,
+    submissionId: attempt.submissionId,
+    questionIndex: attempt.questionIndex,
+    correct: attempt.correct ? 1 : 0,
+    latencyMs: attempt.latencyMs ?? null,
+    channel: attempt.channel,
+    createdAt: attempt.createdAt,
+    data: JSON.stringify(attempt)
+  });
+  return attempt;
+}
+
+/** Oldest first. */
+export function listAttemptsByLearner(learnerId) {
+  return stmts.attemptsByLearner.all(learnerId).map(parseRow);
+}
+
+export function listAttemptsBySubmission(submissionId) {
+  return stmts.attemptsBySubmission.all(submissionId).map(parseRow);
+}
+
+/** Attempts at the videos of `ownerId`, at or after `since` (ISO) and by `learnerId` when given; oldest first. */
+export function listAttemptsByOwner(ownerId, { since = "", learnerId = null } = {}) {
+  return stmts.attemptsByOwner.all({ ownerId, since: since || "", learnerId: learnerId || null }).map(parseRow);
+}
+
+// ---------- Accounts ----------
+export function insertUser(user) {
+  stmts.insertUser.run({ id: user.id, email: user.email, createdAt: user.createdAt, data: JSON.stringify(user) });
+  return user;
+}
+
+export function getUser(id) {
+  return parseRow(stmts.getUser.get(id));
+}
+
+export function getUserByEmail(email) {
+  return parseRow(stmts.userByEmail.get(email));
+}
+
+export function countUsers() {
+  return stmts.countUsers.get().n;
+}
+
+/** Gives every submission and learner without an owner to `userId` (records from before accounts). */
+export function claimUnownedRecords(userId) {
+  return db.transaction(() => ({
+    submissions: stmts.claimSubs.run({ userId }).changes,
+    learners: stmts.claimLearners.run({ userId }).changes
+  }))();
+}
+
+// Sessions are looked up by a hash of their token, never the token itself
+export function insertAuthSession({ tokenHash, userId, expiresAt }) {
+  stmts.insertSession.run(tokenHash, userId, expiresAt);
+}
+
+export function getAuthSession(tokenHash) {
+  return stmts.getSession.get(tokenHash, new Date().toISOString()) || null;
+}
+
+export function deleteAuthSession(tokenHash) {
+  stmts.deleteSession.run(tokenHash);
+}
+
+export function deleteExpiredAuthSessions() {
+  return stmts.deleteExpiredSessions.run(new Date().toISOString()).changes;
+}
+
+export function insertApiKey(key, keyHash) {
+  stmts.insertApiKey.run({ id: key.id, userId: key.userId, keyHash, createdAt: key.createdAt, data: JSON.stringify(key) });
+  return key;
+}
+
+export function getApiKeyByHash(keyHash) {
+  return parseRow(stmts.apiKeyByHash.get(keyHash));
+}
+
+export function listApiKeys(userId) {
+  return stmts.listApiKeys.all(userId).map(parseRow);
+}
+
+export function touchApiKey(id, at = new Date().toISOString()) {
+  stmts.touchApiKey.run(at, id);
+}
+
+/** Returns false when the key does not exist or belongs to someone else. */
+export function deleteApiKey(id, userId) {
+  return stmts.deleteApiKey.run(id, userId).changes > 0;
+}
+
+// ---------- EAV outputs ----------
+// Who may fetch a file under /eavs: the submission's owner, or ownerId for splices without one
+export function registerEavFile({ name, submissionId = null, ownerId = null }) {
+  stmts.insertEavFile.run({ name, submissionId, ownerId, createdAt: new Date().toISOString() });
+}
+
+export function getEavFile(name) {
+  return stmts.getEavFile.get(name) || null;
+}
+
+// ---------- Render cache ----------
+export function saveRender(render) {
+  stmts.upsertRender.run({
+    key: render.key,
+    ownerId: render.ownerId || null,
+    submissionId: render.submissionId || null,
+    outputName: render.output.fileName,
+    lastUsedAt: render.lastUsedAt,
+    data: JSON.stringify(render)
+  });
+  return render;
+}
+
+export function getRender(key) {
+  return parseRow(stmts.getRender.get(key));
+}
+
+/** A user's renders, most recently used first. */
+export function listRenders(ownerId) {
+  return stmts.rendersByOwner.all(ownerId).map(parseRow);
+}
+
+export function listRendersUsedBefore(iso) {
+  return stmts.rendersUsedBefore.all(iso).map(parseRow);
+}
@@ -0,0 +1,112 @@
+import { WebSocketServer } from "ws";
+import { getJob } from "./store.js";
+import { jobEvents, jobSnapshot, TERMINAL_JOB_STATUSES } from "./jobs.js";
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * GET /api/jobs/:jobId/events — Server-Sent Events.
+ * Sends the current job state straight away, then one `job` event per change,
+ * and closes the stream once the job reaches a terminal status.
+ */
+export function streamJobEvents(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found." });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+
+  const send = (snapshot) => {
+    res.write(`event: job\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (TERMINAL_JOB_STATUSES.has(snapshot.status)) cleanup();
+  };
+
+  const key = `job:${job.id}`;
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  let closed = false;
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobEvents.off(key, send);
+    res.end();
+  }
+
+  jobEvents.on(key, send);
+  req.on("close", cleanup);
+  send(jobSnapshot(job));
+}
+
+/**
+ * WebSocket channel at /ws/jobs.
+ * Client → server: { type: "subscribe" | "unsubscribe", jobId }
+ * Server → client: { type: "job", job } (current state on subscribe, then every change)
+ *                  { type: "error", error }
+ *
+ * authenticate(req) resolves the upgrade request to a user (or null, which
+ * closes the socket); canAccessJob(user, job) guards each subscription.
+ */
+export function attachJobSocket(server, { authenticate = () => null, canAccessJob = () => true } = {}) {
+  const wss = new WebSocketServer({ server, path: "/ws/jobs" });
+
+  wss.on("connection", (socket, req) => {
+    const user = authenticate(req);
+    if (!user) {
+      socket.send(JSON.stringify({ type: "error", error: "Sign in required." }));
+      return socket.close(4401, "Unauthorized");
+    }
+    const subscriptions = new Map(); // jobId -> listener
+
+    const push = (snapshot) => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type: "job", job: snapshot }));
+    };
+
+    const unsubscribe = (jobId) => {
+      const listener = subscriptions.get(jobId);
+      if (!listener) return;
+      jobEvents.off(`job:${jobId}`, listener);
+      subscriptions.delete(jobId);
+    };
+
+    socket.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch {
+        return socket.send(JSON.stringify({ type: "error", error: "Messages must be JSON." }));
+      }
+
+      const jobId = String(msg?.jobId || "");
+      if (msg?.type === "unsubscribe") return unsubscribe(jobId);
+      if (msg?.type !== "subscribe") {
+        return socket.send(JSON.stringify({ type: "error", error: `Unknown message type: ${msg?.type}` }));
+      }
+
+      const job = getJob(jobId);
+      if (!job || !canAccessJob(user, job)) {
+        return socket.send(JSON.stringify({ type: "error", jobId, error: "Job not found." }));
+      }
+
+      if (!subscriptions.has(jobId)) {
+        const listener = (snapshot) => {
+          push(snapshot);
+          if (TERMINAL_JOB_STATUSES.has(snapshot.status)) unsubscribe(jobId);
+        };
+        subscriptions.set(jobId, listener);
+        jobEvents.on(`job:${jobId}`, listener);
+      }
+      push(jobSnapshot(job));
+      if (TERMINAL_JOB_STATUSES.has(job.status)) unsubscribe(jobId);
+    });
+
+    socket.on("close", () => {
+      for (const jobId of [...subscriptions.keys()]) unsubscribe(jobId);
+    });
+  });
+
+  return wss;
+}
@@ -0,0 +1,37 @@
+/**
+ * Subject tags of a submission ("Math", "Science", ...) for the library cards
+ * and filters. store.js keeps them in the `tags` column of submissions.
+ */
+
+// Analyses from before `subjects` existed get tags from keywords in the prompt, transcript and quiz
+const SUBJECT_KEYWORDS = {
+  Math: ["count", "number", "add", "plus", "minus", "subtract", "multiply", "divide", "fraction", "shape", "circle", "square", "triangle", "math"],
+  Science: ["science", "plant", "animal", "weather", "water", "space", "planet", "moon", "sun", "experiment", "body"],
+  Reading: ["letter", "word", "read", "rhyme", "spell", "alphabet", "story", "sound"],
+  Music: ["song", "sing", "music", "rhythm", "instrument"],
+  Art: ["color", "colour", "draw", "paint"],
+  "Social skills": ["friend", "share", "feeling", "kind", "help"]
+};
+
+function keywordSubjects(sub) {
+  const breaks = sub.gemini?.parsed?.breaks || [];
+  const words = new Set(
+    [sub.prompt, sub.transcript?.text, ...breaks.flatMap((b) => [b.question, b.answer])]
+      .join(" ")
+      .toLowerCase()
+      .split(/[^\p{L}]+/u)
+      // "shapes" -> "shape", "counting" -> "count" (the plain word is kept too: "plus")
+      .flatMap((w) => [w, w.replace(/(ing|s)$/, "")])
+  );
+  return Object.entries(SUBJECT_KEYWORDS)
+    .filter(([, keywords]) => keywords.some((k) => words.has(k)))
+    .map(([subject]) => subject)
+    .slice(0, 3);
+}
+
+/** Subject tags of an analyzed submission ([] before analysis). */
+export function subjectTags(sub) {
+  const parsed = sub.gemini?.parsed;
+  if (!parsed) return [];
+  return parsed.subjects?.length ? parsed.subjects : keywordSubjects(sub);
+}
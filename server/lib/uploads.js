@@ -0,0 +1,199 @@
+import "./env.js";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { nanoid } from "nanoid";
+import { hashFile } from "./hash.js";
+import { UPLOAD_DIR, PARTIAL_UPLOAD_DIR } from "./paths.js";
+import { saveUpload, getUpload, deleteUpload, listUploadsUpdatedBefore } from "./store.js";
+
+/**
+ * Resumable uploads: chunked PUTs at explicit offsets.
+ *
+ * A session's offset is the size of its .part file, so a dropped connection
+ * only loses the chunk in flight; the client asks for the offset and carries
+ * on. Each chunk may carry `Upload-Checksum: sha256 <base64>` and is only
+ * appended once it matches. The final chunk triggers a whole-file SHA-256,
+ * checked against the one given at creation (if any), then the file moves
+ * to UPLOAD_DIR. The session then records the submission it became, so a
+ * client that lost the final response gets that submission back on retry.
+ */
+export const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+export const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024; // suggested to clients
+export const UPLOAD_CHUNK_MAX_BYTES = 32 * 1024 * 1024;
+
+// Sessions untouched for this long are discarded with their .part file
+const UPLOAD_SESSION_TTL_MS = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const busy = new Set(); // upload ids with a PUT (and its completion) in progress
+
+/** Error carrying an HTTP status (and extra response fields) for the upload routes. */
+export class UploadError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+const partPath = (id) => path.join(PARTIAL_UPLOAD_DIR, `${id}.part`);
+
+export function uploadOffset(upload) {
+  const p = partPath(upload.id);
+  return fs.existsSync(p) ? fs.statSync(p).size : 0;
+}
+
+/** Public view of a session (what the client needs to resume). */
+export function describeUpload(upload) {
+  const complete = Boolean(upload.submissionId);
+  return {
+    id: upload.id,
+    fileName: upload.fileName,
+    sizeBytes: upload.sizeBytes,
+    offset: complete ? upload.sizeBytes : uploadOffset(upload),
+    complete,
+    submissionId: upload.submissionId || null,
+    chunkBytes: UPLOAD_CHUNK_BYTES,
+    maxChunkBytes: UPLOAD_CHUNK_MAX_BYTES
+  };
+}
+
+export function createUpload({ fileName, sizeBytes, mimetype, sha256, ownerId, meta = {} }) {
+  const size = Number(sizeBytes);
+  if (!Number.isInteger(size) || size <= 0) throw new UploadError(400, "sizeBytes must be a positive integer.");
+  if (size > UPLOAD_MAX_BYTES) {
+    throw new UploadError(413, `File must be under ${Math.floor(UPLOAD_MAX_BYTES / (1024 * 1024))} MB.`);
+  }
+  if (!/^video\//.test(String(mimetype || ""))) throw new UploadError(400, "Only video files can be uploaded.");
+  if (sha256 && !/^[a-f0-9]{64}$/i.test(String(sha256))) throw new UploadError(400, "sha256 must be a hex SHA-256 digest.");
+
+  const upload = {
+    id: nanoid(16),
+    ownerId,
+    createdAt: new Date().toISOString(),
+    fileName: String(fileName || "video.mp4"),
+    sizeBytes: size,
+    mimetype: String(mimetype),
+    sha256: sha256 ? String(sha256).toLowerCase() : null,
+    // Echoed into the submission on completion (prompt, questionCount, ...)
+    meta
+  };
+  fs.writeFileSync(partPath(upload.id), "");
+  return saveUpload(upload);
+}
+
+// Someone else's session looks the same as a missing one
+export function findUpload(id, ownerId) {
+  const upload = getUpload(id);
+  if (!upload || upload.ownerId !== ownerId) throw new UploadError(404, "Upload not found (it may have expired).");
+  return upload;
+}
+
+function checkChunkChecksum(header, body) {
+  if (!header) return;
+  const [algo, digest] = String(header).trim().split(/\s+/);
+  if (algo?.toLowerCase() !== "sha256" || !digest) {
+    throw new UploadError(400, "Upload-Checksum must be \"sha256 <base64 digest>\".");
+  }
+  const actual = crypto.createHash("sha256").update(body).digest("base64");
+  if (actual !== digest) throw new UploadError(422, "Chunk checksum mismatch; resend this chunk.");
+}
+
+/**
+ * Runs `work` as the only request touching this upload: a chunk, and when it
+ * is the last one the completion too, so a retried final PUT cannot complete
+ * the upload a second time.
+ */
+export async function withUploadLock(upload, work) {
+  if (busy.has(upload.id)) throw new UploadError(409, "Another chunk for this upload is in progress.");
+  busy.add(upload.id);
+  try {
+    return await work();
+  } finally {
+    busy.delete(upload.id);
+  }
+}
+
+/**
+ * Appends one chunk at `offset` (inside withUploadLock). Returns { upload, offset, complete }.
+ * A wrong offset is a 409 carrying the real one, so clients can resync.
+ */
+export async function appendChunk(upload, { offset, body, checksum }) {
+  const current = uploadOffset(upload);
+  if (Number(offset) !== current) {
+    throw new UploadError(409, `Offset mismatch: the upload is at ${current}.`, { offset: current });
+  }
+  if (current + body.length > upload.sizeBytes) throw new UploadError(413, "Chunk runs past the declared file size.");
+  checkChunkChecksum(checksum, body);
+
+  await fs.promises.appendFile(partPath(upload.id), body);
+  saveUpload(upload);
+  const next = current + body.length;
+  return { upload, offset: next, complete: next === upload.sizeBytes };
+}
+
+/**
+ * Verifies the whole file and moves it into UPLOAD_DIR (inside withUploadLock).
+ * Returns a submission `file` record; markUploadComplete() follows once the
+ * submission exists. On a checksum mismatch the partial data is discarded.
+ */
+export async function completeUpload(upload) {
+  const part = partPath(upload.id);
+  const sha256 = await hashFile(part);
+  if (upload.sha256 && sha256 !== upload.sha256) {
+    fs.writeFileSync(part, "");
+    saveUpload(upload);
+    throw new UploadError(422, "File checksum mismatch; the upload was reset to offset 0.", { offset: 0 });
+  }
+
+  const safeOriginal = upload.fileName.replace(/[^a-zA-Z0-9._-]/g, "_");
+  const storedName = `${Date.now()}_${nanoid(10)}_${safeOriginal}`;
+  const dest = path.join(UPLOAD_DIR, storedName);
+  fs.renameSync(part, dest);
+
+  return {
+    originalName: upload.fileName,
+    storedName,
+    path: dest,
+    sizeBytes: upload.sizeBytes,
+    mimetype: upload.mimetype,
+    sha256
+  };
+}
+
+// Kept until the session expires, so retries of the final PUT find the submission
+export function markUploadComplete(upload, submissionId) {
+  return saveUpload(Object.assign(upload, { submissionId, completedAt: new Date().toISOString() }));
+}
+
+export function abortUpload(upload) {
+  fs.rmSync(partPath(upload.id), { force: true });
+  deleteUpload(upload.id);
+}
+
+export function cleanupStaleUploads() {
+  const cutoff = new Date(Date.now() - UPLOAD_SESSION_TTL_MS).toISOString();
+  const stale = listUploadsUpdatedBefore(cutoff);
+  for (const upload of stale) abortUpload(upload);
+  if (stale.length) console.log(`Discarded ${stale.length} stale upload session(s)`);
+}
+
+/** Reads a request body into a Buffer, refusing anything over `maxBytes`. */
+export function readChunk(req, maxBytes = UPLOAD_CHUNK_MAX_BYTES) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    let size = 0;
+    req.on("data", (d) => {
+      size += d.length;
+      if (size > maxBytes) {
+        reject(new UploadError(413, `Chunks must be at most ${Math.floor(maxBytes / (1024 * 1024))} MB.`));
+        req.destroy();
+        return;
+      }
+      parts.push(d);
+    });
+    req.on("end", () => resolve(Buffer.concat(parts)));
+    req.on("aborted", () => reject(new UploadError(400, "Connection dropped mid-chunk.")));
+    req.on("error", reject);
+  });
+}
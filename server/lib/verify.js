@@ -0,0 +1,287 @@
+import "./env.js";
+import { languageInfo, isUnspacedLanguage } from "./language.js";
+
+/**
+ * Spoken-answer verification. A learner says "seven", the narrated answer is
+ * an 8-second script, so we score against the break's short answer and its
+ * accepted variants first and only fall back to the full script.
+ *
+ * Scorers run strictest first; the first one that passes decides the result:
+ *   exact → numeric → synonym/contains → edit-distance → keyword-overlap → embedding (optional)
+ * A scorer can also fail an answer outright (`final`): a different number than
+ * the answer's, or a hedged/negated answer ("seven or eight", "not the moon").
+ * verifyAnswer() returns { correct, confidence (0-1), rule, matched, message }.
+ */
+const EDIT_MIN_SIMILARITY = 0.8;
+const KEYWORD_MIN_RATIO = 0.7;
+const EMBEDDING_MIN_SIMILARITY = Number(process.env.EMBEDDING_MIN_SIMILARITY) || 0.85;
+
+// ---------- Normalization ----------
+// Letters and digits of any script survive; accents on Latin letters are dropped ("está" = "esta")
+export function normalizeForComparison(text, language = "en") {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/(\p{Script=Latin})\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLocaleLowerCase(language)
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const STOP_WORDS = {
+  en: ["the", "a", "an", "is", "are", "was", "were", "to", "of", "and", "or", "in", "it", "for", "that", "this", "on", "with", "as", "at", "by", "be", "have", "has", "had", "do", "does", "did", "will", "would", "could", "should", "can", "may", "might"],
+  es: ["el", "la", "los", "las", "un", "una", "es", "son", "de", "del", "y", "o", "en", "que", "por", "para", "con", "se", "al", "lo"],
+  fr: ["le", "la", "les", "un", "une", "des", "est", "sont", "de", "du", "et", "ou", "en", "que", "pour", "avec", "au", "aux", "ce"],
+  de: ["der", "die", "das", "ein", "eine", "ist", "sind", "und", "oder", "in", "zu", "von", "mit", "auf", "den", "dem", "es"],
+  it: ["il", "lo", "la", "i", "gli", "le", "un", "una", "e", "o", "di", "che", "in", "per", "con", "del", "della"],
+  pt: ["o", "a", "os", "as", "um", "uma", "e", "ou", "de", "do", "da", "que", "em", "para", "com", "no", "na"]
+};
+
+// "not the moon" contains "moon" but says the opposite
+const NEGATION_WORDS = {
+  en: ["not", "no", "never", "nope", "isn", "aren", "wasn", "don", "doesn", "didn", "nothing"],
+  es: ["no", "nunca", "ni"],
+  fr: ["pas", "non", "jamais", "ni"],
+  de: ["nicht", "kein", "keine", "keiner", "nie"],
+  it: ["non", "mai", "ne"],
+  pt: ["nao", "nunca", "nem"],
+  nl: ["niet", "geen", "nooit"]
+};
+
+function significantWords(text, language) {
+  const normalized = normalizeForComparison(text, language);
+  // No spaces between words: compare characters instead
+  if (isUnspacedLanguage(language)) return [...normalized.replace(/\s+/g, "")];
+  const stop = new Set(STOP_WORDS[language] || []);
+  return normalized.split(/\s+/).filter((w) => w.length > 1 && !stop.has(w));
+}
+
+// ---------- Numbers ----------
+const NUMBER_WORDS = {
+  en: "zero one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen twenty",
+  es: "cero uno dos tres cuatro cinco seis siete ocho nueve diez once doce trece catorce quince dieciseis diecisiete dieciocho diecinueve veinte",
+  fr: "zero un deux trois quatre cinq six sept huit neuf dix onze douze treize quatorze quinze seize dix-sept dix-huit dix-neuf vingt",
+  de: "null eins zwei drei vier funf sechs sieben acht neun zehn elf zwolf dreizehn vierzehn funfzehn sechzehn siebzehn achtzehn neunzehn zwanzig",
+  it: "zero uno due tre quattro cinque sei sette otto nove dieci undici dodici tredici quattordici quindici sedici diciassette diciotto diciannove venti",
+  pt: "zero um dois tres quatro cinco seis sete oito nove dez onze doze treze catorze quinze dezesseis dezessete dezoito dezenove vinte"
+};
+const EN_TENS = { thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const ALIASES = { es: { una: 1 }, de: { ein: 1, eine: 1 }, pt: { uma: 1, duas: 2 } };
+// Indefinite articles that double as "one": "una manzana" names an apple, not a count
+const ARTICLES = { es: ["un", "una"], fr: ["un", "une"], de: ["ein", "eine"], it: ["un", "una", "uno"], pt: ["um", "uma"] };
+
+function numberWordTable(language) {
+  const table = {};
+  (NUMBER_WORDS[language] || "").split(" ").forEach((w, i) => {
+    if (w) table[normalizeForComparison(w, language)] = i;
+  });
+  if (language === "en") Object.assign(table, EN_TENS, { hundred: 100 });
+  Object.assign(table, ALIASES[language]);
+  return table;
+}
+
+/** Every number mentioned in `text` ("7", "7.5", "seven", "twenty one", "dix-sept"). */
+export function numbersIn(text, language = "en") {
+  const table = numberWordTable(language);
+  const values = [];
+  let pending = null; // a spelled-out number being built ("twenty" + "one")
+  const flush = () => {
+    if (pending != null) values.push(pending);
+    pending = null;
+  };
+
+  // Keep decimals intact through normalization: "1,000" -> 1000, "7.5" / "7,5" -> 7.5
+  const marked = String(text)
+    .replace(/(\d),(\d{3})(?!\d)/g, "$1$2")
+    .replace(/(\d)[.,](\d)/g, "$1d$2");
+  const words = normalizeForComparison(marked, language).split(" ");
+  const stop = new Set(STOP_WORDS[language] || []);
+  for (let i = 0; i < words.length; i++) {
+    let word = words[i];
+    // Hyphenated number words ("dix-sept") were split by normalization; their table key has the space too
+    if (`${word} ${words[i + 1]}` in table) word = `${word} ${words[++i]}`;
+    const next = words[i + 1];
+    // An article is a number only on its own or before another number or a stop word ("ein oder zwei")
+    const article = (ARTICLES[language] || []).includes(word) && next && !(next in table) && !/^\d/.test(next) && !stop.has(next);
+    if (article) flush();
+    else if (/^\d+(d\d+)?$/.test(word)) {
+      flush();
+      values.push(Number(word.replace("d", ".")));
+    } else if (word in table) {
+      const v = table[word];
+      if (v === 100 && pending != null) pending *= 100;
+      else if (pending != null && pending >= 20 && pending % 10 === 0 && v < 10) pending += v;
+      else {
+        flush();
+        pending = v;
+      }
+    } else flush();
+  }
+  flush();
+  return values;
+}
+
+// ---------- Edit distance ----------
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+const similarity = (a, b) => (a || b ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 1);
+
+// ---------- Scorers ----------
+// Each returns { pass, score, matched, final? } or null when it has nothing to say;
+// a failing result with `final` ends scoring (no later scorer may accept the answer).
+const reject = (matched) => ({ pass: false, score: 0, matched, final: true });
+const SCORERS = [
+  {
+    rule: "exact",
+    score({ user, targets }) {
+      const hit = targets.find((t) => t.norm && t.norm === user.norm);
+      return hit ? { pass: true, score: 1, matched: hit.text } : null;
+    }
+  },
+  {
+    rule: "numeric",
+    score({ user, targets, language }) {
+      const said = [...new Set(numbersIn(user.text, language))];
+      if (!said.length) return null;
+      const numbered = targets.filter((t) => t.kind !== "script" && numbersIn(t.text, language).length);
+      if (!numbered.length) return null;
+      // "10001" for 10000 is wrong however close it looks; "seven or eight" hedges
+      const hit = said.length === 1 && numbered.find((t) => numbersIn(t.text, language).includes(said[0]));
+      return hit ? { pass: true, score: 0.95, matched: hit.text } : reject(numbered[0].text);
+    }
+  },
+  {
+    // "I think it's seven" contains the short answer; a variant counts as a synonym
+    rule: "synonym",
+    score({ user, targets, language }) {
+      const padded = ` ${user.norm} `;
+      const hit = targets.find((t) => t.kind !== "script" && t.norm && padded.includes(` ${t.norm} `));
+      if (!hit) return null;
+      // Extra words may not negate the answer or, when it is a count, add another number to it
+      const own = new Set(hit.norm.split(" "));
+      const negated = (NEGATION_WORDS[language] || []).some((w) => !own.has(w) && padded.includes(` ${w} `));
+      const expectedNumbers = numbersIn(hit.text, language);
+      const otherNumber = expectedNumbers.length > 0 && numbersIn(user.text, language).some((n) => !expectedNumbers.includes(n));
+      if (negated || otherNumber) return reject(hit.text);
+      return { pass: true, score: hit.kind === "short" ? 0.9 : 0.85, matched: hit.text, rule: hit.kind === "short" ? "contains" : "synonym" };
+    }
+  },
+  {
+    // Misheard/misspelt short answers ("seben"); compares word windows of the target's length
+    rule: "edit-distance",
+    score({ user, targets }) {
+      const words = user.norm.split(" ");
+      let best = null;
+      for (const t of targets) {
+        if (t.kind === "script" || !t.norm) continue;
+        const n = t.norm.split(" ").length;
+        for (let i = 0; i + n <= Math.max(n, words.length); i++) {
+          const sim = similarity(words.slice(i, i + n).join(" "), t.norm);
+          if (!best || sim > best.sim) best = { sim, matched: t.text };
+        }
+      }
+      if (!best) return null;
+      return { pass: best.sim >= EDIT_MIN_SIMILARITY, score: Math.round(best.sim * 0.85 * 100) / 100, matched: best.matched };
+    }
+  },
+  {
+    // Original rule: most significant words of the full narrated answer are present
+    rule: "keyword-overlap",
+    score({ user, script, language }) {
+      const expected = significantWords(script, language);
+      if (!expected.length) return null;
+      const said = new Set(significantWords(user.text, language));
+      const ratio = expected.filter((w) => said.has(w)).length / expected.length;
+      return { pass: ratio >= KEYWORD_MIN_RATIO, score: Math.round(ratio * 0.8 * 100) / 100, matched: script };
+    }
+  }
+];
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+async function embeddingScore({ user, targets }, embedder) {
+  const candidates = targets.filter((t) => t.kind !== "script");
+  if (!embedder?.embed || !candidates.length) return null;
+  try {
+    const [u, ...vectors] = await embedder.embed([user.text, ...candidates.map((t) => t.text)]);
+    let best = null;
+    vectors.forEach((v, i) => {
+      const sim = cosine(u, v);
+      if (!best || sim > best.sim) best = { sim, matched: candidates[i].text };
+    });
+    return { pass: best.sim >= EMBEDDING_MIN_SIMILARITY, score: Math.round(best.sim * 100) / 100, matched: best.matched };
+  } catch (err) {
+    // Verification must still answer when the embedding API is down
+    console.warn(`Embedding scorer skipped: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * expected: a quiz break ({ answer, shortAnswer?, acceptedAnswers? }).
+ * embedder: optional { embed(texts) -> vectors } provider for the last scorer.
+ */
+export async function verifyAnswer(expected, userAnswer, { language = "en", embedder = null } = {}) {
+  const { correct: rightMessage, incorrect } = languageInfo(language);
+  const script = String(expected?.answer || "").trim();
+  const short = String(expected?.shortAnswer || "").trim();
+  const entry = (text, kind) => ({ text, kind, norm: normalizeForComparison(text, language) });
+  const targets = [
+    ...(short ? [entry(short, "short")] : []),
+    ...(expected?.acceptedAnswers || []).map((a) => entry(a, "variant")),
+    ...(script ? [entry(script, "script")] : [])
+  ];
+  const user = { text: String(userAnswer || ""), norm: normalizeForComparison(userAnswer, language) };
+
+  if (!targets.length) return { correct: false, confidence: 0, rule: null, matched: null, message: "No expected answer defined." };
+  if (!user.norm) return { correct: false, confidence: 0, rule: null, matched: null, message: "No answer received." };
+
+  const ctx = { user, targets, script, language };
+  let best = null;
+  let rejected = false;
+  for (const scorer of SCORERS) {
+    const r = scorer.score(ctx);
+    if (!r) continue;
+    if (r.pass) return { correct: true, confidence: r.score, rule: r.rule || scorer.rule, matched: r.matched, message: rightMessage };
+    if (!best || r.score > best.score) best = r;
+    if (r.final) {
+      rejected = true;
+      break;
+    }
+  }
+
+  const semantic = rejected ? null : await embeddingScore(ctx, embedder);
+  if (semantic?.pass) return { correct: true, confidence: semantic.score, rule: "embedding", matched: semantic.matched, message: rightMessage };
+
+  const reveal = short || script;
+  return {
+    correct: false,
+    confidence: Math.max(best?.score ?? 0, semantic?.score ?? 0),
+    rule: null,
+    matched: null,
+    message: `${incorrect} ${reveal.slice(0, 120)}${reveal.length > 120 ? "..." : ""}`
+  };
+}
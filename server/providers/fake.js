@@ -0,0 +1,137 @@
+import { run, FFMPEG_BIN } from "../lib/exec.js";
+import { probeDurationSec } from "../lib/media.js";
+
+// Deterministic stand-ins so the pipeline runs offline (CI, laptops without
+// API keys or a whisper model). Outputs depend only on their inputs.
+
+const FAKE_LINES = [
+  "Welcome back, friends! Today we are going on a little adventure.",
+  "Look at all the shapes around us. Can you see the circles?",
+  "Let's count them together. One, two, three!",
+  "Great job! Now let's see what happens next."
+];
+
+export const fakeTranscriptionProvider = {
+  name: "fake",
+  async transcribe(videoPath) {
+    // Spread the canned lines over the real duration so break/splice
+    // timestamps always land inside the video.
+    let durationMs = 20000;
+    try {
+      durationMs = Math.round((await probeDurationSec(videoPath)) * 1000);
+    } catch {}
+
+    const slot = Math.floor(durationMs / FAKE_LINES.length);
+    const segments = FAKE_LINES.map((text, i) => ({
+      startMs: i * slot,
+      endMs: i * slot + Math.round(slot * 0.8),
+      text
+    }));
+
+    return { text: FAKE_LINES.join(" "), segments };
+  }
+};
+
+export const fakeAnalysisProvider = {
+  name: "fake",
+  model: "fake-analysis",
+  async generate({ userGoal, segments, questionCount = 1 }) {
+    // The widest gaps between consecutive segments, in time order; else evenly spaced.
+    const gaps = [];
+    for (let i = 1; i < (segments || []).length; i++) {
+      const start = segments[i - 1].endMs;
+      const end = segments[i].startMs;
+      if (end > start) gaps.push({ start, end });
+    }
+    let breaks = gaps
+      .sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start)
+      .slice(0, questionCount)
+      .sort((a, b) => a.start - b.start);
+    if (breaks.length < questionCount) {
+      const last = segments?.[segments.length - 1]?.endMs || 0;
+      breaks = Array.from({ length: questionCount }, (_, k) => {
+        const at = Math.round(((k + 1) * last) / (questionCount + 1));
+        return { start: at, end: at };
+      });
+    }
+
+    const goal = String(userGoal || "today's topic").replace(/\s+/g, " ").trim();
+    return JSON.stringify({
+      show: "Unknown",
+      breaks: breaks.map((b, i) => ({
+        breakStartMs: b.start,
+        breakEndMs: b.end,
+        question: `Quick question ${i + 1} about ${goal}... what do you think the answer is?`,
+        answer: `Here's answer ${i + 1}: ${goal} is all about noticing the pattern, one step at a time.`,
+        shortAnswer: "the pattern",
+        acceptedAnswers: ["a pattern", "patterns", "noticing the pattern"],
+        difficulty: "easy",
+        rationale: b.end > b.start ? "Longest pause between transcript segments." : "Evenly spaced fallback."
+      }))
+    });
+  }
+};
+
+// Character-trigram counts hashed into a small vector: similar spellings score high
+export const fakeEmbeddingProvider = {
+  name: "fake",
+  async embed(texts) {
+    return texts.map((text) => {
+      const v = new Array(64).fill(0);
+      const t = ` ${String(text || "").toLowerCase()} `;
+      for (let i = 0; i + 3 <= t.length; i++) {
+        let h = 0;
+        for (const ch of t.slice(i, i + 3)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+        v[h % 64] += 1;
+      }
+      return v;
+    });
+  }
+};
+
+function escapeDrawtext(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/:/g, "\\:")
+    .replace(/'/g, "’")
+    .replace(/%/g, "\\%");
+}
+
+export const fakeVideoProvider = {
+  name: "fake",
+  // kind: "question" (amber card) or "answer" (blue card)
+  async generateClip({ outFile, clipLabel, kind, durationSec = 8 }) {
+    const color = kind === "answer" ? "0x2f7df6" : "0xf6b72f";
+    const base = [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-f",
+      "lavfi",
+      "-i",
+      `color=c=${color}:s=1280x720:r=30:d=${durationSec}`,
+      "-f",
+      "lavfi",
+      "-i",
+      `anullsrc=r=48000:cl=stereo`,
+      "-t",
+      String(durationSec)
+    ];
+    const encode = ["-c:v", "libx264", "-pix_fmt", "yuv420p", "-c:a", "aac", "-shortest", "-y", outFile];
+
+    // drawtext needs an ffmpeg built with freetype; fall back to a plain color card without it.
+    try {
+      const label = escapeDrawtext(clipLabel || "Generated clip");
+      await run(FFMPEG_BIN, [
+        ...base,
+        "-vf",
+        `drawtext=text='${label}':fontcolor=white:fontsize=48:x=(w-text_w)/2:y=(h-text_h)/2`,
+        ...encode
+      ]);
+    } catch {
+      await run(FFMPEG_BIN, [...base, ...encode]);
+    }
+
+    return outFile;
+  }
+};
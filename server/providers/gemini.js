@@ -0,0 +1,63 @@
+import "../lib/env.js";
+
+export async function callGeminiGenerateContent({ apiKey, model, promptText, responseSchema = null }) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
+    model
+  )}:generateContent?key=${encodeURIComponent(apiKey)}`;
+
+  const body = {
+    contents: [{ role: "user", parts: [{ text: promptText }] }],
+    generationConfig: {
+      temperature: 0.3,
+      maxOutputTokens: 4096,
+      // Structured output: the model must answer with JSON matching the schema
+      ...(responseSchema && { responseMimeType: "application/json", responseSchema })
+    }
+  };
+
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(`Gemini error ${resp.status}: ${JSON.stringify(data)}`);
+
+  return data?.candidates?.[0]?.content?.parts?.map((p) => p.text || "").join("").trim() || "";
+}
+
+export const geminiProvider = {
+  name: "gemini",
+  get model() {
+    return process.env.GEMINI_MODEL || "gemini-2.5-flash";
+  },
+  async generate({ promptText, responseSchema }) {
+    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+    if (!apiKey) throw new Error("Missing GEMINI_API_KEY (or GOOGLE_API_KEY) in .env");
+    return callGeminiGenerateContent({ apiKey, model: this.model, promptText, responseSchema });
+  }
+};
+
+// Embeddings for the optional semantic answer scorer (lib/verify.js)
+export const geminiEmbeddingProvider = {
+  name: "gemini",
+  get model() {
+    return process.env.GEMINI_EMBEDDING_MODEL || "text-embedding-004";
+  },
+  async embed(texts) {
+    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+    if (!apiKey) throw new Error("Missing GEMINI_API_KEY (or GOOGLE_API_KEY) in .env");
+    const model = `models/${this.model}`;
+    const url = `https://generativelanguage.googleapis.com/v1beta/${model}:batchEmbedContents?key=${encodeURIComponent(apiKey)}`;
+
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ requests: texts.map((text) => ({ model, content: { parts: [{ text }] } })) })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(`Gemini embedding error ${resp.status}: ${JSON.stringify(data)}`);
+    return (data.embeddings || []).map((e) => e.values || []);
+  }
+};
@@ -0,0 +1,54 @@
+import "../lib/env.js";
+import { whisperProvider } from "./whisper.js";
+import { geminiProvider, geminiEmbeddingProvider } from "./gemini.js";
+import { veoProvider } from "./veo.js";
+import { fakeTranscriptionProvider, fakeAnalysisProvider, fakeVideoProvider, fakeEmbeddingProvider } from "./fake.js";
+
+/**
+ * Provider registry. Each pipeline stage talks to one provider kind:
+ * - transcription: { name, transcribe(videoPath, { language }) -> { text, segments } }
+ * - analysis:      { name, model, generate({ promptText, responseSchema, userGoal, segments, questionCount, language }) -> rawText (JSON)
+ * - video:         { name, generateClip({ prompt, outFile, referenceImages, clipLabel, kind, onPoll, signal }) -> outFile }
+ * - embedding:     { name, embed(texts) -> number[][] } — optional ("none" = no semantic answer scoring)
+ *
+ * Selection: TRANSCRIPTION_PROVIDER / ANALYSIS_PROVIDER / VIDEO_PROVIDER / EMBEDDING_PROVIDER,
+ * falling back to PROVIDERS (e.g. PROVIDERS=fake for a fully offline run).
+ */
+const noEmbeddingProvider = { name: "none", embed: null };
+
+const registry = {
+  transcription: { "whisper.cpp": whisperProvider, whisper: whisperProvider, fake: fakeTranscriptionProvider },
+  analysis: { gemini: geminiProvider, fake: fakeAnalysisProvider },
+  video: { veo: veoProvider, fake: fakeVideoProvider },
+  embedding: { none: noEmbeddingProvider, gemini: geminiEmbeddingProvider, fake: fakeEmbeddingProvider }
+};
+
+const DEFAULTS = { transcription: "whisper.cpp", analysis: "gemini", video: "veo", embedding: "none" };
+
+const ENV_KEYS = {
+  transcription: "TRANSCRIPTION_PROVIDER",
+  analysis: "ANALYSIS_PROVIDER",
+  video: "VIDEO_PROVIDER",
+  embedding: "EMBEDDING_PROVIDER"
+};
+
+export function registerProvider(kind, name, impl) {
+  if (!registry[kind]) throw new Error(`Unknown provider kind: ${kind}`);
+  registry[kind][name] = impl;
+}
+
+export function getProvider(kind) {
+  const byKind = registry[kind];
+  if (!byKind) throw new Error(`Unknown provider kind: ${kind}`);
+
+  const name = (process.env[ENV_KEYS[kind]] || process.env.PROVIDERS || DEFAULTS[kind]).trim();
+  const provider = byKind[name];
+  if (!provider) {
+    throw new Error(`Unknown ${kind} provider "${name}". Available: ${Object.keys(byKind).join(", ")}`);
+  }
+  return provider;
+}
+
+export function describeProviders() {
+  return Object.fromEntries(Object.keys(registry).map((kind) => [kind, getProvider(kind).name]));
+}
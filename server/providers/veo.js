@@ -0,0 +1,77 @@
+import "../lib/env.js";
+import { setTimeout as sleep } from "timers/promises";
+import { GoogleGenAI } from "@google/genai";
+import { throwIfCancelled } from "../lib/exec.js";
+
+// ---------- Veo helpers ----------
+// A request that failed because the job was cancelled reports the cancellation
+function cancelledOr(err) {
+  throwIfCancelled();
+  throw err;
+}
+
+function getGenAIClient() {
+  const key = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+  if (!key) throw new Error("Missing GOOGLE_API_KEY (or GEMINI_API_KEY) in .env");
+  return new GoogleGenAI({ apiKey: key });
+}
+
+/**
+ * Generates one clip with Veo and downloads it to outFile.
+ * onPoll is called on every poll while the operation is still running.
+ * signal (the running job's) aborts the wait and every Veo request.
+ */
+export async function generateVeoClip({ prompt, outFile, referenceImages, onPoll, signal }) {
+  const ai = getGenAIClient();
+
+  // Veo can take a long time. We poll until it finishes.
+  // Set VEO_MAX_WAIT_MS=0 to wait indefinitely.
+  const MAX_WAIT_MS = Number(process.env.VEO_MAX_WAIT_MS ?? (60 * 60 * 1000)); // default 60 min
+  let waited = 0;
+  let pollMs = 8000;
+
+  let operation = await ai.models.generateVideos({
+    model: "veo-3.1-generate-preview",
+    prompt,
+    config: {
+      durationSeconds: 8,
+      referenceImages,
+      abortSignal: signal
+    }
+  }).catch(cancelledOr);
+
+  while (!operation.done) {
+    onPoll?.();
+
+    // Wakes early if the job is cancelled
+    await sleep(pollMs, undefined, { signal }).catch(cancelledOr);
+    waited += pollMs;
+
+    if (MAX_WAIT_MS > 0 && waited > MAX_WAIT_MS) {
+      throw new Error(
+        `Veo is still running after ${Math.round(waited / 60000)} minutes. ` +
+        `Increase VEO_MAX_WAIT_MS or set it to 0 to wait indefinitely.`
+      );
+    }
+
+    pollMs = Math.min(Math.round(pollMs * 1.2), 20000);
+    operation = await ai.operations.getVideosOperation({ operation, config: { abortSignal: signal } }).catch(cancelledOr);
+  }
+
+  const videoFile = operation?.response?.generatedVideos?.[0]?.video;
+  if (!videoFile) throw new Error("Veo returned no video file.");
+
+  await ai.files.download({
+    file: videoFile,
+    downloadPath: outFile,
+    config: { abortSignal: signal }
+  }).catch(cancelledOr);
+
+  return outFile;
+}
+
+export const veoProvider = {
+  name: "veo",
+  generateClip: ({ prompt, outFile, referenceImages, onPoll, signal }) =>
+    generateVeoClip({ prompt, outFile, referenceImages, onPoll, signal })
+};
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import { nanoid } from "nanoid";
+import { run, FFMPEG_BIN, WHISPER_BIN } from "../lib/exec.js";
+import { TMP_DIR } from "../lib/paths.js";
+
+// ---------- Whisper helpers ----------
+export function parseSrt(srt) {
+  const blocks = srt
+    .split(/\n\s*\n/)
+    .map((b) => b.trim())
+    .filter(Boolean);
+
+  const items = [];
+  const timeRe = /(\d\d:\d\d:\d\d[.,]\d\d\d)\s*-->\s*(\d\d:\d\d:\d\d[.,]\d\d\d)/;
+
+  const toMs = (t) => {
+    const [hh, mm, rest] = t.split(":");
+    const restNorm = rest.replace(".", ",");
+    const [ss, ms] = restNorm.split(",");
+    return +hh * 3600000 + +mm * 60000 + +ss * 1000 + +ms;
+  };
+
+  for (const b of blocks) {
+    const lines = b
+      .split("\n")
+      .map((l) => l.trim())
+      .filter(Boolean);
+    if (lines.length < 3) continue;
+
+    const m = lines[1].match(timeRe);
+    if (!m) continue;
+
+    const text = lines.slice(2).join(" ");
+    items.push({ startMs: toMs(m[1]), endMs: toMs(m[2]), text });
+  }
+
+  return items;
+}
+
+// language: ISO 639-1 code ("es"), or "auto" to let whisper detect it
+export async function transcribeWithWhisperCpp(videoPath, { language = "en" } = {}) {
+  const modelPath = process.env.WHISPER_MODEL_PATH;
+  if (!modelPath) throw new Error("Missing WHISPER_MODEL_PATH in .env (project root).");
+  if (!fs.existsSync(modelPath)) throw new Error(`Model not found at: ${modelPath}`);
+
+  const base = `a_${Date.now()}_${nanoid(6)}`;
+  const wavPath = path.join(TMP_DIR, `${base}.wav`);
+  const outPrefix = path.join(TMP_DIR, base);
+
+  await run(FFMPEG_BIN, [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-i",
+    videoPath,
+    "-vn",
+    "-ac",
+    "1",
+    "-ar",
+    "16000",
+    "-c:a",
+    "pcm_s16le",
+    wavPath
+  ]);
+
+  await run(WHISPER_BIN, ["-m", modelPath, "-f", wavPath, "-l", language, "-otxt", "-osrt", "-of", outPrefix]);
+
+  const txtPath = `${outPrefix}.txt`;
+  const srtPath = `${outPrefix}.srt`;
+
+  const text = fs.existsSync(txtPath) ? fs.readFileSync(txtPath, "utf-8").trim() : "";
+  const srt = fs.existsSync(srtPath) ? fs.readFileSync(srtPath, "utf-8") : "";
+  const segments = srt ? parseSrt(srt) : [];
+
+  try { fs.unlinkSync(wavPath); } catch {}
+  try { fs.unlinkSync(txtPath); } catch {}
+  try { fs.unlinkSync(srtPath); } catch {}
+
+  return { text, segments };
+}
+
+export const whisperProvider = {
+  name: "whisper.cpp",
+  transcribe: (videoPath, opts) => transcribeWithWhisperCpp(videoPath, opts)
+};
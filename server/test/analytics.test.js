@@ -0,0 +1,35 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The store opens DB_PATH on import
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "eav-analytics-"));
+process.env.DB_PATH = path.join(tmp, "eav.db");
+const { insertSubmission, insertAttempt } = await import("../lib/store.js");
+const { analyticsOverview } = await import("../lib/analytics.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiz = { parsed: { breaks: [{ question: "How many?", answer: "Seven." }] } };
+insertSubmission({ id: "mine", ownerId: "teacher", createdAt: "2026-01-01T00:00:00.000Z", prompt: "bees", gemini: quiz });
+insertSubmission({ id: "theirs", ownerId: "other", createdAt: "2026-01-01T00:00:00.000Z", prompt: "ants", gemini: quiz });
+const attempt = (id, submissionId, learnerId, createdAt, correct) =>
+  insertAttempt({ id, submissionId, learnerId, questionIndex: 0, correct, latencyMs: 1000, channel: "web", createdAt });
+attempt("a1", "mine", "l1", "2026-02-01T00:00:00.000Z", true);
+attempt("a2", "mine", "l2", "2026-03-01T00:00:00.000Z", false);
+attempt("a3", "theirs", "l3", "2026-03-01T00:00:00.000Z", true);
+
+test("the overview counts only the owner's attempts", () => {
+  const { totals, submissions } = analyticsOverview({ ownerId: "teacher" });
+  assert.deepEqual(submissions.map((s) => s.submissionId), ["mine"]);
+  assert.equal(totals.attempts, 2);
+  assert.equal(totals.learners, 2);
+});
+
+test("since and learnerId narrow the overview", () => {
+  assert.equal(analyticsOverview({ ownerId: "teacher", since: "2026-02-15T00:00:00.000Z" }).totals.attempts, 1);
+  const { totals } = analyticsOverview({ ownerId: "teacher", learnerId: "l1" });
+  assert.deepEqual([totals.attempts, totals.correct], [1, 1]);
+});
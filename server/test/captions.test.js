@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCaptionCues, toWebVtt, toSrt } from "../lib/captions.js";
+
+const clips = [
+  { durationMs: 8000, text: "What comes next?" },
+  { durationMs: 8000, text: "A triangle!" }
+];
+
+test("cues after an insertion are shifted by the inserted clips", () => {
+  const cues = buildCaptionCues({
+    segments: [
+      { startMs: 0, endMs: 2000, text: "Hello" },
+      { startMs: 6000, endMs: 8000, text: "Goodbye" }
+    ],
+    insertions: [{ timestampMs: 4000, clips }]
+  });
+  assert.deepEqual(cues, [
+    { startMs: 0, endMs: 2000, text: "Hello" },
+    { startMs: 4000, endMs: 12000, text: "What comes next?" },
+    { startMs: 12000, endMs: 20000, text: "A triangle!" },
+    { startMs: 22000, endMs: 24000, text: "Goodbye" }
+  ]);
+});
+
+test("a segment spanning an insertion is split around the clips", () => {
+  const cues = buildCaptionCues({
+    segments: [{ startMs: 1000, endMs: 5000, text: "Count with me" }],
+    insertions: [{ timestampMs: 3000, clips: [{ durationMs: 8000 }] }]
+  });
+  assert.deepEqual(cues, [
+    { startMs: 1000, endMs: 3000, text: "Count with me" },
+    { startMs: 11000, endMs: 13000, text: "Count with me" }
+  ]);
+});
+
+test("WebVTT and SRT use their own timestamp formats and keep cues intact", () => {
+  const cues = [{ startMs: 3723004, endMs: 3725000, text: "one\n\ntwo --> three" }];
+  assert.equal(toWebVtt(cues), "WEBVTT\n\n01:02:03.004 --> 01:02:05.000\none\ntwo -> three\n");
+  assert.equal(toSrt(cues), "1\n01:02:03,004 --> 01:02:05,000\none\ntwo -> three\n");
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import net from "net";
+import { once } from "events";
+import { isBlockedAddress, publicLookup, startGuardProxy, ingestVideo } from "../lib/ingest.js";
+
+test("loopback, link-local, private and ULA addresses are blocked", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "0.0.0.0", "::1", "::", "fd00::1", "fe80::1", "::ffff:10.0.0.1", "nonsense"]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "104.16.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("publicLookup refuses names that resolve to the server's own network", async () => {
+  const err = await new Promise((resolve) => publicLookup("localhost", {}, resolve));
+  assert.equal(err?.blockedHost, true);
+});
+
+test("links to local hosts are refused, however they are spelled", async () => {
+  const server = http.createServer((_req, res) => res.end("video")).listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  try {
+    for (const host of ["localhost", "127.0.0.1", "127.1", "0x7f000001", "[::1]"]) {
+      await assert.rejects(ingestVideo(`http://${host}:${port}/video.mp4`), /public host/, host);
+    }
+  } finally {
+    server.close();
+  }
+});
+
+test("the downloader's proxy refuses tunnels and requests to local hosts", async () => {
+  const target = http.createServer((_req, res) => res.end("secret")).listen(0, "127.0.0.1");
+  await once(target, "listening");
+  const proxy = await startGuardProxy();
+  const { port } = new URL(proxy.url);
+  try {
+    const plain = await new Promise((resolve, reject) =>
+      http.get({ port, path: `http://localhost:${target.address().port}/` }, resolve).on("error", reject)
+    );
+    assert.equal(plain.statusCode, 403);
+    plain.resume();
+
+    const socket = net.connect(port, "127.0.0.1");
+    socket.write(`CONNECT localhost:${target.address().port} HTTP/1.1\r\nHost: localhost\r\n\r\n`);
+    let reply = "";
+    for await (const chunk of socket) reply += chunk;
+    assert.match(reply, /^HTTP\/1\.1 403/);
+  } finally {
+    proxy.close();
+    target.close();
+  }
+});
@@ -0,0 +1,63 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The store opens DB_PATH on import
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "eav-library-"));
+process.env.DB_PATH = path.join(tmp, "eav.db");
+const { insertSubmission, updateSubmission, saveJob } = await import("../lib/store.js");
+const { libraryPage, parseLibraryQuery } = await import("../lib/library.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const analysis = (show, subjects) => ({ parsed: { show, subjects, breaks: [{ question: "How many legs?", answer: "Six." }] } });
+const add = (id, day, fields = {}) => insertSubmission({ id, ownerId: "teacher", createdAt: `2026-01-${day}T00:00:00.000Z`, prompt: id, ...fields });
+const job = (submissionId, status, updatedAt) => saveJob({ id: `${submissionId}-${updatedAt}`, submissionId, status, updatedAt });
+
+add("draft", "01");
+add("ready", "02", { gemini: analysis("Bluey", ["Science"]), eav: { outputUrl: "/eav/ready.mp4" } });
+add("running", "03", { gemini: analysis("Bluey", ["Math"]) });
+job("running", "error", "2026-01-03T01:00:00.000Z");
+job("running", "running", "2026-01-03T02:00:00.000Z");
+add("failed", "04", { gemini: analysis("Unknown", []) });
+job("failed", "error", "2026-01-04T01:00:00.000Z");
+add("legacy", "05", { gemini: analysis("Numberblocks"), transcript: { text: "Let us count the ants" } });
+insertSubmission({ id: "theirs", ownerId: "other", createdAt: "2026-01-06T00:00:00.000Z", prompt: "ants" });
+
+const page = (query) => libraryPage("teacher", parseLibraryQuery(query));
+const ids = (query) => page(query).items.map((item) => item.id);
+
+test("pages run newest first with the total across pages", () => {
+  const first = page({ pageSize: "2" });
+  assert.deepEqual(first.items.map((i) => i.id), ["legacy", "failed"]);
+  assert.deepEqual([first.total, first.totalPages], [5, 3]);
+  assert.deepEqual(ids({ pageSize: "2", page: "3" }), ["draft"]);
+  assert.deepEqual(ids({ pageSize: "2", page: "4" }), []);
+  assert.deepEqual(ids({ sort: "oldest", pageSize: "2" }), ["draft", "ready"]);
+});
+
+test("status follows the latest job, then the spliced video", () => {
+  const statuses = Object.fromEntries(page({}).items.map((i) => [i.id, i.status]));
+  assert.deepEqual(statuses, { draft: "draft", ready: "ready", running: "processing", failed: "failed", legacy: "draft" });
+  assert.deepEqual(ids({ status: "processing" }), ["running"]);
+  assert.deepEqual(ids({ status: "failed" }), ["failed"]);
+});
+
+test("show, tag, date and text filters narrow the page", () => {
+  assert.deepEqual(ids({ show: "Bluey" }), ["running", "ready"]);
+  assert.deepEqual(ids({ tag: "Math" }), ["legacy", "running"]);
+  assert.deepEqual(ids({ from: "2026-01-02", to: "2026-01-03" }), ["running", "ready"]);
+  const [hit] = page({ q: "ant" }).items;
+  assert.equal(hit.id, "legacy");
+  assert.match(hit.snippet, /ants/);
+});
+
+test("facets cover the whole library and follow re-analysis", () => {
+  const { facets } = page({ status: "ready" });
+  assert.deepEqual(facets.shows, [{ value: "Bluey", count: 2 }, { value: "Numberblocks", count: 1 }]);
+  assert.deepEqual(facets.statuses.find((f) => f.value === "draft"), { value: "draft", count: 2 });
+  updateSubmission("draft", { gemini: analysis("Bluey", ["Art"]) });
+  assert.deepEqual(ids({ tag: "Art" }), ["draft"]);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { targetFps, normalizationReasons } from "../lib/normalize.js";
+
+test("a constant standard rate is kept, NTSC rates as exact rationals", () => {
+  assert.equal(targetFps({ fps: 29.97, avgFps: 29.97 }), "30000/1001");
+  assert.equal(targetFps({ fps: 59.94, avgFps: 59.94 }), "60000/1001");
+  assert.equal(targetFps({ fps: 23.976, avgFps: 23.976 }), "24000/1001");
+  assert.equal(targetFps({ fps: 25, avgFps: 25 }), "25");
+});
+
+test("variable or odd rates go to the standard rate nearest the average", () => {
+  assert.equal(targetFps({ fps: 120, avgFps: 29.87, vfr: true }), "30000/1001");
+  assert.equal(targetFps({ fps: 48, avgFps: 48 }), "50");
+  assert.equal(targetFps({}), "30");
+});
+
+test("only odd inputs are normalized in auto mode", () => {
+  const clean = { videoCodec: "h264", pixFmt: "yuv420p", rotation: 0, vfr: false, audioCodec: "aac", container: "mov,mp4,m4a,3gp,3g2,mj2" };
+  assert.deepEqual(normalizationReasons(clean, "auto"), []);
+  assert.deepEqual(normalizationReasons({ ...clean, videoCodec: "hevc", rotation: 90 }, "auto"), ["video codec hevc", "rotated 90°"]);
+  assert.deepEqual(normalizationReasons({ ...clean, videoCodec: "hevc" }, "off"), []);
+});
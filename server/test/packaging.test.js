@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { segmentBoundariesMs, renditionsFor, STREAM_SEGMENT_MS } from "../lib/packaging.js";
+
+const manifest = {
+  parts: [
+    { kind: "original", startMs: 0, endMs: 4500 },
+    { kind: "question", startMs: 4500, endMs: 12500 },
+    { kind: "answer", startMs: 12500, endMs: 20500 },
+    { kind: "original", startMs: 20500, endMs: 36000 }
+  ]
+};
+
+test("every question pause point starts a segment", () => {
+  const bounds = segmentBoundariesMs(manifest, 36000);
+  assert.equal(bounds[0], 0);
+  assert.ok(bounds.includes(12500));
+  // Clip starts and answer ends are not forced boundaries
+  assert.ok(!bounds.includes(4500) && !bounds.includes(20500));
+});
+
+test("segments stay close to STREAM_SEGMENT_MS", () => {
+  const bounds = segmentBoundariesMs(manifest, 36000);
+  const lengths = [...bounds.slice(1), 36000].map((ms, i) => ms - bounds[i]);
+  for (const ms of lengths) assert.ok(ms >= STREAM_SEGMENT_MS * 0.5 && ms <= STREAM_SEGMENT_MS * 1.5, `${ms} ms segment`);
+});
+
+test("a video without a manifest is cut on an even grid", () => {
+  assert.deepEqual(segmentBoundariesMs(null, 12000), [0, 4000, 8000]);
+});
+
+test("the ladder never goes above the source and counts the short side", () => {
+  assert.deepEqual(
+    renditionsFor({ width: 640, height: 360 }).map((r) => [r.name, r.width, r.height]),
+    [
+      ["360p", 640, 360],
+      ["240p", 426, 240]
+    ]
+  );
+  assert.deepEqual(
+    renditionsFor({ width: 1080, height: 1920 }).map((r) => [r.name, r.width, r.height]),
+    [
+      ["720p", 720, 1280],
+      ["480p", 480, 854],
+      ["360p", 360, 640],
+      ["240p", 240, 426]
+    ]
+  );
+});
+
+test("a source smaller than every rung keeps its own size", () => {
+  assert.deepEqual(
+    renditionsFor({ width: 320, height: 200 }).map((r) => [r.name, r.width, r.height]),
+    [["200p", 320, 200]]
+  );
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankInsertionPoints, MIN_INSERTION_SPACING_MS } from "../lib/pauses.js";
+
+const segments = [
+  { startMs: 0, endMs: 4000, text: "a" },
+  { startMs: 6000, endMs: 9000, text: "b" },
+  { startMs: 9400, endMs: 15000, text: "c" },
+  { startMs: 15300, endMs: 20000, text: "d" }
+];
+
+test("a silence in a transcript gap outranks a bare transcript gap", () => {
+  const points = rankInsertionPoints({ silences: [{ startMs: 4200, endMs: 5800 }], segments, durationMs: 30000 });
+  assert.equal(points[0].timestampMs, 5000);
+  assert.deepEqual(points[0].reasons, ["silence", "transcript-gap"]);
+  assert.ok(points.slice(1).every((p) => p.score < points[0].score && p.reasons.includes("transcript-gap")));
+});
+
+test("a scene change inside the pause pulls the point onto the cut", () => {
+  const [best] = rankInsertionPoints({ silences: [{ startMs: 4200, endMs: 5800 }], scenes: [5500], segments, durationMs: 30000 });
+  assert.equal(best.timestampMs, 5500);
+  assert.ok(best.reasons.includes("scene-change"));
+});
+
+test("no point lies inside speech, at the very start or end, or too close to a better one", () => {
+  const points = rankInsertionPoints({
+    silences: [
+      { startMs: 0, endMs: 1000 },
+      { startMs: 2000, endMs: 3000 },
+      { startMs: 5000, endMs: 5400 },
+      { startMs: 5400, endMs: 5900 },
+      { startMs: 29000, endMs: 30000 }
+    ],
+    segments,
+    durationMs: 30000
+  });
+  const times = points.map((p) => p.timestampMs);
+  assert.ok(times.every((ms) => ms >= 1500 && ms <= 28500), String(times));
+  assert.ok(!times.some((ms) => segments.some((s) => ms > s.startMs && ms < s.endMs)), String(times));
+  for (const a of times) for (const b of times) if (a !== b) assert.ok(Math.abs(a - b) >= MIN_INSERTION_SPACING_MS);
+});
+
+test("without any pause, visual cuts are the fallback", () => {
+  const points = rankInsertionPoints({ scenes: [12000], durationMs: 30000 });
+  assert.deepEqual(
+    points.map((p) => p.timestampMs),
+    [12000]
+  );
+});
@@ -0,0 +1,197 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import net from "net";
+import { spawn, spawnSync } from "child_process";
+import { FFMPEG_BIN } from "../lib/exec.js";
+import { SERVER_DIR, UPLOAD_DIR, MEZZANINE_DIR, TMP_DIR, VEO_DIR, SCREENSHOTS_DIR, EAVS_DIR, STREAMS_DIR } from "../lib/paths.js";
+
+// Upload -> pipeline -> splice against a real server with PROVIDERS=fake
+// (no API keys or network). Needs ffmpeg; skipped, with a warning, without it.
+const hasFfmpeg = spawnSync(FFMPEG_BIN, ["-version"]).status === 0;
+const NO_FFMPEG = !hasFfmpeg && `${FFMPEG_BIN} not found: put ffmpeg on PATH or set FFMPEG_BIN to run the server tests`;
+if (NO_FFMPEG) console.warn(`SKIPPED ${path.basename(import.meta.url)}: ${NO_FFMPEG}`);
+const OUTPUT_DIRS = [UPLOAD_DIR, MEZZANINE_DIR, TMP_DIR, VEO_DIR, SCREENSHOTS_DIR, EAVS_DIR, STREAMS_DIR];
+const JOB_TIMEOUT_MS = 240000;
+
+let workDir;
+let server;
+let base;
+let token;
+let existing;
+let submissionId;
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+async function api(method, url, body, { auth = true } = {}) {
+  const headers = auth ? { Authorization: `Bearer ${token}` } : {};
+  if (body && !(body instanceof FormData)) headers["Content-Type"] = "application/json";
+  const res = await fetch(`${base}${url}`, { method, headers, body: body instanceof FormData ? body : body && JSON.stringify(body) });
+  const type = res.headers.get("content-type") || "";
+  return { status: res.status, type, data: type.includes("json") ? await res.json() : Buffer.from(await res.arrayBuffer()) };
+}
+
+function videoForm(fields) {
+  const form = new FormData();
+  form.append("video", new Blob([fs.readFileSync(path.join(workDir, "sample.mp4"))], { type: "video/mp4" }), "sample.mp4");
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  return form;
+}
+
+before(async () => {
+  if (!hasFfmpeg) return;
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "eav-test-"));
+  existing = new Map(OUTPUT_DIRS.map((dir) => [dir, new Set(fs.readdirSync(dir))]));
+
+  // 12 s test pattern with a tone
+  const made = spawnSync(FFMPEG_BIN, [
+    "-v", "error",
+    "-f", "lavfi", "-i", "testsrc=size=320x240:rate=25:duration=12",
+    "-f", "lavfi", "-i", "sine=frequency=440:duration=12",
+    "-c:v", "libx264", "-pix_fmt", "yuv420p", "-c:a", "aac", "-shortest", "-y",
+    path.join(workDir, "sample.mp4")
+  ]);
+  assert.equal(made.status, 0, String(made.stderr));
+
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ["index.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(workDir, "eav.db"),
+      PROVIDERS: "fake",
+      TRANSCRIPTION_PROVIDER: "fake",
+      ANALYSIS_PROVIDER: "fake",
+      VIDEO_PROVIDER: "fake",
+      EMBEDDING_PROVIDER: "fake",
+      PACKAGE_STREAMS: "false"
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let log = "";
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (d) => {
+      log += d;
+      if (log.includes("Server running")) resolve();
+    });
+    server.stderr.on("data", (d) => (log += d));
+    server.once("exit", (code) => reject(new Error(`server exited (${code}):\n${log}`)));
+  });
+
+  const { data } = await api("POST", "/api/auth/register", { email: "test@example.com", password: "password1" }, { auth: false });
+  token = data.token;
+});
+
+after(() => {
+  if (!hasFfmpeg) return;
+  server?.kill();
+  // Only what this run created
+  for (const [dir, names] of existing) {
+    for (const name of fs.readdirSync(dir)) if (!names.has(name)) fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("an upload runs through the pipeline to a spliced video", { skip: NO_FFMPEG, timeout: JOB_TIMEOUT_MS + 30000 }, async () => {
+  const uploaded = await api("POST", "/api/upload", videoForm({ prompt: "counting shapes" }));
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.data));
+  submissionId = uploaded.data.submission.id;
+
+  const started = await api("POST", `/api/pipeline/${submissionId}`);
+  assert.equal(started.status, 200, JSON.stringify(started.data));
+
+  let job;
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  do {
+    await new Promise((r) => setTimeout(r, 1000));
+    job = (await api("GET", `/api/jobs/${started.data.jobId}`)).data.job;
+  } while (!["done", "error", "cancelled"].includes(job.status) && Date.now() < deadline);
+  assert.equal(job.status, "done", job.message);
+
+  const { data } = await api("GET", `/api/library/${submissionId}`);
+  const { eav, gemini } = data.submission;
+  assert.equal(data.item.status, "ready");
+  assert.equal(gemini.parsed.breaks.length, 1);
+  assert.deepEqual(
+    eav.manifest.parts.map((p) => p.kind),
+    ["original", "question", "answer", "original"]
+  );
+  // Two 8 s clips inserted into 12 s
+  assert.ok(Math.abs(eav.manifest.durationMs - 28000) < 500, `${eav.manifest.durationMs} ms`);
+
+  const video = await api("GET", eav.outputUrl);
+  assert.equal(video.status, 200);
+  assert.match(video.type, /video\/mp4/);
+  assert.ok(video.data.length > 1000);
+  assert.equal((await api("GET", eav.outputUrl, null, { auth: false })).status, 401);
+});
+
+test("the spliced video can be re-cut at a chosen point", { skip: NO_FFMPEG, timeout: 120000 }, async (t) => {
+  if (!submissionId) return t.skip("pipeline did not run");
+  const form = new FormData();
+  form.append("submissionId", submissionId);
+  form.append("timestamps", "3000");
+  const { status, data } = await api("POST", "/api/splice", form);
+  assert.equal(status, 200, JSON.stringify(data));
+  assert.deepEqual(data.timestampsMs, [3000]);
+  const question = data.manifest.parts.find((p) => p.kind === "question");
+  assert.equal(question.startMs, 3000);
+  assert.ok(fs.existsSync(path.join(EAVS_DIR, data.outputFileName)));
+
+  const again = await api("POST", "/api/splice", form);
+  assert.equal(again.data.cached, true);
+  assert.equal(again.data.outputFileName, data.outputFileName);
+});
+
+test("a splice of an uploaded video is not reproducible once its output is collected", { skip: NO_FFMPEG, timeout: 120000 }, async (t) => {
+  // Without a submission the legacy clips in server/temp are inserted
+  const tempDir = path.join(SERVER_DIR, "temp");
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir);
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  }
+  for (const name of ["v1.mp4", "v2.mp4"]) {
+    const clip = path.join(tempDir, name);
+    if (fs.existsSync(clip)) continue;
+    fs.copyFileSync(path.join(workDir, "sample.mp4"), clip);
+    t.after(() => fs.rmSync(clip, { force: true }));
+  }
+
+  const { status, data } = await api("POST", "/api/splice", videoForm({ timestamp: "3000" }));
+  assert.equal(status, 200, JSON.stringify(data));
+  const { renders } = (await api("GET", "/api/renders")).data;
+  assert.equal(renders.find((r) => r.key === data.renderKey).reproducible, false);
+
+  // The upload is gone, so a collected output can't be rendered from the manifest...
+  fs.rmSync(path.join(EAVS_DIR, data.outputFileName));
+  const rerender = await api("POST", `/api/renders/${data.renderKey}/render`);
+  assert.equal(rerender.status, 410);
+  assert.match(rerender.data.error, /not kept/);
+
+  // ...but splicing the same video again renders it under the same key
+  const again = await api("POST", "/api/splice", videoForm({ timestamp: "3000" }));
+  assert.equal(again.status, 200, JSON.stringify(again.data));
+  assert.equal(again.data.renderKey, data.renderKey);
+  assert.equal(again.data.cached, false);
+  assert.ok(fs.existsSync(path.join(EAVS_DIR, again.data.outputFileName)));
+});
+
+test("a splice of an unknown submission is a 404 and keeps no upload", { skip: NO_FFMPEG }, async () => {
+  const before = fs.readdirSync(UPLOAD_DIR);
+  const { status, data } = await api("POST", "/api/splice", videoForm({ submissionId: "nope" }));
+  assert.equal(status, 404, JSON.stringify(data));
+  // The upload is deleted once the response is out
+  for (let i = 0; i < 20 && fs.readdirSync(UPLOAD_DIR).length > before.length; i++) await new Promise((r) => setTimeout(r, 50));
+  assert.deepEqual(fs.readdirSync(UPLOAD_DIR), before);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateQuizJson, withQuizDefaults, placeBreaks } from "../lib/quiz.js";
+
+const checkpoint = (breakStartMs, extra = {}) => ({
+  breakStartMs,
+  breakEndMs: breakStartMs + 500,
+  question: "What shape is the sun?",
+  answer: "The sun is a circle.",
+  shortAnswer: "a circle",
+  acceptedAnswers: ["circle", "round"],
+  difficulty: "easy",
+  rationale: "Pause after the narrator finishes.",
+  ...extra
+});
+
+test("validateQuizJson accepts a well-formed response, even wrapped in a code fence", () => {
+  const raw = "```json\n" + JSON.stringify({ show: "Bluey", subjects: ["math"], breaks: [checkpoint(4000), checkpoint(9000)] }) + "\n```";
+  const { parsed, errors } = validateQuizJson(raw, { questionCount: 2, durationMs: 20000 });
+  assert.deepEqual(errors, []);
+  assert.equal(parsed.show, "Bluey");
+  assert.deepEqual(parsed.subjects, ["Math"]);
+  assert.deepEqual(
+    parsed.breaks.map((b) => [b.breakStartMs, b.breakDurationMs]),
+    [
+      [4000, 500],
+      [9000, 500]
+    ]
+  );
+});
+
+test("validateQuizJson reports bad JSON", () => {
+  const { parsed, errors } = validateQuizJson("not json at all");
+  assert.equal(parsed.breaks.length, 0);
+  assert.match(errors[0], /not valid JSON/);
+});
+
+test("validateQuizJson drops breaks out of order, past the end or missing fields", () => {
+  const raw = JSON.stringify({
+    show: "Bluey",
+    breaks: [checkpoint(9000), checkpoint(4000), checkpoint(30000, { difficulty: "impossible", question: "two\nlines" })]
+  });
+  const { parsed, errors } = validateQuizJson(raw, { questionCount: 2, durationMs: 20000 });
+  assert.ok(errors.some((e) => /expected exactly 2/.test(e)));
+  assert.ok(errors.some((e) => /breaks\[1\]\.breakStartMs: breaks must be in ascending/.test(e)));
+  assert.ok(errors.some((e) => /breaks\[2\]\.breakStartMs: 30000 is past the end/.test(e)));
+  assert.ok(errors.some((e) => /breaks\[2\]\.difficulty/.test(e)));
+  assert.ok(errors.some((e) => /breaks\[2\]\.question/.test(e)));
+  assert.equal(parsed.breaks[0].breakStartMs, 9000);
+  assert.equal(parsed.breaks[1].breakStartMs, undefined);
+});
+
+test("withQuizDefaults fills missing checkpoints with evenly spaced breaks", () => {
+  const quiz = withQuizDefaults({}, { userGoal: "shapes", questionCount: 3, durationMs: 40000 });
+  assert.deepEqual(
+    quiz.breaks.map((b) => b.breakStartMs),
+    [10000, 20000, 30000]
+  );
+  for (const b of quiz.breaks) {
+    assert.ok(b.defaulted.includes("break") && b.defaulted.includes("question"));
+    assert.ok(b.question.endsWith("?"));
+  }
+  assert.equal(quiz.clip1Question, quiz.breaks[0].question);
+});
+
+test("withQuizDefaults moves duplicate and crowded breaks to their own slots", () => {
+  const parsed = { breaks: [checkpoint(5000), checkpoint(5000), checkpoint(5400)] };
+  const starts = withQuizDefaults(parsed, { questionCount: 3, durationMs: 40000 }).breaks.map((b) => b.breakStartMs);
+  assert.equal(new Set(starts).size, 3);
+  for (let i = 1; i < starts.length; i++) assert.ok(starts[i] - starts[i - 1] >= 1000, `${starts} too close`);
+  assert.equal(starts[0], 5000);
+});
+
+test("placeBreaks snaps a nearby break onto a pause and replaces a far one", () => {
+  const parsed = withQuizDefaults({ breaks: [checkpoint(5200), checkpoint(15000)] }, { questionCount: 2, durationMs: 30000 });
+  const candidates = [
+    { timestampMs: 22000, startMs: 21500, endMs: 22500, score: 6, reasons: ["silence", "transcript-gap"] },
+    { timestampMs: 5000, startMs: 4800, endMs: 5600, score: 4, reasons: ["silence"] }
+  ];
+  const placed = placeBreaks(parsed, candidates).breaks;
+  assert.deepEqual(
+    placed.map((b) => [b.breakStartMs, b.placement.source, b.placement.suggestedMs]),
+    [
+      [5000, "confirmed", 5200],
+      [22000, "replaced", 15000]
+    ]
+  );
+  assert.equal(placed[1].breakDurationMs, 500);
+});
+
+test("placeBreaks leaves the quiz alone without candidates", () => {
+  const parsed = withQuizDefaults({ breaks: [checkpoint(5000)] }, { questionCount: 1, durationMs: 30000 });
+  assert.equal(placeBreaks(parsed, []), parsed);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { verifyAnswer, numbersIn, normalizeForComparison } from "../lib/verify.js";
+
+const sun = { answer: "The sun is a big ball of hot gas.", shortAnswer: "a ball of gas", acceptedAnswers: ["gas", "hot gas"] };
+const count = { answer: "There are ten thousand bees in the hive.", shortAnswer: "10000", acceptedAnswers: ["ten thousand"] };
+
+test("normalizeForComparison drops case, punctuation and filler", () => {
+  assert.equal(normalizeForComparison("  Hot GAS!  "), normalizeForComparison("hot gas"));
+});
+
+test("numbersIn reads digits and number words", () => {
+  assert.deepEqual(numbersIn("7 or seven"), [7, 7]);
+  assert.deepEqual(numbersIn("twenty one"), [21]);
+  assert.deepEqual(numbersIn("dix-sept", "fr"), [17]);
+});
+
+test("an exact or accepted answer is correct", async () => {
+  assert.equal((await verifyAnswer(sun, "A ball of gas")).correct, true);
+  assert.equal((await verifyAnswer(sun, "hot gas")).correct, true);
+});
+
+test("numbers match by value, whether said in words or digits", async () => {
+  assert.equal((await verifyAnswer(count, "ten thousand")).correct, true);
+  assert.equal((await verifyAnswer(count, "10000")).correct, true);
+});
+
+test("a different number fails outright", async () => {
+  const result = await verifyAnswer(count, "10001");
+  assert.equal(result.correct, false);
+  assert.match(result.message, /10000/);
+});
+
+test("a hedged answer with two numbers fails", async () => {
+  const quiz = { answer: "Seven.", shortAnswer: "7" };
+  assert.equal((await verifyAnswer(quiz, "seven or eight")).correct, false);
+});
+
+test("an article or extra number around an answer that is not a count still passes", async () => {
+  const cases = [
+    ["es", "manzana", "una manzana"],
+    ["fr", "chat", "un chat"],
+    ["de", "Hund", "ein Hund"],
+    ["en", "apple", "one apple"],
+    ["en", "triangle", "triangle with three sides"]
+  ];
+  for (const [language, shortAnswer, said] of cases) {
+    const result = await verifyAnswer({ answer: shortAnswer, shortAnswer }, said, { language });
+    assert.equal(result.correct, true, `${language}: "${said}" for "${shortAnswer}"`);
+  }
+});
+
+test("articles are not counted, but a lone or hedged one still is", async () => {
+  assert.deepEqual(numbersIn("ein Jahr hat 12 Monate", "de"), [12]);
+  assert.deepEqual(numbersIn("una", "es"), [1]);
+  assert.deepEqual(numbersIn("ein oder zwei", "de"), [1, 2]);
+  const months = { answer: "Zwölf Monate.", shortAnswer: "12 Monate" };
+  assert.equal((await verifyAnswer(months, "ein Jahr hat 12 Monate", { language: "de" })).correct, true);
+  assert.equal((await verifyAnswer({ answer: "Zwei.", shortAnswer: "2" }, "ein oder zwei", { language: "de" })).correct, false);
+});
+
+test("a negated answer fails", async () => {
+  const quiz = { answer: "It is the moon.", shortAnswer: "the moon" };
+  assert.equal((await verifyAnswer(quiz, "the moon")).correct, true);
+  assert.equal((await verifyAnswer(quiz, "not the moon")).correct, false);
+});
+
+test("an empty answer or quiz is never correct", async () => {
+  assert.equal((await verifyAnswer(sun, "")).message, "No answer received.");
+  assert.equal((await verifyAnswer({}, "gas")).message, "No expected answer defined.");
+});
@@ -9,18 +9,24 @@
  * Env:
  *   BASE_URL = https://your-ngrok-or-server.com  (required)
  *   TEST_SUBMISSION_ID = submission id for this quiz (required)
+ *   API_KEY = API key of the submission's owner, from the web app's Account panel (required)
  *
  * Flow:
  *   1. App plays video → wait screen loads.
  *   2. User: "Alexa, open video quiz" → Launch: validate session, say "What's your answer?"
  *   3. User: "The answer is …" → AnswerIntent: POST verify, speak result.
+ *
+ * Each answer is logged on the server against the Alexa account (userId),
+ * with the time between "What's your answer?" and the reply as latency.
  */
 
 const BASE_URL = process.env.BASE_URL || "";
 const TEST_SUBMISSION_ID = process.env.TEST_SUBMISSION_ID || "";
+const API_KEY = (process.env.API_KEY || "").trim();
 
 function getRequestHeaders() {
   const h = { "Content-Type": "application/json" };
+  if (API_KEY) h.Authorization = `Bearer ${API_KEY}`;
   if (BASE_URL.includes("ngrok")) h["ngrok-skip-browser-warning"] = "1";
   return h;
 }
@@ -42,7 +48,7 @@ async function getSession(submissionId) {
   return data; // { submissionId, questionText, expectedAnswer, timeline, ... }
 }
 
-async function verifyAnswer(submissionId, userAnswer) {
+async function verifyAnswer(submissionId, userAnswer, { alexaUserId, latencyMs } = {}) {
   const base = (BASE_URL || "").trim();
   if (!base) {
     throw new Error("Set BASE_URL in the Lambda environment to your backend URL (e.g. https://your-ngrok.ngrok.io).");
@@ -51,7 +57,13 @@ async function verifyAnswer(submissionId, userAnswer) {
   const res = await fetch(url, {
     method: "POST",
     headers: getRequestHeaders(),
-    body: JSON.stringify({ submissionId, userAnswer: String(userAnswer || "").trim() }),
+    body: JSON.stringify({
+      submissionId,
+      userAnswer: String(userAnswer || "").trim(),
+      channel: "alexa",
+      alexaUserId,
+      latencyMs,
+    }),
   });
   const text = await res.text();
   let data;
@@ -115,6 +127,7 @@ export const handler = async (event) => {
   const intent = request?.intent?.name;
   const session = event?.session || {};
   const attrs = session?.attributes || {};
+  const alexaUserId = session?.user?.userId || event?.context?.System?.user?.userId;
 
   // Launch: validate session (video already played in app), then ask for answer only
   if (type === "LaunchRequest") {
@@ -129,13 +142,14 @@ export const handler = async (event) => {
       await getSession(submissionId); // validate quiz is ready; don't speak question (video played in app)
       return {
         version: "1.0",
+        // askedAt starts the answer-latency clock
+        sessionAttributes: { ...attrs, submissionId, askedAt: request.timestamp },
         response: {
           outputSpeech: {
             type: "SSML",
             ssml: "<speak>What's your answer?</speak>",
           },
           shouldEndSession: false,
-          sessionAttributes: { ...attrs, submissionId },
         },
       };
     } catch (e) {
@@ -156,7 +170,13 @@ export const handler = async (event) => {
     }
 
     try {
-      const result = await verifyAnswer(submissionId, userAnswer);
+      const latencyMs = attrs.askedAt && request.timestamp
+        ? Date.parse(request.timestamp) - Date.parse(attrs.askedAt)
+        : undefined;
+      const result = await verifyAnswer(submissionId, userAnswer, {
+        alexaUserId,
+        latencyMs: latencyMs >= 0 ? latencyMs : undefined,
+      });
       const message = result.message || (result.correct ? "That's right!" : "Not quite.");
       return say(message, true);
     } catch (e) {